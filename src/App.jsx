@@ -1,56 +1,239 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Upload, TrendingUp, TrendingDown, DollarSign, Target, Clock, Calendar, Filter, Download, Trash2 } from 'lucide-react';
+import { LineChart, Line, AreaChart, Area, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Upload, ChevronRight, TrendingUp, TrendingDown, DollarSign, Target, Clock, Calendar, Filter, Download, Trash2, History, RotateCcw, X, Wallet, Plus, Percent, Scale, Layers, AlertTriangle, Save, FileJson, BookOpen, Star, Workflow, GitCompare, Globe, Coins } from 'lucide-react';
+import { mergeTrades, createImportRecord, rollbackImport } from './lib/imports';
+import { buildPositions, formatDuration } from './lib/positions';
+import { computeHoldingStats } from './lib/holding';
+import { toCSVLine } from './lib/csv';
+import { parseCSVFile } from './lib/csvFile';
+import { BUILT_IN_PROFILES, createImportProfile, createValidationReport } from './lib/mapping';
+import { downloadFile } from './lib/download';
+import { DEFAULT_LEVERAGE_TABLE, calculateMargin } from './lib/leverage';
+import { toTime, endOfDay, toDateKey, recordKey, hasAccountBalance, totalCashFlows, computeEquityBefore, createCashFlow, parseCashFlowCSV } from './lib/equity';
+import { computeMetrics } from './lib/metrics';
+import { DEFAULT_RISK_SETTINGS, computeRiskMetrics } from './lib/risk';
+import { computeInitialRisk, computeRMetrics } from './lib/rmultiple';
+import { ALL_ACCOUNTS, ACCOUNT_COLORS, createAccount, emptyAccountData, combineAccountSettings } from './lib/workspace';
+import { UNTAGGED, formatTag, collectTags, createTagLookup, setJournalEntry } from './lib/journal';
+import { UNCLASSIFIED, normalizeStrategyRules, createStrategyLookup, mergeStrategyRules } from './lib/strategies';
+import {
+  OUTCOMES, WEEKDAY_OPTIONS, emptyFilter, isFilterActive, matchesFilter, normalizeFilter, createFilterPreset,
+  normalizeFilterPresets, mergeFilterPresets
+} from './lib/filters';
+import { DEFAULT_COMPARISON, resolvePeriod, metricComparison, overlayBuckets } from './lib/comparison';
+import { DEFAULT_TIME_SETTINGS, convertTradeTimes, normalizeTimeSettings, describeTimeZone } from './lib/timezone';
+import { computeSessionStats } from './lib/sessions';
+import { computeCostStats } from './lib/costs';
+import { DEFAULT_SIZING_SETTINGS, normalizeSizingSettings, computeSizingStats } from './lib/sizing';
+import { DEFAULT_BEHAVIOUR_SETTINGS, normalizeBehaviourSettings, computeBehaviourStats } from './lib/behaviour';
+import { COMMON_CURRENCIES, formatMoney, formatPrice, normalizeCurrency, normalizeFxRates, mergeFxRates, hasFxRate, convertTradeCurrency, convertAccountCurrency } from './lib/currency';
+import {
+  loadWorkspace, saveWorkspace, removeAccountStorage, loadPreferences, savePreferences, loadImportProfiles,
+  saveImportProfiles, loadStrategyRules, saveStrategyRules, loadFilterPresets, saveFilterPresets, loadFxRates, saveFxRates, checkStorageQuota,
+  saveScreenshots, deleteScreenshots, replaceScreenshots, loadAllScreenshots
+} from './lib/storage';
+import { createBackup, parseBackup, mergeBackup } from './lib/backup';
+import LeveragePanel from './components/LeveragePanel';
+import StrategyPanel from './components/StrategyPanel';
+import FilterBuilder from './components/FilterBuilder';
+import FilterPresets from './components/FilterPresets';
+import PeriodComparison, { ComparisonEquityChart, ComparisonBarChart } from './components/PeriodComparison';
+import AccountSwitcher from './components/AccountSwitcher';
+import { MetricCard, ChartCard } from './components/Cards';
+import RestorePanel from './components/RestorePanel';
+import RiskPanel from './components/RiskPanel';
+import DrawdownEpisodes from './components/DrawdownEpisodes';
+import PnlCalendar from './components/PnlCalendar';
+import TimeZonePanel from './components/TimeZonePanel';
+import CurrencyPanel from './components/CurrencyPanel';
+import { SessionBreakdown, HourWeekdayHeatmap } from './components/TimeAnalysis';
+import CostAnalysis from './components/CostAnalysis';
+import InstrumentDetail from './components/InstrumentDetail';
+import SizingPanel from './components/SizingPanel';
+import BehaviourPanel from './components/BehaviourPanel';
+import RMultiplePanel from './components/RMultiplePanel';
+import MonteCarloPanel from './components/MonteCarloPanel';
+import ImportWizard from './components/ImportWizard';
+import JournalEditor from './components/JournalEditor';
+
+const DAY_ORDER = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOUR_ORDER = Array.from({ length: 24 }, (_, hour) => `${hour}:00`);
 
 const TradingDashboard = () => {
-  const [trades, setTrades] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [activeAccountId, setActiveAccountId] = useState(null);
+  const [accountData, setAccountData] = useState({});
   const [filteredTrades, setFilteredTrades] = useState([]);
   const [dateRange, setDateRange] = useState({ start: '', end: '' });
   const [filterDirection, setFilterDirection] = useState('all');
   const [filterInstrument, setFilterInstrument] = useState('all');
+  const [filterTag, setFilterTag] = useState('all');
+  const [advancedFilter, setAdvancedFilter] = useState(emptyFilter);
+  const [filterPresets, setFilterPresets] = useState([]);
+  const [compareMode, setCompareMode] = useState(false);
+  const [comparison, setComparison] = useState(DEFAULT_COMPARISON);
   const [showFilters, setShowFilters] = useState(false);
   const [error, setError] = useState(null);
   const [sortConfig, setSortConfig] = useState({ key: 'timestamp', direction: 'desc' });
   const [searchTerm, setSearchTerm] = useState('');
+  const [importSummary, setImportSummary] = useState(null);
+  const [showImportHistory, setShowImportHistory] = useState(false);
+  const [storageLoaded, setStorageLoaded] = useState(false);
+  const [storageFailed, setStorageFailed] = useState(false);
+  const [storageWarning, setStorageWarning] = useState(null);
+  // Kept apart from storageWarning so a later successful save can clear it
+  // without hiding a failure
+  const [quotaWarning, setQuotaWarning] = useState(null);
+  const [analysisMode, setAnalysisMode] = useState('fills');
+  const [groupBy, setGroupBy] = useState('none');
+  const [riskSettings, setRiskSettings] = useState(DEFAULT_RISK_SETTINGS);
+  const [sizingSettings, setSizingSettings] = useState(DEFAULT_SIZING_SETTINGS);
+  const [behaviourSettings, setBehaviourSettings] = useState(DEFAULT_BEHAVIOUR_SETTINGS);
+  const [timeSettings, setTimeSettings] = useState(DEFAULT_TIME_SETTINGS);
+  const [showTimeZones, setShowTimeZones] = useState(false);
+  const [reportingCurrency, setReportingCurrency] = useState(null);
+  const [fxRates, setFxRates] = useState([]);
+  const [showCurrencies, setShowCurrencies] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
+  const [showAccountManager, setShowAccountManager] = useState(false);
+  const [newCashFlow, setNewCashFlow] = useState({ date: '', amount: '', note: '' });
+  const [showLeverage, setShowLeverage] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [parsingFile, setParsingFile] = useState(null);
+  const [importProfiles, setImportProfiles] = useState([]);
+  const [strategyRules, setStrategyRules] = useState([]);
+  const [showStrategies, setShowStrategies] = useState(false);
+  const [journalRecord, setJournalRecord] = useState(null);
+  const [instrumentView, setInstrumentView] = useState(null);
+  const [tradeLogSelection, setTradeLogSelection] = useState(null);
   const fileInputRef = useRef(null);
-
-  // Leverage estimation based on instrument type
-  const estimateLeverage = (instrument) => {
-    // Common Capital.com leverage ratios
-    if (instrument.includes('US100') || instrument.includes('SPX') || instrument.includes('DAX')) {
-      return 20; // Indices typically 20:1
-    }
-    if (instrument.includes('EUR') || instrument.includes('USD') || instrument.includes('GBP')) {
-      return 30; // Major forex pairs 30:1
-    }
-    if (instrument.includes('GOLD') || instrument.includes('OIL') || instrument.includes('SILVER')) {
-      return 10; // Commodities 10:1
-    }
-    // Default to 20:1 for most CFDs
-    return 20;
-  };
+  const cashFlowInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const tradeLogRef = useRef(null);
 
   // Load trades from persistent storage on mount
   useEffect(() => {
     loadFromStorage();
   }, []);
 
-  // Save to storage whenever trades change
+  // Save to storage whenever the accounts or their data change.
+  // Nothing is written if loading failed, so stored data is never overwritten.
   useEffect(() => {
-    if (trades.length > 0) {
+    if (storageLoaded && !storageFailed) {
       saveToStorage();
     }
-  }, [trades]);
+  }, [accounts, activeAccountId, accountData, storageLoaded, storageFailed]);
 
-  // Apply filters
   useEffect(() => {
-    let filtered = [...trades];
+    if (storageLoaded && !storageFailed) {
+      persistPreferences();
+    }
+  }, [analysisMode, groupBy, riskSettings, sizingSettings, behaviourSettings, timeSettings, reportingCurrency, dateRange, filterDirection, filterInstrument, filterTag, advancedFilter, storageLoaded, storageFailed]);
+
+  const isAllAccounts = activeAccountId === ALL_ACCOUNTS;
+  const viewAccountIds = useMemo(() => {
+    if (isAllAccounts) return accounts.map(acc => acc.id);
+    return activeAccountId ? [activeAccountId] : [];
+  }, [accounts, activeAccountId, isAllAccounts]);
+
+  // Data of the selected account; null in the "All accounts" view
+  const activeData = isAllAccounts ? null : accountData[activeAccountId] || emptyAccountData();
+  const imports = activeData ? activeData.imports : [];
+  const leverageTableFor = (trade) => accountData[trade.accountId]?.leverageTable || DEFAULT_LEVERAGE_TABLE;
+  const accountById = useMemo(() => Object.fromEntries(accounts.map(acc => [acc.id, acc])), [accounts]);
+
+  // Currency every figure is shown in: the account's own, or in the aggregate
+  // view the reporting currency (by default that of the first account with one)
+  const currency = isAllAccounts
+    ? reportingCurrency || viewAccountIds.map(id => accountData[id]?.account.currency).find(Boolean) || null
+    : activeData.account.currency;
+  const money = (value) => formatMoney(value, currency);
+
+  // Accounts of the aggregate view whose figures cannot be converted into `currency`
+  const unconvertedAccounts = useMemo(() => {
+    if (!isAllAccounts || !currency) return [];
+    return accounts.filter(acc => {
+      const own = accountData[acc.id]?.account.currency;
+      return !own || !hasFxRate(fxRates, own, currency);
+    });
+  }, [isAllAccounts, currency, accounts, accountData, fxRates]);
+
+  // Of those, the ones in another currency are left out of the combined
+  // figures rather than added up as if they were in `currency`. Accounts
+  // without a currency are assumed to be in it.
+  const excludedAccounts = useMemo(
+    () => unconvertedAccounts.filter(acc => accountData[acc.id]?.account.currency),
+    [unconvertedAccounts, accountData]
+  );
+  const excludedAccountIds = useMemo(() => new Set(excludedAccounts.map(acc => acc.id)), [excludedAccounts]);
+
+  // Fills of each viewed account, with their times in the display time zone
+  // and their amounts in the display currency
+  const accountTrades = useMemo(() => {
+    return viewAccountIds.map(id => (excludedAccountIds.has(id) ? [] : convertTradeCurrency(
+      convertTradeTimes(accountData[id]?.trades || [], timeSettings),
+      accountData[id]?.account.currency,
+      currency,
+      fxRates
+    )));
+  }, [viewAccountIds, excludedAccountIds, accountData, timeSettings, currency, fxRates]);
+
+  const trades = useMemo(() => accountTrades.flat(), [accountTrades]);
+
+  // A fill's time as imported and as shown, to preview the time zone settings
+  const timeSample = useMemo(() => {
+    const index = accountTrades.findIndex(list => list.length > 0);
+    if (index < 0) return null;
+    return { imported: accountData[viewAccountIds[index]].trades[0].timestamp, shown: accountTrades[index][0].timestamp };
+  }, [accountTrades, accountData, viewAccountIds]);
+
+  // Round-trip positions reconstructed from opening and closing fills.
+  // Matching is done per account so fills never pair across accounts.
+  const positionBook = useMemo(() => {
+    const books = accountTrades.map(buildPositions);
+    return {
+      closed: books.flatMap(book => book.closed),
+      open: books.flatMap(book => book.open)
+    };
+  }, [accountTrades]);
+
+  // Journal tags of a fill or position, shared between a position and its fills
+  const tagsOf = useMemo(() => {
+    return createTagLookup(accountData, [...positionBook.closed, ...positionBook.open]);
+  }, [accountData, positionBook]);
+
+  // Strategy of a fill or position from the first matching rule
+  const strategyOf = useMemo(() => {
+    return createStrategyLookup(strategyRules, [...positionBook.closed, ...positionBook.open]);
+  }, [strategyRules, positionBook]);
+
+  const journalTags = useMemo(() => {
+    return collectTags(viewAccountIds.map(id => accountData[id]?.journal || {}));
+  }, [viewAccountIds, accountData]);
+
+  // What the dashboard analyses: closing fills, or complete positions
+  const records = useMemo(() => {
+    if (analysisMode === 'positions') {
+      return positionBook.closed;
+    }
+    return trades.filter(t => t.pnl !== 0);
+  }, [trades, positionBook, analysisMode]);
+
+  // Date ranges of the two periods while comparing; period A replaces the date filter
+  const periods = useMemo(() => {
+    if (!compareMode) return null;
+    return { a: resolvePeriod(comparison.a), b: resolvePeriod(comparison.b) };
+  }, [compareMode, comparison]);
+
+  const applyFilters = (list, range = periods ? periods.a : dateRange) => {
+    let filtered = [...list];
     
-    if (dateRange.start) {
-      filtered = filtered.filter(t => new Date(t.timestamp) >= new Date(dateRange.start));
+    if (range.start) {
+      filtered = filtered.filter(t => toTime(t.timestamp) >= toTime(range.start));
     }
-    if (dateRange.end) {
-      filtered = filtered.filter(t => new Date(t.timestamp) <= new Date(dateRange.end));
+    if (range.end) {
+      filtered = filtered.filter(t => toTime(t.timestamp) <= endOfDay(range.end));
     }
     if (filterDirection !== 'all') {
       filtered = filtered.filter(t => t.direction === filterDirection);
@@ -58,163 +241,322 @@ const TradingDashboard = () => {
     if (filterInstrument !== 'all') {
       filtered = filtered.filter(t => t.instrument === filterInstrument);
     }
-    
-    setFilteredTrades(filtered);
-  }, [trades, dateRange, filterDirection, filterInstrument]);
+    if (filterTag !== 'all') {
+      filtered = filtered.filter(t => {
+        const tags = tagsOf(t);
+        return filterTag === UNTAGGED ? tags.length === 0 : tags.includes(filterTag);
+      });
+    }
+    if (isFilterActive(advancedFilter)) {
+      filtered = filtered.filter(t => matchesFilter(advancedFilter, t, { tagsOf, strategyOf }));
+    }
 
-  const saveToStorage = () => {
-    try {
-      localStorage.setItem('trading-data', JSON.stringify(trades));
-    } catch (err) {
-      console.log('Storage not available, data will not persist');
+    return filtered;
+  };
+
+  // Apply filters
+  useEffect(() => {
+    setFilteredTrades(applyFilters(records));
+  }, [records, periods, dateRange, filterDirection, filterInstrument, filterTag, advancedFilter, tagsOf, strategyOf]);
+
+  // Balance settings in the display currency; a starting balance is converted
+  // at the rate of the account's first trade
+  const account = useMemo(() => {
+    if (!isAllAccounts) return activeData.account;
+    return combineAccountSettings(viewAccountIds.map((id, i) => {
+      if (excludedAccountIds.has(id)) return emptyAccountData().account;
+      const own = (accountData[id] || emptyAccountData()).account;
+      const firstTrade = accountTrades[i].reduce((first, t) => (!first || t.timestamp < first ? t.timestamp : first), null);
+      return convertAccountCurrency(own, own.currency, currency, fxRates, firstTrade && toDateKey(firstTrade));
+    }));
+  }, [isAllAccounts, activeData, viewAccountIds, excludedAccountIds, accountData, accountTrades, currency, fxRates]);
+
+  // Account equity before each record, so returns are measured against the real balance
+  const balanceKnown = hasAccountBalance(account);
+  const equityBefore = useMemo(() => computeEquityBefore(records, account), [records, account]);
+
+  // Split charts and breakdowns by account (aggregate view only), by journal
+  // tag or by strategy. A trade with several tags counts towards each of them.
+  const grouping = useMemo(() => {
+    if (compareMode) return null;
+    if (groupBy === 'strategy' && strategyRules.length > 0) {
+      return {
+        title: 'Strategy',
+        keys: [
+          ...strategyRules.map((rule, i) => ({ key: rule.id, label: rule.name, color: ACCOUNT_COLORS[i % ACCOUNT_COLORS.length] })),
+          { key: UNCLASSIFIED, label: 'Unclassified', color: '#64748b' }
+        ],
+        of: (trade) => [strategyOf(trade)]
+      };
     }
+    if (groupBy === 'tag') {
+      return {
+        title: 'Tag',
+        keys: [
+          ...journalTags.map((tag, i) => ({ key: tag, label: formatTag(tag), color: ACCOUNT_COLORS[i % ACCOUNT_COLORS.length] })),
+          { key: UNTAGGED, label: 'Untagged', color: '#64748b' }
+        ],
+        of: (trade) => {
+          const tags = tagsOf(trade);
+          return tags.length > 0 ? tags : [UNTAGGED];
+        }
+      };
+    }
+    if (!isAllAccounts || groupBy !== 'account') return null;
+    return {
+      title: 'Account',
+      keys: accounts.map(acc => ({ key: acc.id, label: acc.name, color: acc.color })),
+      of: (trade) => [trade.accountId]
+    };
+  }, [compareMode, isAllAccounts, groupBy, accounts, journalTags, tagsOf, strategyRules, strategyOf]);
+
+  // Holding times always come from positions, whichever mode is analysed
+  const holdingStats = useMemo(() => {
+    return computeHoldingStats(applyFilters(positionBook.closed));
+  }, [positionBook, periods, dateRange, filterDirection, filterInstrument, filterTag, advancedFilter, tagsOf, strategyOf]);
+
+  // Period B of compare mode, with every other filter applied
+  const recordsB = useMemo(() => {
+    return periods ? applyFilters(records, periods.b) : [];
+  }, [records, periods, filterDirection, filterInstrument, filterTag, advancedFilter, tagsOf, strategyOf]);
+
+  const holdingStatsB = useMemo(() => {
+    return periods ? computeHoldingStats(applyFilters(positionBook.closed, periods.b)) : null;
+  }, [positionBook, periods, filterDirection, filterInstrument, filterTag, advancedFilter, tagsOf, strategyOf]);
+
+  // Log a failed write and keep it in the storage banner until dismissed
+  const reportStorageError = (what) => (err) => {
+    console.error('Storage error:', err);
+    setStorageWarning(`${what}: ${err.message || err}`);
   };
 
-  const loadFromStorage = () => {
+  const saveToStorage = () => {
+    saveWorkspace({ accounts, activeAccountId, accountData })
+      .then(checkStorageQuota)
+      .then(setQuotaWarning)
+      .catch(err => {
+        console.error('Storage error:', err);
+        setStorageWarning(`Your data could not be saved: ${err.message || err}. Changes made now will be lost when the page is closed.`);
+      });
+  };
+
+  const persistPreferences = () => {
+    savePreferences({ analysisMode, groupBy, riskSettings, sizingSettings, behaviourSettings, timeSettings, reportingCurrency, filters: currentFilters() })
+      .catch(reportStorageError('Your preferences could not be saved'));
+  };
+
+  const loadFromStorage = async () => {
     try {
-      const data = localStorage.getItem('trading-data');
-      if (data) {
-        setTrades(JSON.parse(data));
+      const workspace = await loadWorkspace();
+      if (workspace) {
+        setAccounts(workspace.accounts);
+        setActiveAccountId(workspace.activeAccountId);
+        setAccountData(workspace.accountData);
+      } else {
+        const main = createAccount('Main', []);
+        setAccounts([main]);
+        setActiveAccountId(main.id);
       }
     } catch (err) {
-      console.log('No stored data found');
+      console.error('Storage error:', err);
+      const main = createAccount('Main', []);
+      setAccounts([main]);
+      setActiveAccountId(main.id);
+      setStorageFailed(true);
+      setStorageWarning(`Saved data could not be loaded: ${err.message || err}. Nothing will be saved this session so stored data is not overwritten.`);
+      setStorageLoaded(true);
+      return;
     }
-  };
 
-  const clearData = () => {
-    if (confirm('Are you sure you want to clear all trading data?')) {
+    // Everything else falls back to its default on its own, so one record
+    // that cannot be read does not hide the accounts and trades
+    const failures = [];
+    const loadMeta = async (what, load) => {
       try {
-        localStorage.removeItem('trading-data');
-        setTrades([]);
-        setFilteredTrades([]);
+        await load();
       } catch (err) {
-        setTrades([]);
-        setFilteredTrades([]);
+        console.error('Storage error:', err);
+        failures.push(`${what} (${err.message || err})`);
+      }
+    };
+
+    await loadMeta('preferences', async () => {
+      const preferences = await loadPreferences();
+      if (preferences.analysisMode) {
+        setAnalysisMode(preferences.analysisMode);
+      }
+      if (preferences.groupBy) {
+        setGroupBy(preferences.groupBy);
+      }
+      if (preferences.riskSettings) {
+        setRiskSettings({ ...DEFAULT_RISK_SETTINGS, ...preferences.riskSettings });
+      }
+      if (preferences.sizingSettings) {
+        setSizingSettings(normalizeSizingSettings(preferences.sizingSettings));
+      }
+      if (preferences.behaviourSettings) {
+        setBehaviourSettings(normalizeBehaviourSettings(preferences.behaviourSettings));
+      }
+      if (preferences.timeSettings) {
+        setTimeSettings(normalizeTimeSettings(preferences.timeSettings));
+      }
+      if (preferences.reportingCurrency) {
+        setReportingCurrency(normalizeCurrency(preferences.reportingCurrency));
+      }
+      if (preferences.filters) {
+        applyFilterSettings(preferences.filters);
       }
+    });
+    await loadMeta('import profiles', async () => setImportProfiles(await loadImportProfiles()));
+    await loadMeta('strategy rules', async () => setStrategyRules(normalizeStrategyRules(await loadStrategyRules())));
+    await loadMeta('filter presets', async () => setFilterPresets(normalizeFilterPresets(await loadFilterPresets())));
+    await loadMeta('FX rates', async () => setFxRates(normalizeFxRates(await loadFxRates())));
+    await loadMeta('storage usage', async () => setQuotaWarning(await checkStorageQuota()));
+
+    if (failures.length > 0) {
+      setStorageWarning(`Some saved settings could not be loaded and their defaults are used instead: ${failures.join(', ')}. Saving them again replaces the stored copy.`);
     }
+    setStorageLoaded(true);
   };
 
-  const parseCSV = (csvText) => {
-    const lines = csvText.split('\n').filter(line => line.trim());
+  // Apply changes to one account's data; `changes` may be a function of the current data
+  const updateAccountData = (accountId, changes) => {
+    setAccountData(prev => {
+      const current = prev[accountId] || emptyAccountData();
+      const next = typeof changes === 'function' ? changes(current) : changes;
+      return { ...prev, [accountId]: { ...current, ...next } };
+    });
+  };
 
-    if (lines.length < 2) {
-      throw new Error('CSV file appears to be empty or contains only headers');
+  const clearData = () => {
+    const message = isAllAccounts
+      ? 'Are you sure you want to clear the trading data of all accounts? Journal entries are kept.'
+      : `Are you sure you want to clear all trading data of "${accountById[activeAccountId]?.name}"? Journal entries are kept.`;
+    if (confirm(message)) {
+      // The journal is kept so re-importing the same trades brings the notes back
+      setAccountData(prev => {
+        const next = { ...prev };
+        viewAccountIds.forEach(id => { next[id] = { ...emptyAccountData(), journal: prev[id]?.journal || {} }; });
+        return next;
+      });
+      setFilteredTrades([]);
+      setImportSummary(null);
     }
+  };
 
-    // Helper function to parse a CSV line with quoted values
-    const parseCSVLine = (line) => {
-      const values = [];
-      let current = '';
-      let inQuotes = false;
-
-      for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          values.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-      values.push(current.trim());
-      return values;
-    };
+  const addAccount = (name) => {
+    const newAccount = createAccount(name, accounts);
+    setAccounts([...accounts, newAccount]);
+    updateAccountData(newAccount.id, emptyAccountData());
+    setActiveAccountId(newAccount.id);
+  };
+
+  const renameAccount = (accountId, name) => {
+    setAccounts(accounts.map(acc => (acc.id === accountId ? { ...acc, name } : acc)));
+  };
 
-    const headers = parseCSVLine(lines[0]);
+  const deleteAccount = (accountId) => {
+    if (accounts.length <= 1) return;
+    if (!confirm(`Delete "${accountById[accountId]?.name}" and all of its trades?`)) return;
 
-    // Validate required columns
-    const requiredColumns = ['Trade Id', 'Quantity', 'Price', 'Timestamp'];
-    const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-    if (missingColumns.length > 0) {
-      throw new Error(`CSV is missing required columns: ${missingColumns.join(', ')}`);
+    const remaining = accounts.filter(acc => acc.id !== accountId);
+    setAccounts(remaining);
+    setAccountData(prev => {
+      const { [accountId]: removed, ...rest } = prev;
+      return rest;
+    });
+    if (!storageFailed) {
+      removeAccountStorage(accountId).catch(err => {
+        console.error('Storage error:', err);
+        setStorageWarning(`The deleted account could not be removed from storage: ${err.message || err}`);
+      });
     }
+    if (activeAccountId === accountId) {
+      setActiveAccountId(remaining[0].id);
+    }
+  };
 
-    const parsedTrades = [];
-    let skippedRows = 0;
+  const switchAccount = (accountId) => {
+    setActiveAccountId(accountId);
+    setFilterInstrument('all');
+    setTradeLogSelection(null);
+    setImportSummary(null);
+  };
 
-    for (let i = 1; i < lines.length; i++) {
-      if (!lines[i].trim()) continue;
+  // Roll back an import together with every import made after it
+  const rollbackToImport = (importId) => {
+    const index = imports.findIndex(imp => imp.id === importId);
+    if (index === -1) return;
 
-      const values = parseCSVLine(lines[i]);
-      const trade = {};
+    const laterCount = imports.length - index - 1;
+    const message = laterCount > 0
+      ? `Roll back this import and the ${laterCount} import(s) made after it?`
+      : 'Roll back this import?';
+    if (!confirm(message)) return;
 
-      headers.forEach((header, index) => {
-        trade[header] = values[index] || '';
-      });
+    let restored = activeData.trades;
+    for (let i = imports.length - 1; i >= index; i--) {
+      restored = rollbackImport(restored, imports[i]);
+    }
 
-      // Parse the trade data with validation
-      const quantity = parseFloat(trade['Quantity']);
-      const price = parseFloat(trade['Price']);
-      const rpl = parseFloat(trade['Rpl Converted']) || 0;
-      const fee = parseFloat(trade['Fee']) || 0;
-      const swap = parseFloat(trade['Swap Converted']) || 0;
-
-      // Validate data
-      if (isNaN(quantity) || isNaN(price) || quantity === 0) {
-        skippedRows++;
-        continue;
-      }
+    updateAccountData(activeAccountId, { trades: restored, imports: imports.slice(0, index) });
+    setImportSummary(null);
+  };
 
-      // Validate timestamp
-      const timestamp = new Date(trade['Timestamp']);
-      if (isNaN(timestamp.getTime())) {
-        skippedRows++;
-        continue;
+  // Store a journal entry and its screenshot changes for the record being edited
+  const saveJournal = ({ entry, added, removed }) => {
+    const { accountId, id } = journalRecord;
+    updateAccountData(accountId, current => ({ journal: setJournalEntry(current.journal, id, entry) }));
+    if (!storageFailed) {
+      if (added.length > 0) {
+        saveScreenshots(added.map(shot => ({ ...shot, accountId, tradeId: id }))).catch(err => {
+          console.error('Storage error:', err);
+          setStorageWarning(`Screenshots could not be saved: ${err.message || err}`);
+        });
+      }
+      if (removed.length > 0) {
+        deleteScreenshots(removed).catch(reportStorageError('Removed screenshots could not be deleted from storage'));
       }
-
-      parsedTrades.push({
-        id: trade['Trade Id'],
-        instrument: trade['Instrument Symbol'] || trade['Instrument Name'],
-        direction: quantity > 0 ? 'Long' : 'Short',
-        quantity: Math.abs(quantity),
-        price: price,
-        takeProfit: parseFloat(trade['Take Profit']) || 0,
-        stopLoss: parseFloat(trade['Stop Loss']) || 0,
-        pnl: rpl,
-        fee: fee,
-        swap: swap,
-        netPnl: rpl - fee + swap,
-        timestamp: trade['Timestamp'],
-        timestampDate: timestamp,
-        executionType: trade['Execution Type'],
-        status: trade['Status']
-      });
     }
+    setJournalRecord(null);
+  };
 
-    if (skippedRows > 0) {
-      console.warn(`Skipped ${skippedRows} invalid rows during CSV parsing`);
-    }
+  const updateAccountSettings = (update) => {
+    updateAccountData(activeAccountId, current => ({ account: update(current.account) }));
+  };
 
-    const completedTrades = parsedTrades.filter(t => t.pnl !== 0);
+  const addCashFlow = () => {
+    const amount = parseFloat(newCashFlow.amount);
+    if (!newCashFlow.date || isNaN(amount) || amount === 0) return;
 
-    if (completedTrades.length === 0) {
-      throw new Error(`No completed trades found in CSV. All ${parsedTrades.length} trades have P&L = 0 (likely pending/open trades)`);
-    }
+    updateAccountSettings(prev => ({
+      ...prev,
+      cashFlows: [...prev.cashFlows, createCashFlow(newCashFlow.date, amount, newCashFlow.note)]
+    }));
+    setNewCashFlow({ date: '', amount: '', note: '' });
+  };
 
-    console.log(`Parsed ${parsedTrades.length} total trades, ${completedTrades.length} completed trades`);
-    return completedTrades;
+  const removeCashFlow = (flowId) => {
+    updateAccountSettings(prev => ({
+      ...prev,
+      cashFlows: prev.cashFlows.filter(flow => flow.id !== flowId)
+    }));
   };
 
-  const handleFileUpload = (event) => {
+  const handleCashFlowUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
 
-    setError(null); // Clear any previous errors
+    setError(null);
 
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const csvText = e.target.result;
-        const parsedTrades = parseCSV(csvText);
-        setTrades(parsedTrades);
-        console.log(`Successfully loaded ${parsedTrades.length} completed trades`);
+        const flows = parseCashFlowCSV(e.target.result);
+        updateAccountSettings(prev => ({ ...prev, cashFlows: [...prev.cashFlows, ...flows] }));
       } catch (err) {
-        console.error('CSV parsing error:', err);
+        console.error('Cash flow parsing error:', err);
         setError(err.message);
-        setTrades([]);
       }
     };
     reader.onerror = () => {
@@ -222,239 +564,294 @@ const TradingDashboard = () => {
     };
     reader.readAsText(file);
 
+    event.target.value = '';
+  };
+
+  // Parse a trade file in the background, then open the import wizard on it.
+  // Nothing is merged until the wizard confirms.
+  const parseTradeFile = (file, delimiter) => {
+    setParsingFile({ fileName: file.name, progress: 0 });
+    parseCSVFile(file, { delimiter, onProgress: progress => setParsingFile({ fileName: file.name, progress }) })
+      .then(table => {
+        if (table.headers.length === 0) {
+          throw new Error('CSV file appears to be empty');
+        }
+        setPendingImport({ file, fileName: file.name, table });
+      })
+      .catch(err => {
+        console.error('CSV parsing error:', err);
+        setError(err.message);
+      })
+      .finally(() => setParsingFile(null));
+  };
+
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setError(null); // Clear any previous errors
+    parseTradeFile(file);
+
     // Reset file input to allow re-uploading the same file
     event.target.value = '';
   };
 
-  // Calculate metrics
-  const metrics = useMemo(() => {
-    if (filteredTrades.length === 0) return null;
+  const downloadValidationReport = (fileName, rejected, headers) => {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    downloadFile(createValidationReport(rejected, headers), `${baseName}_rejected_rows.csv`, 'text/csv;charset=utf-8;');
+  };
 
-    const totalPnl = filteredTrades.reduce((sum, t) => sum + t.netPnl, 0);
-    const totalFees = filteredTrades.reduce((sum, t) => sum + t.fee, 0);
-    const winners = filteredTrades.filter(t => t.netPnl > 0);
-    const losers = filteredTrades.filter(t => t.netPnl < 0);
+  const importTrades = ({ trades: parsedTrades, rejected, currency: fileCurrency }) => {
+    const { fileName, table } = pendingImport;
+    // Imports always go into the selected account; the aggregate view offers none
+    if (isAllAccounts) return;
+    const targetId = activeAccountId;
+    const current = accountData[targetId] || emptyAccountData();
+    const result = mergeTrades(current.trades, parsedTrades.map(t => ({ ...t, accountId: targetId })));
+    const record = createImportRecord(fileName, result);
+
+    // The file's currency becomes the account currency unless one is already set
+    const accountCurrency = current.account.currency || fileCurrency;
+    updateAccountData(targetId, {
+      trades: result.trades,
+      imports: [...current.imports, record],
+      account: { ...current.account, currency: accountCurrency }
+    });
+    setImportSummary({
+      ...record,
+      rejected: rejected.length,
+      rejectedRows: rejected,
+      headers: table.headers,
+      currencyMismatch: fileCurrency && fileCurrency !== accountCurrency ? { file: fileCurrency, account: accountCurrency } : null
+    });
+    setPendingImport(null);
+  };
 
-    const winRate = (winners.length / filteredTrades.length) * 100;
-    const lossRate = (losers.length / filteredTrades.length) * 100;
-    const avgWin = winners.length > 0 ? winners.reduce((sum, t) => sum + t.netPnl, 0) / winners.length : 0;
-    const avgLoss = losers.length > 0 ? Math.abs(losers.reduce((sum, t) => sum + t.netPnl, 0) / losers.length) : 0;
+  // Saving under an existing name overwrites that profile
+  const saveImportProfile = (name, settings) => {
+    const existing = importProfiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+    const created = createImportProfile(name, settings);
+    const profile = existing ? { ...created, id: existing.id } : created;
+    const next = existing
+      ? importProfiles.map(p => (p.id === existing.id ? profile : p))
+      : [...importProfiles, profile];
+    setImportProfiles(next);
+    if (!storageFailed) {
+      saveImportProfiles(next).catch(reportStorageError('Import profiles could not be saved'));
+    }
+    return profile;
+  };
 
-    const grossProfit = winners.reduce((sum, t) => sum + t.netPnl, 0);
-    const grossLoss = Math.abs(losers.reduce((sum, t) => sum + t.netPnl, 0));
-    const profitFactor = grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? 999 : 0;
+  const deleteImportProfile = (profileId) => {
+    const next = importProfiles.filter(p => p.id !== profileId);
+    setImportProfiles(next);
+    if (!storageFailed) {
+      saveImportProfiles(next).catch(reportStorageError('Import profiles could not be saved'));
+    }
+  };
 
-    const riskReward = avgLoss > 0 ? avgWin / avgLoss : avgWin > 0 ? 999 : 0;
+  const updateStrategyRules = (rules) => {
+    setStrategyRules(rules);
+    if (!storageFailed) {
+      saveStrategyRules(rules).catch(reportStorageError('Strategy rules could not be saved'));
+    }
+  };
 
-    // Expectancy: Expected value per trade
-    const expectancy = (avgWin * (winRate / 100)) - (avgLoss * (lossRate / 100));
-    
-    // Equity curve
-    const sortedTrades = [...filteredTrades].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-    
-    let runningTotal = 0;
-    let peak = 0;
-    let maxDrawdown = 0;
-    let maxDrawdownPercent = 0;
-    const drawdownData = [];
-
-    const equityCurve = sortedTrades.map(trade => {
-      runningTotal += trade.netPnl;
-
-      // Calculate drawdown
-      if (runningTotal > peak) {
-        peak = runningTotal;
-      }
-      const drawdown = peak - runningTotal;
-      const drawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+  const filtersActive = Boolean(dateRange.start || dateRange.end) || filterDirection !== 'all' ||
+    filterInstrument !== 'all' || filterTag !== 'all' || isFilterActive(advancedFilter);
 
-      if (drawdown > maxDrawdown) {
-        maxDrawdown = drawdown;
-        maxDrawdownPercent = drawdownPercent;
-      }
+  // The quick and advanced filters together, as saved in presets and preferences
+  const currentFilters = () => ({ dateRange, filterDirection, filterInstrument, filterTag, advancedFilter });
 
-      return {
-        date: new Date(trade.timestamp).toLocaleDateString(),
-        equity: runningTotal,
-        pnl: trade.netPnl,
-        drawdown: drawdown
-      };
-    });
+  const applyFilterSettings = (filters) => {
+    setDateRange(filters.dateRange || { start: '', end: '' });
+    setFilterDirection(filters.filterDirection || 'all');
+    setFilterInstrument(filters.filterInstrument || 'all');
+    setFilterTag(filters.filterTag || 'all');
+    setAdvancedFilter(normalizeFilter(filters.advancedFilter));
+  };
 
-    // Recovery Factor: Total Profit / Max Drawdown
-    const recoveryFactor = maxDrawdown > 0 ? totalPnl / maxDrawdown : totalPnl > 0 ? 999 : 0;
-
-    // Average Trade Duration
-    let totalDuration = 0;
-    let tradesWithDuration = 0;
-    for (let i = 1; i < sortedTrades.length; i++) {
-      const prevTime = new Date(sortedTrades[i-1].timestamp).getTime();
-      const currTime = new Date(sortedTrades[i].timestamp).getTime();
-      const duration = currTime - prevTime;
-      if (duration > 0 && duration < 24 * 60 * 60 * 1000) { // Less than 24 hours
-        totalDuration += duration;
-        tradesWithDuration++;
-      }
+  const updateFilterPresets = (presets) => {
+    setFilterPresets(presets);
+    if (!storageFailed) {
+      saveFilterPresets(presets).catch(reportStorageError('Filter presets could not be saved'));
     }
-    const avgTradeDuration = tradesWithDuration > 0 ? totalDuration / tradesWithDuration : 0;
-    const avgTradeDurationMins = avgTradeDuration / (1000 * 60);
-
-    // Monthly Performance
-    const monthStats = {};
-    sortedTrades.forEach(trade => {
-      const date = new Date(trade.timestamp);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      if (!monthStats[monthKey]) {
-        monthStats[monthKey] = { month: monthKey, pnl: 0, trades: 0, winners: 0, losers: 0 };
-      }
-      monthStats[monthKey].pnl += trade.netPnl;
-      monthStats[monthKey].trades += 1;
-      if (trade.netPnl > 0) monthStats[monthKey].winners += 1;
-      else if (trade.netPnl < 0) monthStats[monthKey].losers += 1;
-    });
+  };
 
-    const monthlyPerformance = Object.values(monthStats).map(m => ({
-      ...m,
-      winRate: m.trades > 0 ? (m.winners / m.trades) * 100 : 0
-    }));
+  const updateFxRates = (rates) => {
+    setFxRates(rates);
+    if (!storageFailed) {
+      saveFxRates(rates).catch(reportStorageError('FX rates could not be saved'));
+    }
+  };
 
-    // Trades by Date (daily timeline)
-    const dateStats = {};
-    sortedTrades.forEach(trade => {
-      const date = new Date(trade.timestamp);
-      const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-      if (!dateStats[dateKey]) {
-        dateStats[dateKey] = { date: dateKey, trades: 0, pnl: 0 };
-      }
-      dateStats[dateKey].trades += 1;
-      dateStats[dateKey].pnl += trade.netPnl;
-    });
+  // Saving under an existing name overwrites that preset
+  const saveFilterPreset = (name) => {
+    const existing = filterPresets.find(p => p.name.toLowerCase() === name.toLowerCase());
+    const created = createFilterPreset(name, currentFilters());
+    const preset = existing ? { ...created, id: existing.id } : created;
+    updateFilterPresets(existing
+      ? filterPresets.map(p => (p.id === existing.id ? preset : p))
+      : [...filterPresets, preset]);
+    return preset;
+  };
 
-    const tradesByDate = Object.values(dateStats).sort((a, b) =>
-      a.date.localeCompare(b.date)
-    ).map(d => ({
-      ...d,
-      dateFormatted: new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-    }));
+  // Full workspace snapshot: every account plus preferences and the current filters
+  const exportBackup = async () => {
+    try {
+      const json = await createBackup({
+        accounts,
+        activeAccountId,
+        accountData,
+        screenshots: storageFailed ? [] : await loadAllScreenshots(),
+        strategyRules,
+        filterPresets,
+        fxRates,
+        preferences: { analysisMode, groupBy, riskSettings, sizingSettings, behaviourSettings, timeSettings, reportingCurrency },
+        filters: { ...currentFilters(), searchTerm }
+      });
 
-    // Performance by day of week
-    const dayStats = {};
-    filteredTrades.forEach(trade => {
-      const day = new Date(trade.timestamp).toLocaleDateString('en-US', { weekday: 'short' });
-      if (!dayStats[day]) {
-        dayStats[day] = { day, pnl: 0, trades: 0 };
-      }
-      dayStats[day].pnl += trade.netPnl;
-      dayStats[day].trades += 1;
-    });
-    
-    const dayOrder = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
-    const dayPerformance = dayOrder
-      .map(day => dayStats[day])
-      .filter(Boolean);
-    
-    // Performance by hour
-    const hourStats = {};
-    filteredTrades.forEach(trade => {
-      const hour = new Date(trade.timestamp).getHours();
-      if (!hourStats[hour]) {
-        hourStats[hour] = { hour: `${hour}:00`, pnl: 0, trades: 0 };
-      }
-      hourStats[hour].pnl += trade.netPnl;
-      hourStats[hour].trades += 1;
-    });
-    
-    const hourPerformance = Object.values(hourStats).sort((a, b) => 
-      parseInt(a.hour) - parseInt(b.hour)
-    );
-    
-    // Long vs Short
-    const longs = filteredTrades.filter(t => t.direction === 'Long');
-    const shorts = filteredTrades.filter(t => t.direction === 'Short');
-    
-    const longPnl = longs.reduce((sum, t) => sum + t.netPnl, 0);
-    const shortPnl = shorts.reduce((sum, t) => sum + t.netPnl, 0);
-    
-    const directionStats = [
-      { name: 'Long', pnl: longPnl, trades: longs.length, winRate: longs.length > 0 ? (longs.filter(t => t.netPnl > 0).length / longs.length) * 100 : 0 },
-      { name: 'Short', pnl: shortPnl, trades: shorts.length, winRate: shorts.length > 0 ? (shorts.filter(t => t.netPnl > 0).length / shorts.length) * 100 : 0 }
-    ];
-    
-    // Best and worst trades
-    const sortedByPnl = [...filteredTrades].sort((a, b) => b.netPnl - a.netPnl);
-    const bestTrades = sortedByPnl.slice(0, 5);
-    const worstTrades = sortedByPnl.slice(-5).reverse();
-    
-    // Consecutive streaks
-    let currentStreak = 0;
-    let maxWinStreak = 0;
-    let maxLossStreak = 0;
-    
-    sortedTrades.forEach(trade => {
-      if (trade.netPnl > 0) {
-        currentStreak = currentStreak > 0 ? currentStreak + 1 : 1;
-        maxWinStreak = Math.max(maxWinStreak, currentStreak);
-      } else {
-        currentStreak = currentStreak < 0 ? currentStreak - 1 : -1;
-        maxLossStreak = Math.max(maxLossStreak, Math.abs(currentStreak));
-      }
-    });
+      downloadFile(json, `trading_workspace_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    } catch (err) {
+      console.error('Backup error:', err);
+      setError(`Backup failed: ${err.message}`);
+    }
+  };
 
-    // Instrument breakdown with win rates
-    const instrumentStats = {};
-    filteredTrades.forEach(trade => {
-      if (!instrumentStats[trade.instrument]) {
-        instrumentStats[trade.instrument] = {
-          name: trade.instrument,
-          pnl: 0,
-          trades: 0,
-          winners: 0,
-          losers: 0
-        };
-      }
-      instrumentStats[trade.instrument].pnl += trade.netPnl;
-      instrumentStats[trade.instrument].trades += 1;
-      if (trade.netPnl > 0) instrumentStats[trade.instrument].winners += 1;
-      else if (trade.netPnl < 0) instrumentStats[trade.instrument].losers += 1;
-    });
+  const handleBackupUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
 
-    const instruments = Object.values(instrumentStats).map(inst => ({
-      ...inst,
-      winRate: inst.trades > 0 ? (inst.winners / inst.trades) * 100 : 0
-    }));
+    setError(null);
 
-    return {
-      totalPnl,
-      totalFees,
-      winRate,
-      avgWin,
-      avgLoss,
-      profitFactor,
-      riskReward,
-      expectancy,
-      maxDrawdown,
-      maxDrawdownPercent,
-      recoveryFactor,
-      avgTradeDurationMins,
-      totalTrades: filteredTrades.length,
-      winners: winners.length,
-      losers: losers.length,
-      grossProfit,
-      grossLoss,
-      equityCurve,
-      monthlyPerformance,
-      dayPerformance,
-      hourPerformance,
-      tradesByDate,
-      directionStats,
-      bestTrades,
-      worstTrades,
-      maxWinStreak,
-      maxLossStreak,
-      instruments
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      parseBackup(e.target.result)
+        .then(backup => setPendingRestore({ fileName: file.name, backup }))
+        .catch(err => {
+          console.error('Backup parsing error:', err);
+          setError(`Invalid backup: ${err.message}`);
+        });
     };
+    reader.onerror = () => {
+      setError('Failed to read file. Please try again.');
+    };
+    reader.readAsText(file);
+
+    event.target.value = '';
+  };
+
+  // Screenshots and removed accounts are written before the workspace changes,
+  // so a failed write leaves the current data in place and the panel open
+  const restoreBackup = async (mode) => {
+    const { fileName, backup } = pendingRestore;
+
+    const writeStorage = async (write) => {
+      if (storageFailed) return true;
+      setPendingRestore(prev => ({ ...prev, busy: true, error: null }));
+      try {
+        await write();
+        return true;
+      } catch (err) {
+        console.error('Storage error:', err);
+        const message = `The backup could not be written to browser storage: ${err.message || err}`;
+        setPendingRestore(prev => ({ ...prev, busy: false, error: message }));
+        setStorageWarning(`${message}. Nothing was changed; try the restore again.`);
+        return false;
+      }
+    };
+
+    if (mode === 'merge') {
+      const merged = mergeBackup({ accounts, activeAccountId, accountData }, backup, fileName);
+      if (merged.screenshots.length > 0 && !(await writeStorage(() => saveScreenshots(merged.screenshots)))) return;
+
+      setAccounts(merged.accounts);
+      setAccountData(merged.accountData);
+      setImportSummary({ fileName, ...merged.summary });
+      updateStrategyRules(mergeStrategyRules(strategyRules, backup.strategyRules));
+      updateFilterPresets(mergeFilterPresets(filterPresets, backup.filterPresets));
+      updateFxRates(mergeFxRates(fxRates, backup.fxRates));
+    } else {
+      if (!confirm('Replace all accounts and trades with the contents of this backup?')) return;
+
+      const kept = new Set(backup.accounts.map(acc => acc.id));
+      const removed = accounts.filter(acc => !kept.has(acc.id)).map(acc => acc.id);
+      if (!(await writeStorage(() => replaceScreenshots(backup.screenshots, removed)))) return;
+
+      setAccounts(backup.accounts);
+      setActiveAccountId(backup.activeAccountId);
+      setAccountData(backup.accountData);
+      updateStrategyRules(backup.strategyRules);
+      updateFilterPresets(backup.filterPresets);
+      updateFxRates(backup.fxRates);
+
+      const { preferences, filters } = backup;
+      if (preferences.analysisMode) setAnalysisMode(preferences.analysisMode);
+      if (preferences.groupBy) setGroupBy(preferences.groupBy);
+      if (preferences.riskSettings) setRiskSettings({ ...DEFAULT_RISK_SETTINGS, ...preferences.riskSettings });
+      if (preferences.sizingSettings) setSizingSettings(normalizeSizingSettings(preferences.sizingSettings));
+      if (preferences.behaviourSettings) setBehaviourSettings(normalizeBehaviourSettings(preferences.behaviourSettings));
+      if (preferences.timeSettings) setTimeSettings(normalizeTimeSettings(preferences.timeSettings));
+      setReportingCurrency(normalizeCurrency(preferences.reportingCurrency));
+      applyFilterSettings(filters);
+      setSearchTerm(filters.searchTerm || '');
+      setImportSummary(null);
+    }
+    setPendingRestore(null);
+  };
+
+  // Calculate metrics
+  const metrics = useMemo(() => {
+    return computeMetrics(filteredTrades, { equityBefore, balanceKnown, grouping });
+  }, [filteredTrades, equityBefore, balanceKnown, grouping]);
+
+  const risk = useMemo(() => {
+    return computeRiskMetrics(filteredTrades, { equityBefore, balanceKnown, ...riskSettings });
+  }, [filteredTrades, equityBefore, balanceKnown, riskSettings]);
+
+  const sessionStats = useMemo(() => {
+    return computeSessionStats(filteredTrades, timeSettings.displayTimeZone);
+  }, [filteredTrades, timeSettings]);
+
+  const costStats = useMemo(() => computeCostStats(filteredTrades), [filteredTrades]);
+
+  const metricsB = useMemo(() => {
+    return periods ? computeMetrics(recordsB, { equityBefore, balanceKnown }) : null;
+  }, [periods, recordsB, equityBefore, balanceKnown]);
+
+  const riskB = useMemo(() => {
+    return periods ? computeRiskMetrics(recordsB, { equityBefore, balanceKnown, ...riskSettings }) : null;
+  }, [periods, recordsB, equityBefore, balanceKnown, riskSettings]);
+
+  const percent = (value) => `${value.toFixed(1)}%`;
+  const ratio = (value) => (value >= 999 ? '∞' : value.toFixed(2));
+
+  // MetricCard comparison with period B while comparing periods
+  const versusB = (pick, format, options) => {
+    if (!periods) return undefined;
+    return metricComparison(pick(metrics), metricsB ? pick(metricsB) : null, format, options);
+  };
+
+  // Initial risk from each position's stop loss, per closing fill or per position
+  const initialRisk = useMemo(() => {
+    return computeInitialRisk(positionBook.closed, { byFill: analysisMode !== 'positions' });
+  }, [positionBook, analysisMode]);
+
+  const rStats = useMemo(() => {
+    return computeRMetrics(filteredTrades, initialRisk, { equityBefore, balanceKnown });
+  }, [filteredTrades, initialRisk, equityBefore, balanceKnown]);
+
+  const sizingStats = useMemo(() => {
+    return computeSizingStats(filteredTrades, sizingSettings);
+  }, [filteredTrades, sizingSettings]);
+
+  const behaviourStats = useMemo(() => {
+    return computeBehaviourStats(filteredTrades, behaviourSettings, [...positionBook.closed, ...positionBook.open]);
+  }, [filteredTrades, behaviourSettings, positionBook]);
+
+  // Net P&L series the Monte Carlo simulation resamples, oldest first
+  const simulationPnls = useMemo(() => {
+    return [...filteredTrades].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp)).map(t => t.netPnl);
   }, [filteredTrades]);
 
   const uniqueInstruments = useMemo(() => {
@@ -462,9 +859,56 @@ const TradingDashboard = () => {
     return Array.from(instruments);
   }, [trades]);
 
+  const executionTypes = useMemo(() => {
+    return Array.from(new Set(trades.map(t => t.executionType).filter(Boolean))).sort();
+  }, [trades]);
+
+  // Choices offered by the advanced filter builder
+  const filterOptions = useMemo(() => {
+    const valuesOf = (field) => Array.from(new Set(trades.map(t => t[field]).filter(Boolean))).sort();
+    return {
+      instrument: [...uniqueInstruments].sort().map(value => ({ value, label: value })),
+      direction: ['Long', 'Short'].map(value => ({ value, label: value })),
+      outcome: OUTCOMES,
+      weekday: WEEKDAY_OPTIONS,
+      tag: [
+        ...journalTags.map(tag => ({ value: tag, label: formatTag(tag) })),
+        { value: UNTAGGED, label: 'Untagged' }
+      ],
+      strategy: [
+        ...strategyRules.map(rule => ({ value: rule.id, label: rule.name })),
+        { value: UNCLASSIFIED, label: 'Unclassified' }
+      ],
+      executionType: executionTypes.map(value => ({ value, label: value })),
+      status: valuesOf('status').map(value => ({ value, label: value }))
+    };
+  }, [trades, uniqueInstruments, journalTags, strategyRules, executionTypes]);
+
+  // Filtered records per strategy, shown next to each rule
+  const strategyCounts = useMemo(() => {
+    const counts = {};
+    filteredTrades.forEach(t => {
+      const strategy = strategyOf(t);
+      counts[strategy] = (counts[strategy] || 0) + 1;
+    });
+    return counts;
+  }, [filteredTrades, strategyOf]);
+
+  const journalEntryOf = (record) => accountData[record.accountId]?.journal?.[record.id];
+
+  // Filtered records of the instrument opened in the drill-down view
+  const instrumentRecords = useMemo(() => {
+    return instrumentView ? filteredTrades.filter(t => t.instrument === instrumentView) : null;
+  }, [filteredTrades, instrumentView]);
+
   // Table sorting and filtering
   const sortedAndFilteredTrades = useMemo(() => {
-    let result = [...filteredTrades];
+    let result = [...(instrumentRecords || filteredTrades)];
+
+    // Records picked elsewhere on the dashboard, e.g. a behavioural pattern
+    if (tradeLogSelection) {
+      result = result.filter(trade => tradeLogSelection.keys.has(recordKey(trade)));
+    }
 
     // Apply search filter
     if (searchTerm) {
@@ -472,7 +916,9 @@ const TradingDashboard = () => {
       result = result.filter(trade =>
         trade.instrument.toLowerCase().includes(term) ||
         trade.id.toLowerCase().includes(term) ||
-        trade.direction.toLowerCase().includes(term)
+        trade.direction.toLowerCase().includes(term) ||
+        tagsOf(trade).some(tag => formatTag(tag).toLowerCase().includes(term)) ||
+        (journalEntryOf(trade)?.notes || '').toLowerCase().includes(term)
       );
     }
 
@@ -490,8 +936,10 @@ const TradingDashboard = () => {
         case 'fee':
         case 'quantity':
         case 'price':
-          aValue = a[sortConfig.key];
-          bValue = b[sortConfig.key];
+        case 'exitPrice':
+        case 'holdingMs':
+          aValue = a[sortConfig.key] ?? 0;
+          bValue = b[sortConfig.key] ?? 0;
           break;
         case 'instrument':
         case 'direction':
@@ -508,7 +956,7 @@ const TradingDashboard = () => {
     });
 
     return result;
-  }, [filteredTrades, sortConfig, searchTerm]);
+  }, [filteredTrades, instrumentRecords, tradeLogSelection, sortConfig, searchTerm, tagsOf, accountData]);
 
   const handleSort = (key) => {
     setSortConfig(prev => ({
@@ -518,12 +966,33 @@ const TradingDashboard = () => {
   };
 
   const exportToCSV = () => {
-    const headers = ['Date', 'Instrument', 'Direction', 'Quantity', 'Price', 'Margin Used', 'Leverage', 'P&L', 'Fees', 'Net P&L', 'Return %'];
+    const isPositions = analysisMode === 'positions';
+    const headers = isPositions
+      ? ['Entry Date', 'Exit Date', 'Instrument', 'Direction', 'Size', 'Entry Price', 'Exit Price', 'Holding Time', 'Margin Used', 'Leverage', 'P&L', 'Fees', 'Swap', 'Net P&L', 'Currency', 'Return %']
+      : ['Date', 'Instrument', 'Direction', 'Quantity', 'Price', 'Margin Used', 'Leverage', 'P&L', 'Fees', 'Net P&L', 'Currency', 'Return %'];
     const rows = sortedAndFilteredTrades.map(trade => {
-      const positionSize = trade.quantity * trade.price;
-      const leverage = estimateLeverage(trade.instrument);
-      const margin = positionSize / leverage;
-      const returnPercent = margin > 0 ? (trade.netPnl / margin) * 100 : 0;
+      const { leverage, margin, returnPercent } = calculateMargin(trade, leverageTableFor(trade));
+
+      if (isPositions) {
+        return [
+          trade.entryTimestamp ? new Date(trade.entryTimestamp).toLocaleString() : '',
+          new Date(trade.exitTimestamp).toLocaleString(),
+          trade.instrument,
+          trade.direction,
+          trade.quantity,
+          trade.entryPrice !== null ? trade.entryPrice.toFixed(2) : '',
+          trade.exitPrice.toFixed(2),
+          formatDuration(trade.holdingMs),
+          margin.toFixed(2),
+          `${leverage}:1`,
+          trade.pnl.toFixed(2),
+          trade.fee.toFixed(2),
+          trade.swap.toFixed(2),
+          trade.netPnl.toFixed(2),
+          currency || '',
+          returnPercent.toFixed(2)
+        ];
+      }
 
       return [
         new Date(trade.timestamp).toLocaleString(),
@@ -536,26 +1005,149 @@ const TradingDashboard = () => {
         trade.pnl.toFixed(2),
         trade.fee.toFixed(2),
         trade.netPnl.toFixed(2),
+        currency || '',
         returnPercent.toFixed(2)
       ];
     });
 
+    headers.push('Rating', 'Tags', 'Notes');
+    rows.forEach((row, i) => {
+      const record = sortedAndFilteredTrades[i];
+      const entry = journalEntryOf(record);
+      row.push(entry?.rating || '', tagsOf(record).map(formatTag).join('; '), entry?.notes || '');
+    });
+
+    // The aggregate view mixes accounts, so say which one each row came from
+    if (isAllAccounts) {
+      headers.unshift('Account');
+      rows.forEach((row, i) => row.unshift(accountById[sortedAndFilteredTrades[i].accountId]?.name || ''));
+    }
+
     const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.join(','))
+      toCSVLine(headers),
+      ...rows.map(toCSVLine)
     ].join('\n');
 
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `trading_analytics_${new Date().toISOString().split('T')[0]}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadFile(csvContent, `trading_analytics_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8;');
   };
 
+  const openInstrument = (instrument) => {
+    setInstrumentView(instrument);
+    window.scrollTo(0, 0);
+  };
+
+  const showInTradeLog = (selection) => {
+    setTradeLogSelection(selection);
+    tradeLogRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  // Stacked P&L bars, one per group, for the breakdown charts
+  const renderGroupBars = () => grouping.keys.map(g => (
+    <Bar key={g.key} dataKey={d => d.groups[g.key] || 0} name={g.label} stackId="groups" fill={g.color} />
+  ));
+
+  const storageBanner = (storageWarning || quotaWarning) && (
+    <div className="mb-6 p-4 bg-amber-900/30 border border-amber-800/50 rounded-lg text-amber-300 text-sm flex justify-between items-start gap-3 text-left">
+      <div className="flex gap-3">
+        <AlertTriangle className="w-5 h-5 shrink-0" />
+        <div>
+          <p className="font-semibold mb-1">Storage problem</p>
+          {storageWarning && <p>{storageWarning}</p>}
+          {quotaWarning && <p>{quotaWarning}</p>}
+        </div>
+      </div>
+      <button
+        onClick={() => {
+          setStorageWarning(null);
+          setQuotaWarning(null);
+        }}
+        className="text-amber-300 hover:text-amber-200"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+
+  // Accounts the combined view leaves out for lack of an FX rate
+  const fxBanner = excludedAccounts.length > 0 && (
+    <div className="mb-6 p-4 bg-amber-900/30 border border-amber-800/50 rounded-lg text-amber-300 text-sm flex justify-between items-start gap-3 text-left">
+      <div className="flex gap-3">
+        <AlertTriangle className="w-5 h-5 shrink-0" />
+        <div>
+          <p className="font-semibold mb-1">Not included in the {currency} figures</p>
+          <p>
+            {excludedAccounts.map(acc => `${acc.name} (${accountData[acc.id].account.currency})`).join(', ')}
+            {excludedAccounts.length === 1 ? ' has' : ' have'} no exchange rate into {currency}, so {excludedAccounts.length === 1 ? 'its' : 'their'} trades,
+            balance and cash flows are left out of this view. Add the missing rates in the Currencies panel to include them.
+          </p>
+        </div>
+      </div>
+      {!showCurrencies && (
+        <button onClick={() => setShowCurrencies(true)} className="text-amber-300 hover:text-amber-200 underline shrink-0">
+          Currencies
+        </button>
+      )}
+    </div>
+  );
+
+  const currencyPanel = showCurrencies && isAllAccounts && (
+    <CurrencyPanel
+      accounts={accounts.map(acc => ({ ...acc, currency: accountData[acc.id]?.account.currency || null }))}
+      reportingCurrency={reportingCurrency}
+      currency={currency}
+      onReportingCurrencyChange={setReportingCurrency}
+      rates={fxRates}
+      onChange={updateFxRates}
+      onError={setError}
+    />
+  );
+
+  const importWizard = pendingImport && (
+    <ImportWizard
+      key={pendingImport.table.delimiter}
+      fileName={pendingImport.fileName}
+      table={pendingImport.table}
+      onDelimiterChange={(delimiter) => parseTradeFile(pendingImport.file, delimiter)}
+      onDownloadReport={(rejected) => downloadValidationReport(pendingImport.fileName, rejected, pendingImport.table.headers)}
+      profiles={[...BUILT_IN_PROFILES, ...importProfiles]}
+      onImport={importTrades}
+      onSaveProfile={saveImportProfile}
+      onDeleteProfile={deleteImportProfile}
+      onCancel={() => setPendingImport(null)}
+    />
+  );
+
+  const parsingOverlay = parsingFile && (
+    <div className="fixed inset-0 z-40 bg-slate-950/70 flex items-center justify-center">
+      <div className="bg-slate-800 border border-slate-700 rounded-xl p-6 w-80 text-center">
+        <div className="text-cyan-400 mb-3">Reading {parsingFile.fileName}...</div>
+        <div className="h-2 bg-slate-900 rounded-full overflow-hidden">
+          <div className="h-full bg-cyan-500 transition-all" style={{ width: `${Math.round(parsingFile.progress * 100)}%` }} />
+        </div>
+      </div>
+    </div>
+  );
+
+  const restorePanel = pendingRestore && (
+    <RestorePanel
+      backup={pendingRestore.backup}
+      fileName={pendingRestore.fileName}
+      busy={pendingRestore.busy}
+      error={pendingRestore.error}
+      onMerge={() => restoreBackup('merge')}
+      onReplace={() => restoreBackup('replace')}
+      onCancel={() => setPendingRestore(null)}
+    />
+  );
+
+  if (!storageLoaded) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-8 flex items-center justify-center">
+        <div className="text-cyan-400 text-xl">Loading saved data...</div>
+      </div>
+    );
+  }
+
   if (trades.length === 0) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-8">
@@ -570,10 +1162,36 @@ const TradingDashboard = () => {
           <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-2xl p-12 text-center shadow-2xl">
             <Upload className="w-16 h-16 mx-auto mb-6 text-cyan-400" />
             <h2 className="text-2xl font-semibold mb-4">Upload Your Trading Data</h2>
-            <p className="text-slate-400 mb-8">
-              Import your Capital.com CSV report to unlock detailed analytics and insights
+            <p className="text-slate-400 mb-6">
+              Import a CSV report from Capital.com, MetaTrader or another broker to unlock detailed analytics and insights
             </p>
 
+            <div className="flex justify-center items-center gap-3 mb-8">
+              <span className="text-sm text-slate-400">Import into</span>
+              <AccountSwitcher
+                accounts={accounts}
+                activeAccountId={activeAccountId}
+                onSwitch={switchAccount}
+                onAdd={addAccount}
+                onRename={renameAccount}
+                onDelete={deleteAccount}
+                open={showAccountManager}
+                onToggle={() => setShowAccountManager(!showAccountManager)}
+              />
+            </div>
+
+            {storageBanner}
+
+            {fxBanner}
+
+            {currencyPanel}
+
+            {importWizard}
+
+            {parsingOverlay}
+
+            {restorePanel}
+
             {error && (
               <div className="mb-6 p-4 bg-red-900/30 border border-red-800/50 rounded-lg text-red-300 text-sm">
                 <p className="font-semibold mb-1">Error loading CSV:</p>
@@ -588,19 +1206,39 @@ const TradingDashboard = () => {
               onChange={handleFileUpload}
               className="hidden"
             />
+            <input
+              ref={backupInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleBackupUpload}
+              className="hidden"
+            />
             <button
               onClick={() => fileInputRef.current?.click()}
-              className="px-8 py-4 bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-400 hover:to-blue-400 rounded-xl cursor-pointer transition-all duration-300 font-semibold text-lg shadow-lg hover:shadow-cyan-500/25 transform hover:scale-105"
+              disabled={isAllAccounts}
+              className="px-8 py-4 bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-400 hover:to-blue-400 rounded-xl cursor-pointer transition-all duration-300 font-semibold text-lg shadow-lg hover:shadow-cyan-500/25 transform hover:scale-105 disabled:opacity-40 disabled:cursor-not-allowed disabled:transform-none"
             >
               Select CSV File
             </button>
+            {isAllAccounts && (
+              <p className="mt-3 text-sm text-slate-400">Pick the account to import into above</p>
+            )}
+            <div className="mt-4">
+              <button
+                onClick={() => backupInputRef.current?.click()}
+                className="text-sm text-slate-400 hover:text-cyan-400 inline-flex items-center gap-2"
+              >
+                <FileJson className="w-4 h-4" />
+                or restore a workspace backup
+              </button>
+            </div>
 
             <div className="mt-8 text-left text-sm text-slate-500 bg-slate-900/50 rounded-lg p-6 border border-slate-700/30">
-              <p className="font-semibold text-slate-300 mb-2">Expected CSV format from Capital.com:</p>
+              <p className="font-semibold text-slate-300 mb-2">Supported CSV formats:</p>
               <ul className="space-y-1 list-disc list-inside">
-                <li>Trade Id, Instrument Symbol, Quantity, Price</li>
-                <li>Rpl Converted, Fee, Swap, Timestamp</li>
-                <li>Take Profit, Stop Loss, Execution Type</li>
+                <li>Capital.com trade history (recognised automatically)</li>
+                <li>MetaTrader 4 / 5 account history</li>
+                <li>Any other export: map its columns in the import wizard and save the mapping</li>
               </ul>
             </div>
           </div>
@@ -609,6 +1247,37 @@ const TradingDashboard = () => {
     );
   }
 
+  // Everything filtered out: offer a way back instead of an empty dashboard.
+  // Filters are checked directly since filteredTrades lags one render behind.
+  if (!metrics && records.length > 0 && applyFilters(records).length === 0) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-8 flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-xl mb-2">No {analysisMode === 'positions' ? 'positions' : 'trades'} match the current filters</div>
+          <div className="text-slate-400 mb-6">
+            {compareMode ? 'Period A has no trades with these filters.' : `${records.length} are hidden by the filters.`}
+          </div>
+          <div className="flex gap-3 justify-center">
+            {compareMode && (
+              <button
+                onClick={() => setCompareMode(false)}
+                className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors border border-slate-700"
+              >
+                Leave compare mode
+              </button>
+            )}
+            <button
+              onClick={() => applyFilterSettings({})}
+              className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors font-semibold"
+            >
+              Clear all filters
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!metrics) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-8 flex items-center justify-center">
@@ -620,6 +1289,217 @@ const TradingDashboard = () => {
     );
   }
 
+  const journalEditor = journalRecord && (
+    <JournalEditor
+      key={`${journalRecord.accountId}:${journalRecord.id}`}
+      record={journalRecord}
+      entry={journalEntryOf(journalRecord)}
+      knownTags={journalTags}
+      screenshotsAvailable={!storageFailed}
+      currency={currency}
+      onSave={saveJournal}
+      onCancel={() => setJournalRecord(null)}
+    />
+  );
+
+  // Trade log table, shared by the dashboard and the instrument view
+  const tradeLog = (
+    <div ref={tradeLogRef} className="max-w-7xl mx-auto">
+      <ChartCard
+        title={analysisMode === 'positions' ? 'Complete Position Log' : 'Complete Trade Log'}
+        subtitle={`${sortedAndFilteredTrades.length} ${analysisMode === 'positions' ? 'positions' : 'trades'}${instrumentView ? ` in ${instrumentView}` : ''}`}
+      >
+        {tradeLogSelection && (
+          <div className="mb-4 p-3 bg-cyan-900/20 border border-cyan-800/50 rounded-lg text-sm text-cyan-200 flex justify-between items-center">
+            <span>Showing only: {tradeLogSelection.label}</span>
+            <button onClick={() => setTradeLogSelection(null)} className="flex items-center gap-1 text-cyan-300 hover:text-cyan-100">
+              <X className="w-4 h-4" />
+              Show all
+            </button>
+          </div>
+        )}
+        <div className="mb-4">
+          <input
+            type="text"
+            placeholder="Search by instrument, ID, direction, tag or notes..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-cyan-500"
+          />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="border-b border-slate-700">
+              <tr className="text-left text-slate-400">
+                {analysisMode === 'positions' && (
+                  <th className="pb-3 px-2">Opened</th>
+                )}
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('timestamp')}>
+                  {analysisMode === 'positions' ? 'Closed' : 'Date'} {sortConfig.key === 'timestamp' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                {isAllAccounts && (
+                  <th className="pb-3 px-2">Account</th>
+                )}
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('instrument')}>
+                  Instrument {sortConfig.key === 'instrument' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('direction')}>
+                  Direction {sortConfig.key === 'direction' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('quantity')}>
+                  Quantity {sortConfig.key === 'quantity' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('price')}>
+                  {analysisMode === 'positions' ? 'Entry' : 'Price'} {sortConfig.key === 'price' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                {analysisMode === 'positions' && (
+                  <>
+                    <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('exitPrice')}>
+                      Exit {sortConfig.key === 'exitPrice' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                    <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('holdingMs')}>
+                      Held {sortConfig.key === 'holdingMs' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                    </th>
+                  </>
+                )}
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400">
+                  Margin Used
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('pnl')}>
+                  P&L {sortConfig.key === 'pnl' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('fee')}>
+                  Fees {sortConfig.key === 'fee' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('netPnl')}>
+                  Net P&L {sortConfig.key === 'netPnl' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
+                </th>
+                <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400">
+                  Return %
+                </th>
+                <th className="pb-3 px-2">Journal</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedAndFilteredTrades.map((trade, idx) => {
+                const { leverage, margin, returnPercent } = calculateMargin(trade, leverageTableFor(trade));
+                const entry = journalEntryOf(trade);
+                const tags = tagsOf(trade);
+                const oversizedRatio = sizingStats?.oversized.sizes.get(recordKey(trade));
+
+                return (
+                  <tr key={idx} className="border-b border-slate-800 hover:bg-slate-800/50">
+                    {analysisMode === 'positions' && (
+                      <td className="py-3 px-2 text-slate-400">
+                        {trade.entryTimestamp ? new Date(trade.entryTimestamp).toLocaleString() : 'Before export'}
+                      </td>
+                    )}
+                    <td className="py-3 px-2">{new Date(trade.timestamp).toLocaleString()}</td>
+                    {isAllAccounts && (
+                      <td className="py-3 px-2">
+                        <span className="flex items-center gap-2">
+                          <span className="w-2 h-2 rounded-full" style={{ backgroundColor: accountById[trade.accountId]?.color }} />
+                          {accountById[trade.accountId]?.name}
+                        </span>
+                      </td>
+                    )}
+                    <td className="py-3 px-2">{trade.instrument}</td>
+                    <td className="py-3 px-2">
+                      <span className={`px-2 py-1 rounded text-xs ${
+                        trade.direction === 'Long' ? 'bg-blue-900/30 text-blue-300' : 'bg-purple-900/30 text-purple-300'
+                      }`}>
+                        {trade.direction}
+                      </span>
+                    </td>
+                    <td className="py-3 px-2 whitespace-nowrap">
+                      {trade.quantity}
+                      {oversizedRatio && (
+                        <span
+                          title={`Over ${sizingSettings.oversizeMultiple}× the median size of ${trade.instrument}`}
+                          className="ml-2 px-1.5 py-0.5 rounded bg-amber-900/40 text-amber-300 text-xs"
+                        >
+                          {oversizedRatio.toFixed(1)}×
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-2">
+                      {analysisMode === 'positions'
+                        ? (trade.entryPrice !== null ? formatPrice(trade.entryPrice) : '—')
+                        : formatPrice(trade.price)}
+                    </td>
+                    {analysisMode === 'positions' && (
+                      <>
+                        <td className="py-3 px-2">{formatPrice(trade.exitPrice)}</td>
+                        <td className="py-3 px-2 text-slate-400">{formatDuration(trade.holdingMs)}</td>
+                      </>
+                    )}
+                    <td className="py-3 px-2 text-slate-300">
+                      {money(margin)}
+                      <span className="text-xs text-slate-500 ml-1">({leverage}:1)</span>
+                    </td>
+                    <td className={`py-3 px-2 font-semibold ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {money(trade.pnl)}
+                    </td>
+                    <td className="py-3 px-2 text-slate-400">{money(trade.fee)}</td>
+                    <td className={`py-3 px-2 font-bold ${trade.netPnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {money(trade.netPnl)}
+                    </td>
+                    <td className={`py-3 px-2 font-semibold ${returnPercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {returnPercent.toFixed(2)}%
+                    </td>
+                    <td className="py-3 px-2">
+                      <button
+                        onClick={() => setJournalRecord(trade)}
+                        title={entry?.notes || 'Add notes, tags, rating and screenshots'}
+                        className="flex items-center gap-2 text-slate-500 hover:text-cyan-400"
+                      >
+                        <BookOpen className={`w-4 h-4 ${entry ? 'text-cyan-400' : ''}`} />
+                        {entry?.rating > 0 && (
+                          <span className="flex items-center gap-0.5 text-amber-400 text-xs">
+                            <Star className="w-3 h-3" fill="currentColor" />
+                            {entry.rating}
+                          </span>
+                        )}
+                        {tags.slice(0, 2).map(tag => (
+                          <span key={tag} className="px-2 py-0.5 rounded bg-cyan-900/30 text-cyan-300 text-xs whitespace-nowrap">
+                            {formatTag(tag)}
+                          </span>
+                        ))}
+                        {tags.length > 2 && <span className="text-xs text-slate-500">+{tags.length - 2}</span>}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </ChartCard>
+    </div>
+  );
+
+  // Drill-down into one instrument: its own page with the trade log below
+  if (instrumentView) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-6">
+        <div className="max-w-7xl mx-auto">
+          {storageBanner}
+          {fxBanner}
+          {journalEditor}
+        </div>
+        <InstrumentDetail
+          instrument={instrumentView}
+          records={instrumentRecords}
+          equityBefore={equityBefore}
+          unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+          currency={currency}
+          onBack={() => setInstrumentView(null)}
+        />
+        {tradeLog}
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-6">
       <input
@@ -629,6 +1509,13 @@ const TradingDashboard = () => {
         onChange={handleFileUpload}
         className="hidden"
       />
+      <input
+        ref={backupInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleBackupUpload}
+        className="hidden"
+      />
       {/* Header */}
       <div className="max-w-7xl mx-auto mb-8">
         <div className="flex justify-between items-center mb-6">
@@ -637,15 +1524,76 @@ const TradingDashboard = () => {
               TRADING ANALYTICS
             </h1>
             <p className="text-slate-400">
-              {filteredTrades.length} trades analyzed
-              {filteredTrades.length !== trades.length && ` (${trades.length} total)`}
+              {filteredTrades.length} {analysisMode === 'positions' ? 'positions' : 'trades'} analyzed
+              {filteredTrades.length !== records.length && ` (${records.length} total)`}
+              {analysisMode === 'positions' && positionBook.open.length > 0 && ` • ${positionBook.open.length} still open`}
             </p>
           </div>
           
           <div className="flex gap-3 flex-wrap">
+            <AccountSwitcher
+              accounts={accounts}
+              activeAccountId={activeAccountId}
+              onSwitch={switchAccount}
+              onAdd={addAccount}
+              onRename={renameAccount}
+              onDelete={deleteAccount}
+              open={showAccountManager}
+              onToggle={() => setShowAccountManager(!showAccountManager)}
+            />
+
+            <label className={`px-3 py-2 rounded-lg flex items-center gap-2 border text-sm ${
+              grouping ? 'bg-cyan-600 border-cyan-500' : 'bg-slate-800 border-slate-700'
+            }`}>
+              <Layers className="w-4 h-4" />
+              <select
+                value={grouping ? groupBy : 'none'}
+                onChange={(e) => setGroupBy(e.target.value)}
+                disabled={compareMode}
+                title={compareMode ? 'Not available while comparing periods' : undefined}
+                className="bg-transparent focus:outline-none disabled:opacity-50"
+              >
+                <option value="none" className="bg-slate-800">No grouping</option>
+                {isAllAccounts && <option value="account" className="bg-slate-800">Split by account</option>}
+                <option value="tag" className="bg-slate-800">Split by tag</option>
+                {strategyRules.length > 0 && <option value="strategy" className="bg-slate-800">Split by strategy</option>}
+              </select>
+            </label>
+
+            <div className="flex bg-slate-800 rounded-lg border border-slate-700 p-1">
+              {[['fills', 'Fills'], ['positions', 'Positions']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  onClick={() => {
+                    setAnalysisMode(mode);
+                    setTradeLogSelection(null);
+                  }}
+                  className={`px-3 py-1 rounded-md text-sm transition-colors ${
+                    analysisMode === mode ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-slate-200'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <button
+              onClick={() => setCompareMode(!compareMode)}
+              title="Compare two periods side by side"
+              className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 border ${
+                compareMode ? 'bg-cyan-600 hover:bg-cyan-500 border-cyan-500' : 'bg-slate-800 hover:bg-slate-700 border-slate-700'
+              }`}
+            >
+              <GitCompare className="w-4 h-4" />
+              Compare
+            </button>
+
             <button
               onClick={() => setShowFilters(!showFilters)}
-              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+              title={filtersActive ? 'Filters are applied' : undefined}
+              className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 border ${
+                filtersActive ? 'bg-cyan-600 hover:bg-cyan-500 border-cyan-500' : 'bg-slate-800 hover:bg-slate-700 border-slate-700'
+              }`}
             >
               <Filter className="w-4 h-4" />
               Filters
@@ -659,12 +1607,89 @@ const TradingDashboard = () => {
               Export CSV
             </button>
 
+            {/* Imports and settings always belong to a single account */}
+            {!isAllAccounts && (
+              <>
+                <button
+                  onClick={() => fileInputRef.current?.click()}
+                  className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 cursor-pointer border border-slate-700"
+                >
+                  <Upload className="w-4 h-4" />
+                  Import CSV
+                </button>
+
+                <button
+                  onClick={() => setShowImportHistory(!showImportHistory)}
+                  className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+                >
+                  <History className="w-4 h-4" />
+                  Imports
+                </button>
+
+                <button
+                  onClick={() => setShowAccount(!showAccount)}
+                  className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+                >
+                  <Wallet className="w-4 h-4" />
+                  Account
+                </button>
+
+                <button
+                  onClick={() => setShowLeverage(!showLeverage)}
+                  className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+                >
+                  <Scale className="w-4 h-4" />
+                  Leverage
+                </button>
+              </>
+            )}
+
+            {/* The reporting currency only applies to the combined view */}
+            {isAllAccounts && (
+              <button
+                onClick={() => setShowCurrencies(!showCurrencies)}
+                title={unconvertedAccounts.length > 0 ? 'Some accounts have no currency or no exchange rate into the reporting currency' : undefined}
+                className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+              >
+                <Coins className="w-4 h-4" />
+                Currencies
+                {unconvertedAccounts.length > 0 && <AlertTriangle className="w-4 h-4 text-amber-300" />}
+              </button>
+            )}
+
             <button
-              onClick={() => fileInputRef.current?.click()}
-              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 cursor-pointer border border-slate-700"
+              onClick={() => setShowTimeZones(!showTimeZones)}
+              title={`Times shown in ${describeTimeZone(timeSettings.displayTimeZone)}`}
+              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
             >
-              <Upload className="w-4 h-4" />
-              Upload New
+              <Globe className="w-4 h-4" />
+              Time Zones
+            </button>
+
+            <button
+              onClick={() => setShowStrategies(!showStrategies)}
+              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+            >
+              <Workflow className="w-4 h-4" />
+              Strategies
+            </button>
+
+            <button
+              onClick={exportBackup}
+              title="Download a backup of all accounts, preferences and filters"
+              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+            >
+              <Save className="w-4 h-4" />
+              Backup
+            </button>
+
+            <button
+              onClick={() => backupInputRef.current?.click()}
+              title="Restore a workspace backup"
+              className="px-4 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+            >
+              <FileJson className="w-4 h-4" />
+              Restore
             </button>
 
             <button
@@ -677,17 +1702,276 @@ const TradingDashboard = () => {
           </div>
         </div>
 
+        {storageBanner}
+
+        {fxBanner}
+
+        {importWizard}
+
+        {parsingOverlay}
+
+        {journalEditor}
+
+        {restorePanel}
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-900/30 border border-red-800/50 rounded-lg text-red-300 text-sm flex justify-between items-start">
+            <div>
+              <p className="font-semibold mb-1">Error loading file:</p>
+              <p>{error}</p>
+            </div>
+            <button onClick={() => setError(null)} className="text-red-300 hover:text-red-200">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {/* Import Summary */}
+        {importSummary && (
+          <div className="mb-6 p-4 bg-cyan-900/20 border border-cyan-800/50 rounded-lg text-sm flex justify-between items-center">
+            <div>
+              <span className="font-semibold text-cyan-300">Imported {importSummary.fileName}:</span>
+              <span className="text-slate-300 ml-2">
+                {importSummary.added} added • {importSummary.updated} updated • {importSummary.skipped} skipped
+                {importSummary.newAccounts > 0 && ` • ${importSummary.newAccounts} new account(s)`}
+                {importSummary.rejected > 0 && ` • ${importSummary.rejected} rejected`}
+              </span>
+              {importSummary.currencyMismatch && (
+                <span className="text-amber-300 ml-2">
+                  • amounts are in {importSummary.currencyMismatch.file} but the account is set to {importSummary.currencyMismatch.account}
+                </span>
+              )}
+              {importSummary.rejected > 0 && (
+                <button
+                  onClick={() => downloadValidationReport(importSummary.fileName, importSummary.rejectedRows, importSummary.headers)}
+                  className="ml-3 text-cyan-400 hover:text-cyan-300 underline"
+                >
+                  Download report
+                </button>
+              )}
+            </div>
+            <button onClick={() => setImportSummary(null)} className="text-slate-400 hover:text-slate-200">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {/* Import History Panel */}
+        {showImportHistory && !isAllAccounts && (
+          <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+            <h3 className="text-lg font-semibold mb-1">Import History</h3>
+            <p className="text-sm text-slate-400 mb-4">Rolling back an import also rolls back every import made after it</p>
+            {imports.length === 0 ? (
+              <p className="text-sm text-slate-500">No imports recorded yet</p>
+            ) : (
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {[...imports].reverse().map(imp => (
+                  <div key={imp.id} className="flex justify-between items-center bg-slate-900/50 rounded-lg p-3">
+                    <div>
+                      <div className="font-semibold">{imp.fileName}</div>
+                      <div className="text-xs text-slate-400">
+                        {new Date(imp.importedAt).toLocaleString()} • {imp.added} added • {imp.updated} updated • {imp.skipped} skipped
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => rollbackToImport(imp.id)}
+                      className="px-3 py-1 text-sm bg-red-900/30 hover:bg-red-900/50 rounded-lg transition-colors flex items-center gap-2 border border-red-800/50"
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                      Roll back
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Account Panel */}
+        {showAccount && !isAllAccounts && (
+          <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+            <input
+              ref={cashFlowInputRef}
+              type="file"
+              accept=".csv"
+              onChange={handleCashFlowUpload}
+              className="hidden"
+            />
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-semibold mb-1">Account Balance</h3>
+                <p className="text-sm text-slate-400">
+                  Returns and drawdown % are measured against account equity once a balance is set
+                </p>
+              </div>
+              <div className="text-right">
+                <div className="text-sm text-slate-400">Current balance</div>
+                <div className="text-xl font-bold" style={{ fontFamily: 'SF Mono, Monaco, Consolas, monospace' }}>
+                  {money(account.startingBalance + totalCashFlows(account) + records.reduce((sum, t) => sum + t.netPnl, 0))}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Starting Balance</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={account.startingBalance || ''}
+                  onChange={(e) => updateAccountSettings(prev => ({ ...prev, startingBalance: parseFloat(e.target.value) || 0 }))}
+                  placeholder="0.00"
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Currency</label>
+                <select
+                  value={account.currency || ''}
+                  onChange={(e) => updateAccountSettings(prev => ({ ...prev, currency: e.target.value || null }))}
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                >
+                  <option value="">Not set</option>
+                  {Array.from(new Set([account.currency, ...COMMON_CURRENCIES].filter(Boolean))).map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex justify-between items-center mb-3">
+              <h4 className="font-semibold">Deposits & Withdrawals</h4>
+              <button
+                onClick={() => cashFlowInputRef.current?.click()}
+                className="px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+              >
+                <Upload className="w-3 h-3" />
+                Import CSV
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+              <input
+                type="date"
+                value={newCashFlow.date}
+                onChange={(e) => setNewCashFlow({ ...newCashFlow, date: e.target.value })}
+                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={newCashFlow.amount}
+                onChange={(e) => setNewCashFlow({ ...newCashFlow, amount: e.target.value })}
+                placeholder="Amount (negative for withdrawals)"
+                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+              />
+              <input
+                type="text"
+                value={newCashFlow.note}
+                onChange={(e) => setNewCashFlow({ ...newCashFlow, note: e.target.value })}
+                placeholder="Note (optional)"
+                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+              />
+              <button
+                onClick={addCashFlow}
+                className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors flex items-center justify-center gap-2 text-sm"
+              >
+                <Plus className="w-4 h-4" />
+                Add
+              </button>
+            </div>
+
+            {account.cashFlows.length === 0 ? (
+              <p className="text-sm text-slate-500">No deposits or withdrawals recorded</p>
+            ) : (
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {[...account.cashFlows].sort((a, b) => b.date.localeCompare(a.date)).map(flow => (
+                  <div key={flow.id} className="flex justify-between items-center bg-slate-900/50 rounded-lg p-3">
+                    <div>
+                      <div className="font-semibold">{flow.amount >= 0 ? 'Deposit' : 'Withdrawal'}</div>
+                      <div className="text-xs text-slate-400">
+                        {new Date(toTime(flow.date)).toLocaleDateString()}{flow.note && ` • ${flow.note}`}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      <span className={`font-bold ${flow.amount >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                        {money(flow.amount)}
+                      </span>
+                      <button onClick={() => removeCashFlow(flow.id)} className="text-slate-500 hover:text-red-400">
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Leverage Panel */}
+        {showLeverage && !isAllAccounts && (
+          <LeveragePanel
+            table={activeData.leverageTable}
+            onChange={(table) => updateAccountData(activeAccountId, { leverageTable: table })}
+            instruments={uniqueInstruments}
+            onError={setError}
+          />
+        )}
+
+        {/* Currencies */}
+        {currencyPanel}
+
+        {/* Time Zones */}
+        {showTimeZones && (
+          <TimeZonePanel
+            settings={timeSettings}
+            onChange={setTimeSettings}
+            sample={timeSample}
+          />
+        )}
+
+        {/* Strategy Rules */}
+        {showStrategies && (
+          <StrategyPanel
+            rules={strategyRules}
+            onChange={updateStrategyRules}
+            executionTypes={executionTypes}
+            counts={strategyCounts}
+            unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+          />
+        )}
+
+        {/* Period Comparison */}
+        {compareMode && (
+          <PeriodComparison
+            comparison={comparison}
+            counts={{ a: filteredTrades.length, b: recordsB.length }}
+            unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+            onChange={setComparison}
+          />
+        )}
+
         {/* Filters Panel */}
         {showFilters && (
           <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <FilterPresets
+              presets={filterPresets}
+              onApply={(preset) => applyFilterSettings(preset.filters)}
+              onSave={saveFilterPreset}
+              onDelete={(id) => updateFilterPresets(filterPresets.filter(p => p.id !== id))}
+            />
+
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
               <div>
                 <label className="block text-sm text-slate-400 mb-2">Start Date</label>
                 <input
                   type="date"
                   value={dateRange.start}
                   onChange={(e) => setDateRange({ ...dateRange, start: e.target.value })}
-                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                  disabled={compareMode}
+                  title={compareMode ? 'Compare mode uses the dates of period A' : undefined}
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm disabled:opacity-40"
                 />
               </div>
               
@@ -697,7 +1981,9 @@ const TradingDashboard = () => {
                   type="date"
                   value={dateRange.end}
                   onChange={(e) => setDateRange({ ...dateRange, end: e.target.value })}
-                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                  disabled={compareMode}
+                  title={compareMode ? 'Compare mode uses the dates of period A' : undefined}
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm disabled:opacity-40"
                 />
               </div>
               
@@ -727,14 +2013,29 @@ const TradingDashboard = () => {
                   ))}
                 </select>
               </div>
+
+              <div>
+                <label className="block text-sm text-slate-400 mb-2">Journal Tag</label>
+                <select
+                  value={filterTag}
+                  onChange={(e) => setFilterTag(e.target.value)}
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                >
+                  <option value="all">All</option>
+                  <option value={UNTAGGED}>Untagged</option>
+                  {journalTags.map(tag => (
+                    <option key={tag} value={tag}>{formatTag(tag)}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="mt-6">
+              <FilterBuilder filter={advancedFilter} options={filterOptions} onChange={setAdvancedFilter} />
             </div>
             
             <button
-              onClick={() => {
-                setDateRange({ start: '', end: '' });
-                setFilterDirection('all');
-                setFilterInstrument('all');
-              }}
+              onClick={() => applyFilterSettings({})}
               className="mt-4 text-sm text-cyan-400 hover:text-cyan-300"
             >
               Clear all filters
@@ -748,11 +2049,12 @@ const TradingDashboard = () => {
         <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <MetricCard
             title="Total P&L"
-            value={`$${metrics.totalPnl.toFixed(2)}`}
+            value={money(metrics.totalPnl)}
             subtitle={`${metrics.totalTrades} trades`}
             icon={<DollarSign />}
             positive={metrics.totalPnl >= 0}
             highlight
+            comparison={versusB(m => m.totalPnl, money)}
           />
           
           <MetricCard
@@ -761,6 +2063,7 @@ const TradingDashboard = () => {
             subtitle={`${metrics.winners}W / ${metrics.losers}L`}
             icon={<Target />}
             positive={metrics.winRate >= 50}
+            comparison={versusB(m => m.winRate, percent)}
           />
           
           <MetricCard
@@ -769,41 +2072,57 @@ const TradingDashboard = () => {
             subtitle={metrics.profitFactor >= 2 ? 'Excellent' : metrics.profitFactor >= 1.5 ? 'Good' : 'Fair'}
             icon={<TrendingUp />}
             positive={metrics.profitFactor >= 1.5}
+            comparison={versusB(m => m.profitFactor, ratio)}
           />
           
           <MetricCard
             title="Avg Win/Loss"
-            value={`$${metrics.avgWin.toFixed(2)}`}
-            subtitle={`/ $${metrics.avgLoss.toFixed(2)}`}
+            value={money(metrics.avgWin)}
+            subtitle={`/ ${money(metrics.avgLoss)}`}
             icon={<TrendingUp />}
             positive={metrics.avgWin > metrics.avgLoss}
+            comparison={versusB(m => m.avgWin, money)}
           />
           
           <MetricCard
             title="Risk:Reward"
             value={`1:${metrics.riskReward.toFixed(2)}`}
-            subtitle={`Total fees: $${metrics.totalFees.toFixed(2)}`}
+            subtitle={`Total fees: ${money(metrics.totalFees)}`}
             icon={<Target />}
             positive={metrics.riskReward >= 1.5}
+            comparison={versusB(m => m.riskReward, v => `1:${v.toFixed(2)}`, { formatDelta: ratio })}
           />
         </div>
 
         {/* Advanced Metrics */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
+        <div className={`grid grid-cols-1 ${balanceKnown ? 'md:grid-cols-5' : 'md:grid-cols-4'} gap-4 mt-4`}>
           <MetricCard
             title="Expectancy"
-            value={`$${metrics.expectancy.toFixed(2)}`}
+            value={money(metrics.expectancy)}
             subtitle="Expected value/trade"
             icon={<TrendingUp />}
             positive={metrics.expectancy > 0}
+            comparison={versusB(m => m.expectancy, money)}
           />
 
+          {balanceKnown && (
+            <MetricCard
+              title="Time-Weighted Return"
+              value={`${metrics.timeWeightedReturn.toFixed(2)}%`}
+              subtitle="Excludes deposits & withdrawals"
+              icon={<Percent />}
+              positive={metrics.timeWeightedReturn >= 0}
+              comparison={versusB(m => m.timeWeightedReturn, v => `${v.toFixed(2)}%`)}
+            />
+          )}
+
           <MetricCard
             title="Max Drawdown"
-            value={`$${metrics.maxDrawdown.toFixed(2)}`}
-            subtitle={`${metrics.maxDrawdownPercent.toFixed(1)}% from peak`}
+            value={money(metrics.maxDrawdown)}
+            subtitle={`${metrics.maxDrawdownPercent.toFixed(1)}% from ${balanceKnown ? 'equity peak' : 'peak'}`}
             icon={<TrendingDown />}
             positive={false}
+            comparison={versusB(m => m.maxDrawdown, money, { higherIsBetter: false })}
           />
 
           <MetricCard
@@ -812,16 +2131,27 @@ const TradingDashboard = () => {
             subtitle={metrics.recoveryFactor >= 3 ? 'Excellent' : metrics.recoveryFactor >= 2 ? 'Good' : 'Fair'}
             icon={<Target />}
             positive={metrics.recoveryFactor >= 2}
+            comparison={versusB(m => m.recoveryFactor, ratio)}
           />
 
           <MetricCard
-            title="Avg Duration"
-            value={`${Math.floor(metrics.avgTradeDurationMins)}m`}
-            subtitle="Time between trades"
+            title="Avg Holding Time"
+            value={holdingStats ? formatDuration(holdingStats.mean) : '—'}
+            subtitle={holdingStats ? `Median ${formatDuration(holdingStats.median)}` : 'No closed positions'}
             icon={<Clock />}
             positive={true}
+            comparison={periods ? metricComparison(holdingStats?.mean ?? null, holdingStatsB?.mean ?? null, formatDuration, { higherIsBetter: null }) : undefined}
           />
         </div>
+
+        {/* Risk-Adjusted Metrics */}
+        <RiskPanel
+          risk={risk}
+          settings={riskSettings}
+          onSettingsChange={setRiskSettings}
+          baseline={periods ? riskB : undefined}
+          currency={currency}
+        />
       </div>
 
       {/* Charts Section */}
@@ -846,7 +2176,7 @@ const TradingDashboard = () => {
                 itemStyle={{ color: '#e2e8f0' }}
                 formatter={(value, name) => {
                   if (name === 'trades') return [value, 'Trades'];
-                  if (name === 'pnl') return [`$${value.toFixed(2)}`, 'P&L'];
+                  if (name === 'pnl') return [money(value), 'P&L'];
                   return [value, name];
                 }}
               />
@@ -856,82 +2186,195 @@ const TradingDashboard = () => {
           </ResponsiveContainer>
         </ChartCard>
 
+        {/* P&L Calendar */}
+        <ChartCard title="P&L Calendar" subtitle="Daily net P&L with weekly and monthly totals • click a day for its trades" span2>
+          <PnlCalendar
+            days={metrics.tradesByDate}
+            records={filteredTrades}
+            unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+            currency={currency}
+            onFilterDay={compareMode ? undefined : (date) => setDateRange({ start: date, end: date })}
+          />
+        </ChartCard>
+
         {/* Equity Curve */}
-        <ChartCard title="Equity Curve" subtitle="Cumulative P&L over time">
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={metrics.equityCurve}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-              <XAxis dataKey="date" stroke="#94a3b8" style={{ fontSize: '12px' }} />
-              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
-              <Tooltip
-                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
-                labelStyle={{ color: '#e2e8f0' }}
-                itemStyle={{ color: '#e2e8f0' }}
-                formatter={(value) => [`$${value.toFixed(2)}`, 'Equity']}
-              />
-              <Line
-                type="monotone"
-                dataKey="equity"
-                stroke="#06b6d4"
-                strokeWidth={2}
-                dot={{ fill: '#06b6d4', r: 3 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
+        <ChartCard
+          title="Equity Curve"
+          subtitle={periods
+            ? 'Cumulative P&L by trade number, period A vs period B'
+            : `${grouping ? `Cumulative P&L per ${grouping.title.toLowerCase()}` : balanceKnown ? 'Account equity over time' : 'Cumulative P&L over time'} • cost drag on the right axis`}
+        >
+          {periods ? (
+            <ComparisonEquityChart curveA={metrics.equityCurve} curveB={metricsB ? metricsB.equityCurve : []} currency={currency} />
+          ) : (
+            <>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={metrics.equityCurve} syncId="equity">
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="date" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                  <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} domain={balanceKnown ? ['auto', 'auto'] : undefined} />
+                  <YAxis yAxisId="costs" orientation="right" stroke="#f87171" style={{ fontSize: '12px' }} />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                    labelStyle={{ color: '#e2e8f0' }}
+                    itemStyle={{ color: '#e2e8f0' }}
+                    formatter={(value, name) => [money(value), name]}
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey={balanceKnown && !grouping ? 'balance' : 'equity'}
+                    name={balanceKnown && !grouping ? 'Account Equity' : grouping ? 'Total' : 'Equity'}
+                    stroke="#06b6d4"
+                    strokeWidth={2}
+                    dot={{ fill: '#06b6d4', r: 3 }}
+                  />
+                  {grouping && grouping.keys.map(g => (
+                    <Line
+                      key={g.key}
+                      type="monotone"
+                      dataKey={d => d.groups[g.key]}
+                      name={g.label}
+                      stroke={g.color}
+                      strokeWidth={2}
+                      strokeDasharray="4 2"
+                      dot={false}
+                    />
+                  ))}
+                  {/* Cumulative fees and swap */}
+                  <Line
+                    yAxisId="costs"
+                    type="monotone"
+                    dataKey="costDrag"
+                    name="Cost Drag (fees + swap)"
+                    stroke="#f87171"
+                    strokeWidth={1.5}
+                    strokeDasharray="6 3"
+                    dot={false}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+
+              {/* Underwater: distance below the running peak */}
+              <div className="text-sm text-slate-400 mt-4 mb-1">Underwater ({balanceKnown ? '% below equity peak' : `${currency || 'amount'} below peak`})</div>
+              <ResponsiveContainer width="100%" height={120}>
+                <AreaChart data={metrics.equityCurve} syncId="equity" margin={{ top: 5, right: 65, bottom: 5, left: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="date" stroke="#94a3b8" style={{ fontSize: '12px' }} hide />
+                  <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} domain={['auto', 0]} />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                    labelStyle={{ color: '#e2e8f0' }}
+                    itemStyle={{ color: '#e2e8f0' }}
+                    formatter={(value) => [balanceKnown ? `${value.toFixed(2)}%` : money(value), 'Drawdown']}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey={d => -(balanceKnown ? d.drawdownPercent : d.drawdown)}
+                    stroke="#ef4444"
+                    fill="#ef4444"
+                    fillOpacity={0.3}
+                  />
+                </AreaChart>
+              </ResponsiveContainer>
+            </>
+          )}
         </ChartCard>
 
         {/* Day Performance */}
-        <ChartCard title="Performance by Day" subtitle="Which days are most profitable">
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={metrics.dayPerformance}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-              <XAxis dataKey="day" stroke="#94a3b8" style={{ fontSize: '12px' }} />
-              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
-              <Tooltip
-                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
-                labelStyle={{ color: '#e2e8f0' }}
-                itemStyle={{ color: '#e2e8f0' }}
-                formatter={(value, name) => {
-                  if (name === 'pnl') return [`$${value.toFixed(2)}`, 'P&L'];
-                  if (name === 'trades') return [value, 'Trades'];
-                  return [value, name];
-                }}
-              />
-              <Bar dataKey="pnl" fill="#06b6d4" radius={[8, 8, 0, 0]} />
-              <Bar dataKey="trades" fill="#8b5cf6" radius={[8, 8, 0, 0]} hide />
-            </BarChart>
-          </ResponsiveContainer>
+        <ChartCard title="Performance by Day" subtitle={periods ? 'P&L per weekday, period A vs period B' : 'Which days are most profitable'}>
+          {periods ? (
+            <ComparisonBarChart
+              data={overlayBuckets(metrics.dayPerformance, metricsB ? metricsB.dayPerformance : [], 'day', DAY_ORDER)}
+              dataKey="day"
+              currency={currency}
+            />
+          ) : (
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={metrics.dayPerformance}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="day" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  itemStyle={{ color: '#e2e8f0' }}
+                  formatter={(value, name) => {
+                    if (name === 'pnl') return [money(value), 'P&L'];
+                    if (name === 'trades') return [value, 'Trades'];
+                    if (grouping) return [money(value), name];
+                    return [value, name];
+                  }}
+                />
+                {grouping ? renderGroupBars() : <Bar dataKey="pnl" fill="#06b6d4" radius={[8, 8, 0, 0]} />}
+                <Bar dataKey="trades" fill="#8b5cf6" radius={[8, 8, 0, 0]} hide />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
         </ChartCard>
 
         {/* Hour Performance */}
-        <ChartCard title="Performance by Hour" subtitle="Best trading times">
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={metrics.hourPerformance}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-              <XAxis dataKey="hour" stroke="#94a3b8" style={{ fontSize: '10px' }} />
-              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
-              <Tooltip
-                contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
-                labelStyle={{ color: '#e2e8f0' }}
-                itemStyle={{ color: '#e2e8f0' }}
-                formatter={(value, name, props) => {
-                  if (name === 'pnl') return [`$${value.toFixed(2)}`, 'P&L'];
-                  return [value, name];
-                }}
-                labelFormatter={(label) => `Hour: ${label}`}
-              />
-              <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
-                {metrics.hourPerformance.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />
-                ))}
-              </Bar>
-              <Bar dataKey="trades" fill="#8b5cf6" radius={[8, 8, 0, 0]} hide />
-            </BarChart>
-          </ResponsiveContainer>
+        <ChartCard title="Performance by Hour" subtitle={periods ? 'P&L per hour, period A vs period B' : 'Best trading times'}>
+          {periods ? (
+            <ComparisonBarChart
+              data={overlayBuckets(metrics.hourPerformance, metricsB ? metricsB.hourPerformance : [], 'hour', HOUR_ORDER)}
+              dataKey="hour"
+              labelFormatter={(label) => `Hour: ${label}`}
+              currency={currency}
+            />
+          ) : (
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={metrics.hourPerformance}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="hour" stroke="#94a3b8" style={{ fontSize: '10px' }} />
+                <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  itemStyle={{ color: '#e2e8f0' }}
+                  formatter={(value, name, props) => {
+                    if (name === 'pnl') return [money(value), 'P&L'];
+                    if (grouping && name !== 'trades') return [money(value), name];
+                    return [value, name];
+                  }}
+                  labelFormatter={(label) => `Hour: ${label}`}
+                />
+                {grouping ? renderGroupBars() : (
+                  <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+                    {metrics.hourPerformance.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />
+                    ))}
+                  </Bar>
+                )}
+                <Bar dataKey="trades" fill="#8b5cf6" radius={[8, 8, 0, 0]} hide />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </ChartCard>
+
+        {/* Hour x Weekday Heatmap */}
+        <ChartCard
+          title="Hour × Weekday"
+          subtitle={`Net P&L of each hour of each weekday${periods ? ' (period A)' : ''}`}
+          span2
+        >
+          <HourWeekdayHeatmap grid={metrics.hourWeekdayGrid} unit={analysisMode === 'positions' ? 'positions' : 'trades'} currency={currency} />
+        </ChartCard>
+
+        {/* Trading Sessions */}
+        <ChartCard
+          title="Trading Sessions"
+          subtitle={`P&L by market session and overlap${periods ? ' (period A)' : ''} • hours in ${describeTimeZone(timeSettings.displayTimeZone)}`}
+        >
+          <SessionBreakdown
+            stats={sessionStats}
+            displayTimeZone={timeSettings.displayTimeZone}
+            unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+            currency={currency}
+          />
         </ChartCard>
 
         {/* Monthly Performance */}
-        <ChartCard title="Monthly Performance" subtitle="P&L by month">
+        <ChartCard title="Monthly Performance" subtitle={balanceKnown ? 'P&L and return by month' : 'P&L by month'}>
           <ResponsiveContainer width="100%" height={300}>
             <BarChart data={metrics.monthlyPerformance}>
               <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
@@ -942,25 +2385,39 @@ const TradingDashboard = () => {
                 labelStyle={{ color: '#e2e8f0' }}
                 itemStyle={{ color: '#e2e8f0' }}
                 formatter={(value, name) => {
-                  if (name === 'pnl') return [`$${value.toFixed(2)}`, 'P&L'];
+                  if (name === 'pnl') return [money(value), 'P&L'];
+                  if (name === 'returnPct') return [`${value.toFixed(2)}%`, 'Return'];
                   if (name === 'trades') return [value, 'Trades'];
                   if (name === 'winners') return [value, 'Wins'];
                   if (name === 'losers') return [value, 'Losses'];
+                  if (grouping) return [money(value), name];
                   return [value, name];
                 }}
               />
-              <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
-                {metrics.monthlyPerformance.map((entry, index) => (
-                  <Cell key={`cell-${index}`} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />
-                ))}
-              </Bar>
+              {grouping ? renderGroupBars() : (
+                <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+                  {metrics.monthlyPerformance.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />
+                  ))}
+                </Bar>
+              )}
               <Bar dataKey="trades" fill="#8b5cf6" radius={[8, 8, 0, 0]} hide />
               <Bar dataKey="winners" fill="#10b981" radius={[8, 8, 0, 0]} hide />
               <Bar dataKey="losers" fill="#ef4444" radius={[8, 8, 0, 0]} hide />
+              {balanceKnown && <Bar dataKey="returnPct" fill="#06b6d4" radius={[8, 8, 0, 0]} hide />}
             </BarChart>
           </ResponsiveContainer>
         </ChartCard>
 
+        {/* Costs */}
+        <ChartCard
+          title="Cost Analysis"
+          subtitle={`Gross vs net P&L, commissions and overnight swap${periods ? ' (period A)' : ''}`}
+          span2
+        >
+          <CostAnalysis stats={costStats} unit={analysisMode === 'positions' ? 'positions' : 'trades'} currency={currency} />
+        </ChartCard>
+
         {/* Win/Loss Distribution */}
         <ChartCard title="Win/Loss Distribution" subtitle="Trade outcome breakdown">
           <ResponsiveContainer width="100%" height={300}>
@@ -1009,7 +2466,7 @@ const TradingDashboard = () => {
                 contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
                 labelStyle={{ color: '#e2e8f0' }}
                 itemStyle={{ color: '#e2e8f0' }}
-                formatter={(value) => [`$${value.toFixed(2)}`, 'Amount']}
+                formatter={(value) => [money(value), 'Amount']}
               />
             </PieChart>
           </ResponsiveContainer>
@@ -1022,7 +2479,7 @@ const TradingDashboard = () => {
               <div className="flex justify-between items-center mb-2">
                 <span className="text-slate-400 text-sm">Largest Win</span>
                 <span className="text-xl font-bold text-green-400">
-                  ${metrics.bestTrades[0]?.netPnl.toFixed(2) || '0.00'}
+                  {money(metrics.bestTrades[0]?.netPnl || 0)}
                 </span>
               </div>
               <div className="text-xs text-slate-500">
@@ -1033,7 +2490,7 @@ const TradingDashboard = () => {
               <div className="flex justify-between items-center mb-2">
                 <span className="text-slate-400 text-sm">Largest Loss</span>
                 <span className="text-xl font-bold text-red-400">
-                  ${metrics.worstTrades[0]?.netPnl.toFixed(2) || '0.00'}
+                  {money(metrics.worstTrades[0]?.netPnl || 0)}
                 </span>
               </div>
               <div className="text-xs text-slate-500">
@@ -1044,7 +2501,7 @@ const TradingDashboard = () => {
               <div className="flex justify-between items-center">
                 <span className="text-slate-400 text-sm">Avg Trade P&L</span>
                 <span className={`text-xl font-bold ${(metrics.totalPnl / metrics.totalTrades) >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                  ${(metrics.totalPnl / metrics.totalTrades).toFixed(2)}
+                  {money(metrics.totalPnl / metrics.totalTrades)}
                 </span>
               </div>
             </div>
@@ -1059,7 +2516,7 @@ const TradingDashboard = () => {
                 <div className="flex justify-between items-center mb-2">
                   <span className="font-semibold text-lg">{stat.name}</span>
                   <span className={`text-xl font-bold ${stat.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                    ${stat.pnl.toFixed(2)}
+                    {money(stat.pnl)}
                   </span>
                 </div>
                 <div className="flex justify-between text-sm text-slate-400">
@@ -1070,8 +2527,128 @@ const TradingDashboard = () => {
             ))}
           </div>
         </ChartCard>
+
+        {/* Group Breakdown */}
+        {grouping && (
+          <ChartCard title={`${grouping.title} Breakdown`} subtitle={`Performance per ${grouping.title.toLowerCase()}`} span2>
+            <div className="space-y-2">
+              {metrics.groupStats.map(group => (
+                <div key={group.key} className="flex justify-between items-center bg-slate-900/50 rounded-lg p-3">
+                  <div className="flex items-center gap-3">
+                    <span className="w-3 h-3 rounded-full" style={{ backgroundColor: group.color }} />
+                    <div>
+                      <div className="font-semibold">{group.label}</div>
+                      <div className="text-xs text-slate-400">
+                        {group.trades} trades • Win rate: {group.winRate.toFixed(1)}% • PF: {group.profitFactor >= 999 ? '∞' : group.profitFactor.toFixed(2)} • Expectancy: {money(group.expectancy)}
+                      </div>
+                    </div>
+                  </div>
+                  <div className={`text-lg font-bold ${group.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {money(group.pnl)}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </ChartCard>
+        )}
+      </div>
+
+      {/* Drawdown Episodes */}
+      <div className="max-w-7xl mx-auto mb-8">
+        <DrawdownEpisodes
+          episodes={metrics.drawdownEpisodes}
+          balanceKnown={balanceKnown}
+          dateRange={dateRange}
+          onSelect={(range) => setDateRange(range || { start: '', end: '' })}
+          currency={currency}
+        />
       </div>
 
+      {/* R-Multiples */}
+      <RMultiplePanel
+        stats={rStats}
+        balanceKnown={balanceKnown}
+        unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+        currency={currency}
+      />
+
+      {/* Position Sizing */}
+      <SizingPanel
+        stats={sizingStats}
+        settings={sizingSettings}
+        onSettingsChange={setSizingSettings}
+        overall={metrics}
+        unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+        currency={currency}
+      />
+
+      {/* Behavioural Patterns */}
+      <BehaviourPanel
+        stats={behaviourStats}
+        settings={behaviourSettings}
+        onSettingsChange={setBehaviourSettings}
+        unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+        currency={currency}
+        onShowTrades={showInTradeLog}
+      />
+
+      {/* Monte Carlo Simulation */}
+      <MonteCarloPanel
+        pnls={simulationPnls}
+        startingEquity={balanceKnown ? metrics.equityCurve[metrics.equityCurve.length - 1].balance : 0}
+        balanceKnown={balanceKnown}
+        historicalMaxDrawdown={metrics.maxDrawdown}
+        unit={analysisMode === 'positions' ? 'positions' : 'trades'}
+        currency={currency}
+      />
+
+      {/* Holding Time */}
+      {holdingStats && (
+        <div className="max-w-7xl mx-auto mb-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <ChartCard title="Holding Time Distribution" subtitle={`${holdingStats.count} closed positions`}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={holdingStats.histogram}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="label" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  itemStyle={{ color: '#e2e8f0' }}
+                  formatter={(value, name) => {
+                    if (name === 'trades') return [value, 'Positions'];
+                    if (name === 'pnl') return [money(value), 'P&L'];
+                    return [value, name];
+                  }}
+                />
+                <Bar dataKey="trades" fill="#06b6d4" radius={[8, 8, 0, 0]} />
+                <Bar dataKey="pnl" fill="#10b981" radius={[8, 8, 0, 0]} hide />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="P&L by Holding Time" subtitle="Scalps (<15m), intraday, overnight and multi-day">
+            <div className="space-y-3">
+              {holdingStats.buckets.map(bucket => (
+                <div key={bucket.name} className="bg-slate-900/50 rounded-lg p-4">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="font-semibold">{bucket.name}</span>
+                    <span className={`text-lg font-bold ${bucket.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {money(bucket.pnl)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-sm text-slate-400">
+                    <span>{bucket.trades} positions • Win rate: {bucket.winRate.toFixed(1)}%</span>
+                    <span>Avg held: {bucket.trades > 0 ? formatDuration(bucket.avgHolding) : '—'}</span>
+                    <span className={bucket.swap < 0 ? 'text-red-400' : ''}>Swap: {money(bucket.swap)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </ChartCard>
+        </div>
+      )}
+
       {/* Best and Worst Trades */}
       <div className="max-w-7xl mx-auto mb-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
         <ChartCard title="Top 5 Wins" subtitle="Your best performing trades">
@@ -1083,7 +2660,7 @@ const TradingDashboard = () => {
                   <div className="text-xs text-slate-400">{new Date(trade.timestamp).toLocaleString()}</div>
                 </div>
                 <div className="text-right">
-                  <div className="text-green-400 font-bold">${trade.netPnl.toFixed(2)}</div>
+                  <div className="text-green-400 font-bold">{money(trade.netPnl)}</div>
                   <div className="text-xs text-slate-400">{trade.direction}</div>
                 </div>
               </div>
@@ -1100,7 +2677,7 @@ const TradingDashboard = () => {
                   <div className="text-xs text-slate-400">{new Date(trade.timestamp).toLocaleString()}</div>
                 </div>
                 <div className="text-right">
-                  <div className="text-red-400 font-bold">${trade.netPnl.toFixed(2)}</div>
+                  <div className="text-red-400 font-bold">{money(trade.netPnl)}</div>
                   <div className="text-xs text-slate-400">{trade.direction}</div>
                 </div>
               </div>
@@ -1125,152 +2702,34 @@ const TradingDashboard = () => {
             </div>
           </ChartCard>
 
-          <ChartCard title="Instrument Breakdown" subtitle="Performance by symbol">
+          <ChartCard title="Instrument Breakdown" subtitle="Performance by symbol • click one for its own view">
             <div className="space-y-2 max-h-64 overflow-y-auto">
               {metrics.instruments.map((inst, idx) => (
-                <div key={idx} className="flex justify-between items-center bg-slate-900/50 rounded-lg p-3">
+                <button
+                  key={idx}
+                  onClick={() => openInstrument(inst.name)}
+                  className="w-full text-left flex justify-between items-center bg-slate-900/50 hover:bg-slate-900 rounded-lg p-3 transition-colors"
+                >
                   <div>
                     <div className="font-semibold">{inst.name}</div>
                     <div className="text-xs text-slate-400">
                       {inst.trades} trades • Win rate: {inst.winRate.toFixed(1)}% ({inst.winners}W / {inst.losers}L)
                     </div>
                   </div>
-                  <div className={`text-lg font-bold ${inst.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                    ${inst.pnl.toFixed(2)}
+                  <div className={`text-lg font-bold flex items-center gap-2 ${inst.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                    {money(inst.pnl)}
+                    <ChevronRight className="w-4 h-4 text-slate-500" />
                   </div>
-                </div>
+                </button>
               ))}
             </div>
           </ChartCard>
         </div>
       </div>
 
-      {/* Trade Log Table */}
-      <div className="max-w-7xl mx-auto">
-        <ChartCard title="Complete Trade Log" subtitle={`${sortedAndFilteredTrades.length} trades`}>
-          <div className="mb-4">
-            <input
-              type="text"
-              placeholder="Search by instrument, ID, or direction..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-sm focus:outline-none focus:border-cyan-500"
-            />
-          </div>
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm">
-              <thead className="border-b border-slate-700">
-                <tr className="text-left text-slate-400">
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('timestamp')}>
-                    Date {sortConfig.key === 'timestamp' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('instrument')}>
-                    Instrument {sortConfig.key === 'instrument' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('direction')}>
-                    Direction {sortConfig.key === 'direction' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('quantity')}>
-                    Quantity {sortConfig.key === 'quantity' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('price')}>
-                    Price {sortConfig.key === 'price' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400">
-                    Margin Used
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('pnl')}>
-                    P&L {sortConfig.key === 'pnl' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('fee')}>
-                    Fees {sortConfig.key === 'fee' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('netPnl')}>
-                    Net P&L {sortConfig.key === 'netPnl' && (sortConfig.direction === 'asc' ? '↑' : '↓')}
-                  </th>
-                  <th className="pb-3 px-2 cursor-pointer hover:text-cyan-400">
-                    Return %
-                  </th>
-                </tr>
-              </thead>
-              <tbody>
-                {sortedAndFilteredTrades.map((trade, idx) => {
-                  const positionSize = trade.quantity * trade.price;
-                  const leverage = estimateLeverage(trade.instrument);
-                  const margin = positionSize / leverage;
-                  const returnPercent = margin > 0 ? (trade.netPnl / margin) * 100 : 0;
-
-                  return (
-                    <tr key={idx} className="border-b border-slate-800 hover:bg-slate-800/50">
-                      <td className="py-3 px-2">{new Date(trade.timestamp).toLocaleString()}</td>
-                      <td className="py-3 px-2">{trade.instrument}</td>
-                      <td className="py-3 px-2">
-                        <span className={`px-2 py-1 rounded text-xs ${
-                          trade.direction === 'Long' ? 'bg-blue-900/30 text-blue-300' : 'bg-purple-900/30 text-purple-300'
-                        }`}>
-                          {trade.direction}
-                        </span>
-                      </td>
-                      <td className="py-3 px-2">{trade.quantity}</td>
-                      <td className="py-3 px-2">${trade.price.toFixed(2)}</td>
-                      <td className="py-3 px-2 text-slate-300">
-                        ${margin.toFixed(2)}
-                        <span className="text-xs text-slate-500 ml-1">({leverage}:1)</span>
-                      </td>
-                      <td className={`py-3 px-2 font-semibold ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                        ${trade.pnl.toFixed(2)}
-                      </td>
-                      <td className="py-3 px-2 text-slate-400">${trade.fee.toFixed(2)}</td>
-                      <td className={`py-3 px-2 font-bold ${trade.netPnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                        ${trade.netPnl.toFixed(2)}
-                      </td>
-                      <td className={`py-3 px-2 font-semibold ${returnPercent >= 0 ? 'text-green-400' : 'text-red-400'}`}>
-                        {returnPercent.toFixed(2)}%
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
-          </div>
-        </ChartCard>
-      </div>
+      {tradeLog}
     </div>
   );
 };
 
-// Reusable components
-const MetricCard = ({ title, value, subtitle, icon, positive, highlight }) => (
-  <div className={`bg-slate-800/50 backdrop-blur border rounded-xl p-5 ${
-    highlight 
-      ? 'border-cyan-500/30 shadow-lg shadow-cyan-500/10' 
-      : 'border-slate-700/50'
-  }`}>
-    <div className="flex items-start justify-between mb-3">
-      <span className="text-slate-400 text-sm font-medium">{title}</span>
-      <div className={`text-${positive ? 'green' : 'red'}-400`}>
-        {icon}
-      </div>
-    </div>
-    <div className={`text-2xl font-bold mb-1 ${
-      positive ? 'text-green-400' : value.includes('-') ? 'text-red-400' : 'text-slate-100'
-    }`} style={{ fontFamily: 'SF Mono, Monaco, Consolas, monospace' }}>
-      {value}
-    </div>
-    <div className="text-xs text-slate-500">{subtitle}</div>
-  </div>
-);
-
-const ChartCard = ({ title, subtitle, children, span2 }) => (
-  <div className={`bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 ${
-    span2 ? 'md:col-span-2' : ''
-  }`}>
-    <div className="mb-4">
-      <h3 className="text-lg font-semibold mb-1">{title}</h3>
-      <p className="text-sm text-slate-400">{subtitle}</p>
-    </div>
-    {children}
-  </div>
-);
-
 export default TradingDashboard;
\ No newline at end of file
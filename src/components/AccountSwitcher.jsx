@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { Users, Plus, Trash2, X } from 'lucide-react';
+import { ALL_ACCOUNTS } from '../lib/workspace';
+
+// Header control for switching between accounts, plus a small manager
+// for creating, renaming and deleting them
+const AccountSwitcher = ({ accounts, activeAccountId, onSwitch, onAdd, onRename, onDelete, open, onToggle }) => {
+  const [newName, setNewName] = useState('');
+
+  const handleAdd = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onAdd(name);
+    setNewName('');
+  };
+
+  return (
+    <div className="relative flex gap-2">
+      <select
+        value={activeAccountId || ''}
+        onChange={(e) => onSwitch(e.target.value)}
+        className="bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+      >
+        {accounts.map(acc => (
+          <option key={acc.id} value={acc.id}>{acc.name}</option>
+        ))}
+        {accounts.length > 1 && <option value={ALL_ACCOUNTS}>All accounts</option>}
+      </select>
+      <button
+        onClick={onToggle}
+        title="Manage accounts"
+        className="px-3 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors border border-slate-700"
+      >
+        <Users className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-12 z-20 w-80 bg-slate-800 border border-slate-700 rounded-xl p-4 shadow-2xl text-left">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-semibold">Accounts</h3>
+            <button onClick={onToggle} className="text-slate-400 hover:text-slate-200">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="space-y-2 mb-4">
+            {accounts.map(acc => (
+              <div key={acc.id} className="flex items-center gap-2">
+                <span className="w-3 h-3 rounded-full shrink-0" style={{ backgroundColor: acc.color }} />
+                <input
+                  type="text"
+                  value={acc.name}
+                  onChange={(e) => onRename(acc.id, e.target.value)}
+                  className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-1 text-sm"
+                />
+                <button
+                  onClick={() => onDelete(acc.id)}
+                  disabled={accounts.length <= 1}
+                  className="text-slate-500 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-500"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+              placeholder="New account (e.g. Live)"
+              className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-1 text-sm"
+            />
+            <button
+              onClick={handleAdd}
+              className="px-3 py-1 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors flex items-center gap-1 text-sm"
+            >
+              <Plus className="w-3 h-3" />
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountSwitcher;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { Info, List } from 'lucide-react';
+import { formatMoney } from '../lib/currency';
+
+const inputClass = 'block w-24 mt-1 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200';
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+
+const SettingInput = ({ label, value, min, onChange }) => (
+  <label className="text-xs text-slate-400">
+    {label}
+    <input
+      type="number"
+      min={min}
+      value={value}
+      onChange={(e) => {
+        const parsed = parseInt(e.target.value, 10);
+        if (parsed >= min) onChange(parsed);
+      }}
+      className={inputClass}
+    />
+  </label>
+);
+
+const PatternCard = ({ title, description, pattern, unit, money, onShow, children }) => {
+  const { flagged, others } = pattern;
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-5 flex flex-col">
+      <div className="flex justify-between items-start gap-3 mb-1">
+        <h4 className="font-semibold">{title}</h4>
+        <span className={`text-lg font-bold ${pnlClass(flagged.pnl)}`}>{flagged.trades > 0 ? money(flagged.pnl) : '—'}</span>
+      </div>
+      <p className="text-sm text-slate-400 mb-3">{description}</p>
+      {flagged.trades > 0 ? (
+        <div className="text-sm space-y-1 mb-3">
+          <div className="flex justify-between">
+            <span className="text-slate-400">Flagged {unit}</span>
+            <span>{flagged.trades}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-slate-400">Win rate</span>
+            <span>{flagged.winRate.toFixed(1)}% <span className="text-slate-500">vs {others.winRate.toFixed(1)}%</span></span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-slate-400">Expectancy</span>
+            <span>
+              <span className={pnlClass(flagged.expectancy)}>{money(flagged.expectancy)}</span>
+              <span className="text-slate-500"> vs {money(others.expectancy)}</span>
+            </span>
+          </div>
+          {children}
+        </div>
+      ) : (
+        <p className="text-sm text-green-400 mb-3">Not found in the current {unit}</p>
+      )}
+      <button
+        onClick={onShow}
+        disabled={flagged.trades === 0}
+        className="mt-auto px-3 py-1.5 text-sm bg-slate-900 hover:bg-slate-700 rounded-lg transition-colors flex items-center justify-center gap-2 border border-slate-700 disabled:opacity-40"
+      >
+        <List className="w-4 h-4" />
+        Show in trade log
+      </button>
+    </div>
+  );
+};
+
+// Behavioural patterns in the filtered records with the thresholds that
+// define them. `onShowTrades({ label, keys })` lists a pattern's records in
+// the trade log.
+const BehaviourPanel = ({ stats, settings, onSettingsChange, unit, currency, onShowTrades }) => {
+  if (!stats) return null;
+  const money = (value) => formatMoney(value, currency);
+  const update = (key) => (value) => onSettingsChange({ ...settings, [key]: value });
+  const show = (label, pattern) => () => onShowTrades({ label, keys: pattern.keys });
+
+  const { revengeMinutes, maxTradesPerDay, lossStreak } = settings;
+
+  return (
+    <div className="max-w-7xl mx-auto mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-3">
+        <div>
+          <h3 className="text-lg font-semibold">Behavioural Patterns</h3>
+          <p className="text-sm text-slate-400">
+            P&L of the {unit} that fit each pattern, compared with all the other {unit}
+          </p>
+        </div>
+        <div className="flex gap-3 items-end">
+          <SettingInput label="Revenge window (min)" value={revengeMinutes} min={1} onChange={update('revengeMinutes')} />
+          <SettingInput label={`Max ${unit} per day`} value={maxTradesPerDay} min={1} onChange={update('maxTradesPerDay')} />
+          <SettingInput label="Losing streak" value={lossStreak} min={1} onChange={update('lossStreak')} />
+        </div>
+      </div>
+
+      {unit === 'trades' && (
+        <div className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-3 mb-4 flex items-center gap-3 text-sm text-slate-400">
+          <Info className="w-4 h-4 flex-shrink-0" />
+          Fills count every closing fill as a trade, opened when its position was, so a position closed in several parts
+          counts once per part; the Positions view gives cleaner results.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <PatternCard
+          title="Revenge Trading"
+          description={`Opened within ${revengeMinutes} minutes of closing a loss`}
+          pattern={stats.revenge}
+          unit={unit}
+          money={money}
+          onShow={show('Revenge trading', stats.revenge)}
+        />
+        <PatternCard
+          title="Overtrading"
+          description={`${unit === 'positions' ? 'Positions' : 'Trades'} after the first ${maxTradesPerDay} of a day`}
+          pattern={stats.overtrading}
+          unit={unit}
+          money={money}
+          onShow={show('Overtrading', stats.overtrading)}
+        >
+          <div className="flex justify-between">
+            <span className="text-slate-400">Days over the limit</span>
+            <span>{stats.overtrading.days.length}</span>
+          </div>
+        </PatternCard>
+        <PatternCard
+          title="Sizing Up on Tilt"
+          description={`Larger than every ${unit === 'positions' ? 'position' : 'trade'} of the losing streak before it, after ${lossStreak}+ losses in a row`}
+          pattern={stats.tilt}
+          unit={unit}
+          money={money}
+          onShow={show('Sizing up on tilt', stats.tilt)}
+        />
+        <PatternCard
+          title={`After ${lossStreak} Losses`}
+          description={`Taken right after ${lossStreak} or more consecutive losses`}
+          pattern={stats.afterStreak}
+          unit={unit}
+          money={money}
+          onShow={show(`After ${lossStreak} losses`, stats.afterStreak)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default BehaviourPanel;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { Info } from 'lucide-react';
+
+// Hover explanation shown next to a card title
+const InfoTooltip = ({ text }) => (
+  <span className="relative group inline-flex ml-1 align-middle">
+    <Info className="w-3.5 h-3.5 text-slate-500 group-hover:text-slate-300 cursor-help" />
+    <span className="hidden group-hover:block absolute left-0 top-5 z-20 w-64 p-3 bg-slate-900 border border-slate-700 rounded-lg text-xs text-slate-300 font-normal shadow-xl">
+      {text}
+    </span>
+  </span>
+);
+
+// Reusable components
+// `comparison` ({ value, delta, change, better }) adds period B in compare mode
+export const MetricCard = ({ title, value, subtitle, icon, positive, highlight, tooltip, comparison }) => (
+  <div className={`bg-slate-800/50 backdrop-blur border rounded-xl p-5 ${
+    highlight 
+      ? 'border-cyan-500/30 shadow-lg shadow-cyan-500/10' 
+      : 'border-slate-700/50'
+  }`}>
+    <div className="flex items-start justify-between mb-3">
+      <span className="text-slate-400 text-sm font-medium">
+        {title}
+        {tooltip && <InfoTooltip text={tooltip} />}
+      </span>
+      <div className={`text-${positive ? 'green' : 'red'}-400`}>
+        {icon}
+      </div>
+    </div>
+    <div className={`text-2xl font-bold mb-1 ${
+      positive ? 'text-green-400' : /[-−]/.test(value) ? 'text-red-400' : 'text-slate-100'
+    }`} style={{ fontFamily: 'SF Mono, Monaco, Consolas, monospace' }}>
+      {value}
+    </div>
+    <div className="text-xs text-slate-500">{subtitle}</div>
+    {comparison && (
+      <div className="mt-3 pt-3 border-t border-slate-700/50 flex flex-wrap justify-between gap-x-2 text-xs">
+        <span className="text-slate-400">
+          B: <span className="text-slate-300" style={{ fontFamily: 'SF Mono, Monaco, Consolas, monospace' }}>{comparison.value}</span>
+        </span>
+        {comparison.delta !== null && (
+          <span className={comparison.better === null ? 'text-slate-400' : comparison.better ? 'text-green-400' : 'text-red-400'}>
+            {comparison.delta}
+            {comparison.change !== null && ` (${comparison.change >= 0 ? '+' : ''}${comparison.change.toFixed(1)}%)`}
+          </span>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export const ChartCard = ({ title, subtitle, children, span2 }) => (
+  <div className={`bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 ${
+    span2 ? 'md:col-span-2' : ''
+  }`}>
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold mb-1">{title}</h3>
+      <p className="text-sm text-slate-400">{subtitle}</p>
+    </div>
+    {children}
+  </div>
+);
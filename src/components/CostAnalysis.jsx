@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatMoney } from '../lib/currency';
+
+const VIEWS = [
+  { key: 'byInstrument', label: 'Instrument' },
+  { key: 'byMonth', label: 'Month' },
+  { key: 'byDirection', label: 'Direction' }
+];
+
+// Instruments are sorted by cost; the chart keeps the most expensive ones
+const CHART_ROWS = 12;
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+const costClass = (value) => (value < 0 ? 'text-red-400' : value > 0 ? 'text-green-400' : 'text-slate-400');
+const formatPct = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+const Tile = ({ label, value, detail, className = 'text-slate-100' }) => (
+  <div className="bg-slate-900/50 rounded-lg p-3">
+    <div className="text-xs text-slate-400">{label}</div>
+    <div className={`text-lg font-bold ${className}`}>{value}</div>
+    {detail && <div className="text-xs text-slate-500">{detail}</div>}
+  </div>
+);
+
+// Gross vs net P&L with commissions and swap per instrument, month or direction
+const CostAnalysis = ({ stats, unit, currency }) => {
+  const [view, setView] = useState('byInstrument');
+  const money = (value) => formatMoney(value, currency);
+
+  const rows = stats[view];
+  const label = VIEWS.find(v => v.key === view).label;
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3 mb-4">
+        <Tile label="Gross P&L" value={money(stats.gross)} className={pnlClass(stats.gross)} />
+        <Tile label="Fees" value={money(-stats.fees)} className={costClass(-stats.fees)} />
+        <Tile label="Swap" value={money(stats.swap)} className={costClass(stats.swap)} />
+        <Tile label="Net P&L" value={money(stats.net)} className={pnlClass(stats.net)} />
+        <Tile
+          label="Costs / gross profit"
+          value={formatPct(stats.costPctOfGrossProfit)}
+          detail={`${money(stats.costs)} of ${money(stats.grossProfit)}`}
+        />
+        <Tile
+          label="Won gross, lost net"
+          value={stats.flipped}
+          detail={stats.flipped > 0 ? `${unit} worth ${money(stats.flippedAmount)} gross` : `no ${unit}`}
+          className={stats.flipped > 0 ? 'text-amber-300' : 'text-slate-100'}
+        />
+      </div>
+
+      <div className="flex justify-end mb-2">
+        <div className="flex bg-slate-900 rounded-lg border border-slate-700 p-0.5">
+          {VIEWS.map(v => (
+            <button
+              key={v.key}
+              onClick={() => setView(v.key)}
+              className={`px-2 py-1 rounded-md text-xs transition-colors ${
+                view === v.key ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-slate-200'
+              }`}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={240}>
+        <BarChart data={rows.slice(0, CHART_ROWS)}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="key" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+          <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+            labelStyle={{ color: '#e2e8f0' }}
+            itemStyle={{ color: '#e2e8f0' }}
+            formatter={(value, name) => [money(value), name]}
+          />
+          <Legend wrapperStyle={{ fontSize: '12px' }} />
+          <Bar dataKey="gross" name="Gross P&L" fill="#64748b" radius={[4, 4, 0, 0]} />
+          <Bar dataKey="net" name="Net P&L" fill="#06b6d4" radius={[4, 4, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto max-h-80 overflow-y-auto mt-3">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-400 border-b border-slate-700">
+              <th className="pb-2">{label}</th>
+              <th className="pb-2 text-right">{unit === 'positions' ? 'Positions' : 'Trades'}</th>
+              <th className="pb-2 text-right">Gross</th>
+              <th className="pb-2 text-right">Fees</th>
+              <th className="pb-2 text-right">Swap</th>
+              <th className="pb-2 text-right">Net</th>
+              <th className="pb-2 text-right">Costs / gross</th>
+              <th className="pb-2 text-right">Won gross, lost net</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.key} className="border-b border-slate-700/50">
+                <td className="py-2">{row.key}</td>
+                <td className="py-2 text-right">{row.trades}</td>
+                <td className={`py-2 text-right ${pnlClass(row.gross)}`}>{money(row.gross)}</td>
+                <td className={`py-2 text-right ${costClass(-row.fees)}`}>{money(-row.fees)}</td>
+                <td className={`py-2 text-right ${costClass(row.swap)}`}>{money(row.swap)}</td>
+                <td className={`py-2 text-right font-semibold ${pnlClass(row.net)}`}>{money(row.net)}</td>
+                <td className="py-2 text-right">{formatPct(row.costPct)}</td>
+                <td className="py-2 text-right">{row.flipped || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CostAnalysis;
@@ -0,0 +1,172 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Trash2, Upload } from 'lucide-react';
+import { COMMON_CURRENCIES, normalizeCurrency, createFxRate, parseFxRateCSV, mergeFxRates, hasFxRate, formatPrice } from '../lib/currency';
+
+const inputClass = 'w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+
+// Reporting currency of the "All accounts" view and the FX rate table used to
+// convert every account into it. `accounts` carry their own `currency`.
+const CurrencyPanel = ({ accounts, reportingCurrency, currency, onReportingCurrencyChange, rates, onChange, onError }) => {
+  const [newRate, setNewRate] = useState({ date: '', base: '', quote: '', rate: '' });
+  const csvInputRef = useRef(null);
+
+  const known = Array.from(new Set([...accounts.map(acc => acc.currency).filter(Boolean), ...COMMON_CURRENCIES]));
+
+  const addRate = () => {
+    const base = normalizeCurrency(newRate.base);
+    const quote = normalizeCurrency(newRate.quote);
+    const rate = parseFloat(newRate.rate);
+    if (!newRate.date || !base || !quote || base === quote || !(rate > 0)) return;
+
+    onChange(mergeFxRates(rates, [createFxRate(newRate.date, base, quote, rate)]));
+    setNewRate({ ...newRate, rate: '' });
+  };
+
+  const importCSV = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChange(mergeFxRates(rates, parseFxRateCSV(e.target.result)));
+      } catch (err) {
+        onError(`Invalid FX rates: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const accountStatus = (acc) => {
+    if (!acc.currency) return { text: `No currency set; assumed to be ${currency || 'the reporting currency'}`, warn: true };
+    if (!currency || acc.currency === currency) return { text: 'Reporting currency', warn: false };
+    if (hasFxRate(rates, acc.currency, currency)) return { text: `Converted ${acc.currency} → ${currency}`, warn: false };
+    return { text: `No ${acc.currency}/${currency} rate; left out of the combined view`, warn: true };
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+      <input ref={csvInputRef} type="file" accept=".csv" onChange={importCSV} className="hidden" />
+
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold mb-1">Currencies</h3>
+          <p className="text-sm text-slate-400">
+            The combined view converts every account into the reporting currency, using the rate of each
+            trade's day (or the closest earlier one). A rate can be entered either way round.
+          </p>
+        </div>
+        <button
+          onClick={() => csvInputRef.current?.click()}
+          className="px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+        >
+          <Upload className="w-3 h-3" />
+          Import rates CSV
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <label className="block text-sm text-slate-400 mb-2">Reporting currency</label>
+          <select
+            value={reportingCurrency || ''}
+            onChange={(e) => onReportingCurrencyChange(e.target.value || null)}
+            className={inputClass}
+          >
+            <option value="">Automatic{currency ? ` (${currency})` : ''}</option>
+            {known.map(code => <option key={code} value={code}>{code}</option>)}
+          </select>
+        </div>
+        <div className="space-y-1 text-sm">
+          {accounts.map(acc => {
+            const status = accountStatus(acc);
+            return (
+              <div key={acc.id} className="flex justify-between gap-3">
+                <span className="flex items-center gap-2">
+                  <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: acc.color }} />
+                  {acc.name} <span className="text-slate-500">{acc.currency || '—'}</span>
+                </span>
+                <span className={status.warn ? 'text-amber-300' : 'text-slate-400'}>{status.text}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <h4 className="font-semibold mb-3">FX Rates</h4>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        <input
+          type="date"
+          value={newRate.date}
+          onChange={(e) => setNewRate({ ...newRate, date: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={newRate.base}
+          onChange={(e) => setNewRate({ ...newRate, base: e.target.value })}
+          placeholder="Base (EUR)"
+          maxLength={3}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          value={newRate.quote}
+          onChange={(e) => setNewRate({ ...newRate, quote: e.target.value })}
+          placeholder="Quote (USD)"
+          maxLength={3}
+          className={inputClass}
+        />
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={newRate.rate}
+          onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && addRate()}
+          placeholder="1 base = ? quote"
+          className={inputClass}
+        />
+        <button
+          onClick={addRate}
+          className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors flex items-center justify-center gap-2 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add
+        </button>
+      </div>
+
+      {rates.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          No rates yet. Import a CSV with date, base, quote and rate columns (or date, pair and rate, e.g. EURUSD).
+        </p>
+      ) : (
+        <>
+          <div className="space-y-1 max-h-64 overflow-y-auto text-sm">
+            {[...rates].reverse().map(rate => (
+              <div key={rate.id} className="flex justify-between items-center bg-slate-900/50 rounded-lg px-3 py-2">
+                <span className="text-slate-400 w-28">{rate.date}</span>
+                <span className="flex-1">1 {rate.base} = {formatPrice(rate.rate)} {rate.quote}</span>
+                <button onClick={() => onChange(rates.filter(r => r.id !== rate.id))} className="text-slate-500 hover:text-red-400">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between items-center mt-3 text-xs text-slate-500">
+            <span>{rates.length} rates</span>
+            <button
+              onClick={() => confirm('Delete every FX rate?') && onChange([])}
+              className="hover:text-red-400"
+            >
+              Delete all
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CurrencyPanel;
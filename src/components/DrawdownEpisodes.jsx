@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { ChartCard } from './Cards';
+import { formatDuration } from '../lib/positions';
+import { toDateKey } from '../lib/equity';
+import { formatMoney } from '../lib/currency';
+
+const LIMITS = [5, 10, 20];
+
+const formatDate = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : '—');
+
+// Date filter window of an episode: from the day of its peak to the day of its last trade
+const episodeWindow = (episode) => ({
+  start: toDateKey(episode.start),
+  end: toDateKey(episode.lastTrade)
+});
+
+// Deepest drawdown episodes of the current view. Clicking a row filters the
+// dashboard to that episode's window; clicking it again shows all dates.
+const DrawdownEpisodes = ({ episodes, balanceKnown, dateRange, onSelect, currency }) => {
+  const [limit, setLimit] = useState(LIMITS[0]);
+
+  const isActive = (episode) => {
+    const range = episodeWindow(episode);
+    return range.start === dateRange.start && range.end === dateRange.end;
+  };
+
+  return (
+    <ChartCard
+      title="Drawdown Episodes"
+      subtitle={`${episodes.length} episode${episodes.length === 1 ? '' : 's'} below a previous peak • click one to filter the dashboard to it`}
+    >
+      <div className="flex justify-end mb-3">
+        <select
+          value={limit}
+          onChange={(e) => setLimit(parseInt(e.target.value, 10))}
+          className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-1 text-sm"
+        >
+          {LIMITS.map(n => <option key={n} value={n}>Top {n}</option>)}
+        </select>
+      </div>
+
+      {episodes.length === 0 ? (
+        <p className="text-sm text-slate-500">No drawdowns in this period</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-slate-700 text-slate-400 text-left">
+                <th className="py-2 px-3">#</th>
+                <th className="py-2 px-3">Start (peak)</th>
+                <th className="py-2 px-3">Trough</th>
+                <th className="py-2 px-3">Recovery</th>
+                <th className="py-2 px-3 text-right">Depth</th>
+                <th className="py-2 px-3 text-right">Duration</th>
+                <th className="py-2 px-3 text-right">Trades</th>
+              </tr>
+            </thead>
+            <tbody>
+              {episodes.slice(0, limit).map((episode, i) => (
+                <tr
+                  key={episode.start}
+                  onClick={() => onSelect(isActive(episode) ? null : episodeWindow(episode))}
+                  className={`border-b border-slate-800 cursor-pointer transition-colors ${
+                    isActive(episode) ? 'bg-cyan-900/30' : 'hover:bg-slate-800/50'
+                  }`}
+                >
+                  <td className="py-2 px-3 text-slate-500">{i + 1}</td>
+                  <td className="py-2 px-3">{formatDate(episode.start)}</td>
+                  <td className="py-2 px-3">{formatDate(episode.trough)}</td>
+                  <td className="py-2 px-3">
+                    {episode.recovery ? formatDate(episode.recovery) : <span className="text-amber-400">Not recovered</span>}
+                  </td>
+                  <td className="py-2 px-3 text-right text-red-400 font-mono">
+                    {formatMoney(-episode.depth, currency)}
+                    {episode.depthPercent !== null && (
+                      <span className="text-slate-500 ml-2">
+                        {episode.depthPercent.toFixed(balanceKnown ? 2 : 1)}%
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 px-3 text-right">{formatDuration(episode.durationMs)}</td>
+                  <td className="py-2 px-3 text-right">{episode.trades}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ChartCard>
+  );
+};
+
+export default DrawdownEpisodes;
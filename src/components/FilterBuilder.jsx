@@ -0,0 +1,186 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { FILTER_FIELDS, createCondition, createFilterGroup } from '../lib/filters';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const inputClass = 'bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+const chipClass = (active) => `px-2 py-1 rounded text-xs border transition-colors ${
+  active ? 'bg-cyan-600 border-cyan-500 text-white' : 'bg-slate-900 border-slate-700 text-slate-400 hover:text-slate-200'
+}`;
+
+const LogicToggle = ({ value, onChange, labels }) => (
+  <div className="flex bg-slate-900 rounded-lg border border-slate-700 p-0.5">
+    {[['and', labels[0]], ['or', labels[1]]].map(([logic, label]) => (
+      <button
+        key={logic}
+        onClick={() => onChange(logic)}
+        className={`px-2 py-1 rounded-md text-xs transition-colors ${
+          value === logic ? 'bg-cyan-600 text-white' : 'text-slate-400 hover:text-slate-200'
+        }`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+const ConditionValue = ({ condition, options, onChange }) => {
+  const field = FILTER_FIELDS.find(f => f.key === condition.field);
+
+  if (field.type === 'range') {
+    const parse = (value) => (value === '' ? null : parseFloat(value));
+    return (
+      <div className="flex items-center gap-2">
+        <input
+          type="number"
+          placeholder="Min"
+          value={condition.min ?? ''}
+          onChange={(e) => onChange({ min: parse(e.target.value) })}
+          className={`${inputClass} w-28`}
+        />
+        <span className="text-slate-500 text-sm">to</span>
+        <input
+          type="number"
+          placeholder="Max"
+          value={condition.max ?? ''}
+          onChange={(e) => onChange({ max: parse(e.target.value) })}
+          className={`${inputClass} w-28`}
+        />
+      </div>
+    );
+  }
+
+  if (field.type === 'hours') {
+    return (
+      <div className="flex items-center gap-2">
+        {['min', 'max'].map((key, i) => (
+          <React.Fragment key={key}>
+            {i === 1 && <span className="text-slate-500 text-sm">to</span>}
+            <select
+              value={condition[key] ?? ''}
+              onChange={(e) => onChange({ [key]: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+              className={inputClass}
+            >
+              <option value="">Any</option>
+              {HOURS.map(hour => <option key={hour} value={hour}>{hour}:00</option>)}
+            </select>
+          </React.Fragment>
+        ))}
+      </div>
+    );
+  }
+
+  const choices = options[condition.field] || [];
+  const toggle = (value) => onChange({
+    values: condition.values.includes(value) ? condition.values.filter(v => v !== value) : [...condition.values, value]
+  });
+  return (
+    <div className="flex flex-wrap gap-1">
+      {choices.map(choice => (
+        <button key={choice.value} onClick={() => toggle(choice.value)} className={chipClass(condition.values.includes(choice.value))}>
+          {choice.label}
+        </button>
+      ))}
+      {choices.length === 0 && <span className="text-xs text-slate-500 py-1">No values in the data</span>}
+    </div>
+  );
+};
+
+// AND/OR groups of conditions on top of the quick filters. `options` lists
+// the selectable { value, label } choices per set field.
+const FilterBuilder = ({ filter, options, onChange }) => {
+  const updateGroup = (id, changes) => {
+    onChange({ ...filter, groups: filter.groups.map(group => (group.id === id ? { ...group, ...changes } : group)) });
+  };
+
+  const updateCondition = (group, id, changes) => {
+    updateGroup(group.id, {
+      conditions: group.conditions.map(condition => (condition.id === id ? { ...condition, ...changes } : condition))
+    });
+  };
+
+  const removeCondition = (group, id) => {
+    const conditions = group.conditions.filter(condition => condition.id !== id);
+    if (conditions.length > 0) {
+      updateGroup(group.id, { conditions });
+    } else {
+      onChange({ ...filter, groups: filter.groups.filter(g => g.id !== group.id) });
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+        <label className="text-sm text-slate-400">Advanced Filters</label>
+        {filter.groups.length > 1 && (
+          <LogicToggle
+            value={filter.logic}
+            onChange={(logic) => onChange({ ...filter, logic })}
+            labels={['Match all groups', 'Match any group']}
+          />
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {filter.groups.map((group, index) => (
+          <div key={group.id} className="bg-slate-900/50 rounded-lg p-4 border border-slate-700/50">
+            <div className="flex justify-between items-center mb-3">
+              <span className="text-xs text-slate-500">
+                {index > 0 && <span className="text-cyan-400 font-semibold mr-2">{filter.logic === 'or' ? 'OR' : 'AND'}</span>}
+                Group {index + 1}
+              </span>
+              <LogicToggle
+                value={group.logic}
+                onChange={(logic) => updateGroup(group.id, { logic })}
+                labels={['All conditions', 'Any condition']}
+              />
+            </div>
+
+            <div className="space-y-2">
+              {group.conditions.map(condition => (
+                <div key={condition.id} className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={condition.field}
+                    onChange={(e) => updateCondition(group, condition.id, { ...createCondition(e.target.value), id: condition.id })}
+                    className={inputClass}
+                  >
+                    {FILTER_FIELDS.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+                  </select>
+                  <div className="flex-1">
+                    <ConditionValue
+                      condition={condition}
+                      options={options}
+                      onChange={(changes) => updateCondition(group, condition.id, changes)}
+                    />
+                  </div>
+                  <button onClick={() => removeCondition(group, condition.id)} className="text-slate-400 hover:text-red-400">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <button
+              onClick={() => updateGroup(group.id, { conditions: [...group.conditions, createCondition()] })}
+              className="mt-3 text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1"
+            >
+              <Plus className="w-3 h-3" />
+              Add condition
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => onChange({ ...filter, groups: [...filter.groups, createFilterGroup()] })}
+        className="mt-3 px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+      >
+        <Plus className="w-3 h-3" />
+        Add condition group
+      </button>
+    </div>
+  );
+};
+
+export default FilterBuilder;
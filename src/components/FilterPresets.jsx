@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Save, Trash2 } from 'lucide-react';
+
+// Load, save and delete named filter presets. Saving under an existing name
+// overwrites that preset.
+const FilterPresets = ({ presets, onApply, onSave, onDelete }) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+  const selected = presets.find(preset => preset.id === selectedId);
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setSelectedId(onSave(trimmed).id);
+    setName('');
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-3 mb-4 pb-4 border-b border-slate-700/50">
+      <div>
+        <label className="block text-sm text-slate-400 mb-2">Preset</label>
+        <select
+          value={selected ? selectedId : ''}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            const preset = presets.find(p => p.id === e.target.value);
+            if (preset) onApply(preset);
+          }}
+          className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm min-w-[12rem]"
+        >
+          <option value="">{presets.length > 0 ? 'Choose a preset…' : 'No saved presets'}</option>
+          {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+        </select>
+      </div>
+      {selected && (
+        <button
+          onClick={() => {
+            if (confirm(`Delete the filter preset "${selected.name}"?`)) {
+              onDelete(selected.id);
+              setSelectedId('');
+            }
+          }}
+          className="px-3 py-2 text-sm text-slate-400 hover:text-red-400 flex items-center gap-1"
+        >
+          <Trash2 className="w-4 h-4" />
+          Delete
+        </button>
+      )}
+      <div className="flex gap-2 ml-auto">
+        <input
+          type="text"
+          value={name}
+          placeholder="Save current filters as…"
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          onClick={save}
+          disabled={!name.trim()}
+          className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm flex items-center gap-2 disabled:opacity-40"
+        >
+          <Save className="w-4 h-4" />
+          Save preset
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterPresets;
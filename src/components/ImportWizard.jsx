@@ -0,0 +1,299 @@
+import React, { useState, useMemo } from 'react';
+import { X, Wand2, Save, Trash2, AlertTriangle, Download } from 'lucide-react';
+import {
+  TRADE_FIELDS, DATE_FORMATS, mapRows, missingRequiredFields,
+  detectImportSettings, applyProfile, autoMapColumns
+} from '../lib/mapping';
+import { formatMoney } from '../lib/currency';
+
+const DELIMITERS = [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']];
+const PREVIEW_ROWS = 5;
+
+const selectClass = 'w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+
+// Preview a parsed CSV file, detect its format and map its columns onto trade
+// fields before importing. Works for any broker export with one row per fill or per trade.
+const ImportWizard = ({
+  fileName, table, profiles, onDelimiterChange, onDownloadReport,
+  onImport, onSaveProfile, onDeleteProfile, onCancel
+}) => {
+  const [settings, setSettings] = useState(() => detectImportSettings(table, profiles));
+  const [profileName, setProfileName] = useState('');
+
+  // Rows the parser could not read are reported alongside rows that failed mapping
+  const result = useMemo(() => {
+    const mapped = mapRows(table.rows, table.headers, settings);
+    return { trades: mapped.trades, rejected: [...table.errors, ...mapped.rejected], currency: mapped.currency };
+  }, [table, settings]);
+  const missing = missingRequiredFields(settings.columns, table.headers);
+  const activeProfile = profiles.find(p => p.id === settings.profileId);
+
+  const selectProfile = (profileId) => {
+    const profile = profiles.find(p => p.id === profileId);
+    setSettings(profile
+      ? applyProfile(settings, profile, table.headers, table.rows)
+      : { ...settings, profileId: '', columns: autoMapColumns(table.headers) });
+  };
+
+  // Editing the mapping by hand turns it into a custom mapping
+  const mapColumn = (field, header) => {
+    const { [field]: previous, ...columns } = settings.columns;
+    setSettings({ ...settings, profileId: '', columns: header ? { ...columns, [field]: header } : columns });
+  };
+
+  const saveProfile = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    const profile = onSaveProfile(name, settings);
+    setSettings({ ...settings, profileId: profile.id });
+    setProfileName('');
+  };
+
+  const deleteProfile = () => {
+    if (!confirm(`Delete the import profile "${activeProfile.name}"?`)) return;
+    onDeleteProfile(activeProfile.id);
+    setSettings({ ...settings, profileId: '' });
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 bg-slate-950/80 backdrop-blur-sm flex items-start justify-center overflow-y-auto p-6 text-left">
+      <div className="w-full max-w-5xl bg-slate-800 border border-slate-700 rounded-2xl p-6 shadow-2xl">
+        <div className="flex justify-between items-start mb-6">
+          <div className="flex items-center gap-3">
+            <Wand2 className="w-6 h-6 text-cyan-400" />
+            <div>
+              <h2 className="text-xl font-semibold">Import {fileName}</h2>
+              <p className="text-sm text-slate-400">
+                {table.rows.length} rows • {table.headers.length} columns
+                {activeProfile ? ` • detected as ${activeProfile.name}` : ' • no matching profile, columns guessed from their names'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Format */}
+        <div className="grid md:grid-cols-5 gap-4 mb-6">
+          <div className="md:col-span-2">
+            <label className="block text-sm text-slate-400 mb-2">Profile</label>
+            <select value={settings.profileId} onChange={(e) => selectProfile(e.target.value)} className={selectClass}>
+              <option value="">Custom mapping</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}{profile.builtIn ? '' : ' (saved)'}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Delimiter</label>
+            <select
+              value={table.delimiter}
+              onChange={(e) => onDelimiterChange(e.target.value)}
+              className={selectClass}
+            >
+              {DELIMITERS.map(([value, label]) => <option key={label} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Decimal separator</label>
+            <select
+              value={settings.decimalSeparator}
+              onChange={(e) => setSettings({ ...settings, decimalSeparator: e.target.value })}
+              className={selectClass}
+            >
+              <option value=".">Point (1.5)</option>
+              <option value=",">Comma (1,5)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm text-slate-400 mb-2">Date format</label>
+            <select
+              value={settings.dateFormat}
+              onChange={(e) => setSettings({ ...settings, dateFormat: e.target.value })}
+              className={selectClass}
+            >
+              {DATE_FORMATS.map(format => <option key={format.key} value={format.key}>{format.label}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {/* Raw preview */}
+        <div className="mb-6">
+          <h3 className="text-sm font-semibold text-slate-300 mb-2">File preview</h3>
+          <div className="overflow-x-auto bg-slate-900/50 rounded-lg border border-slate-700/50">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400 border-b border-slate-700">
+                  {table.headers.map(header => (
+                    <th key={header} className="py-2 px-3 text-left whitespace-nowrap">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {table.rows.slice(0, PREVIEW_ROWS).map(row => (
+                  <tr key={row.line} className="border-b border-slate-800">
+                    {table.headers.map((header, i) => (
+                      <td key={header} className="py-1 px-3 whitespace-nowrap text-slate-300">{row.values[i]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Column mapping */}
+        <div className="mb-6">
+          <div className="flex justify-between items-center mb-2">
+            <h3 className="text-sm font-semibold text-slate-300">Column mapping</h3>
+            <label className="flex items-center gap-2 text-sm text-slate-400">
+              <input
+                type="checkbox"
+                checked={settings.negateFee}
+                onChange={(e) => setSettings({ ...settings, negateFee: e.target.checked })}
+              />
+              Fees are exported as negative numbers
+            </label>
+          </div>
+          <div className="grid md:grid-cols-3 gap-3">
+            {TRADE_FIELDS.map(field => (
+              <div key={field.key} title={field.hint}>
+                <label className="block text-xs text-slate-400 mb-1">
+                  {field.label}{field.required && <span className="text-red-400"> *</span>}
+                </label>
+                <select
+                  value={settings.columns[field.key] || ''}
+                  onChange={(e) => mapColumn(field.key, e.target.value)}
+                  className={selectClass}
+                >
+                  <option value="">— not mapped —</option>
+                  {table.headers.map(header => <option key={header} value={header}>{header}</option>)}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Result */}
+        <div className="mb-6 bg-slate-900/50 rounded-lg p-4 border border-slate-700/50">
+          {missing.length > 0 ? (
+            <div className="flex items-center gap-2 text-amber-300 text-sm">
+              <AlertTriangle className="w-4 h-4" />
+              Map the required fields to continue: {missing.map(field => field.label).join(', ')}
+            </div>
+          ) : (
+            <>
+              <div className="text-sm mb-3">
+                <span className="text-green-400 font-semibold">{result.trades.length} fills ready</span>
+                {result.currency && <span className="text-slate-400 ml-3">Amounts in {result.currency}</span>}
+                {result.rejected.length > 0 && (
+                  <>
+                    <span className="text-red-400 ml-3">{result.rejected.length} rows rejected</span>
+                    <button
+                      onClick={() => onDownloadReport(result.rejected)}
+                      className="ml-3 text-cyan-400 hover:text-cyan-300 inline-flex items-center gap-1"
+                    >
+                      <Download className="w-3 h-3" />
+                      Validation report
+                    </button>
+                  </>
+                )}
+              </div>
+              {result.rejected.slice(0, 3).map(row => (
+                <div key={row.line} className="text-xs text-red-300/80">Line {row.line}: {row.reason}</div>
+              ))}
+              {result.rejected.length > 3 && (
+                <div className="text-xs text-slate-500">…and {result.rejected.length - 3} more in the report</div>
+              )}
+              {result.trades.length > 0 && (
+                <div className="overflow-x-auto mt-3">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-slate-400 border-b border-slate-700 text-left">
+                        <th className="py-1 px-2">Trade Id</th>
+                        <th className="py-1 px-2">Time</th>
+                        <th className="py-1 px-2">Instrument</th>
+                        <th className="py-1 px-2">Direction</th>
+                        <th className="py-1 px-2">Quantity</th>
+                        <th className="py-1 px-2">Price</th>
+                        <th className="py-1 px-2">P&L</th>
+                        <th className="py-1 px-2">Fee</th>
+                        <th className="py-1 px-2">Swap</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.trades.slice(0, PREVIEW_ROWS).map((trade, i) => (
+                        <tr key={i} className="border-b border-slate-800">
+                          <td className="py-1 px-2 font-mono">{trade.id}</td>
+                          <td className="py-1 px-2">{new Date(trade.timestamp).toLocaleString()}</td>
+                          <td className="py-1 px-2">{trade.instrument}</td>
+                          <td className={`py-1 px-2 ${trade.direction === 'Long' ? 'text-green-400' : 'text-red-400'}`}>{trade.direction}</td>
+                          <td className="py-1 px-2">{trade.quantity}</td>
+                          <td className="py-1 px-2">{trade.price}</td>
+                          <td className="py-1 px-2">{formatMoney(trade.pnl, result.currency)}</td>
+                          <td className="py-1 px-2">{formatMoney(trade.fee, result.currency)}</td>
+                          <td className="py-1 px-2">{formatMoney(trade.swap, result.currency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Profiles and actions */}
+        <div className="flex flex-wrap justify-between items-center gap-3">
+          <div className="flex gap-2 items-center">
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && saveProfile()}
+              placeholder="Profile name (e.g. My broker)"
+              className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+            />
+            <button
+              onClick={saveProfile}
+              disabled={!profileName.trim() || missing.length > 0}
+              className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors flex items-center gap-2 text-sm disabled:opacity-40"
+            >
+              <Save className="w-4 h-4" />
+              Save mapping
+            </button>
+            {activeProfile && !activeProfile.builtIn && (
+              <button
+                onClick={deleteProfile}
+                className="px-3 py-2 text-slate-400 hover:text-red-400 flex items-center gap-2 text-sm"
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete profile
+              </button>
+            )}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onImport(result)}
+              disabled={missing.length > 0 || result.trades.length === 0}
+              className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors text-sm font-semibold disabled:opacity-40"
+            >
+              Import {result.trades.length} fills
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,247 @@
+import React, { useMemo } from 'react';
+import { LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { ArrowLeft, DollarSign, Target, TrendingUp, TrendingDown, Scale, Percent } from 'lucide-react';
+import { MetricCard, ChartCard } from './Cards';
+import { computeMetrics } from '../lib/metrics';
+import { computeCostStats } from '../lib/costs';
+import { computeInstrumentProfile } from '../lib/instruments';
+import { formatMoney, formatPrice } from '../lib/currency';
+
+const tooltipProps = {
+  contentStyle: { backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' },
+  labelStyle: { color: '#e2e8f0' },
+  itemStyle: { color: '#e2e8f0' }
+};
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+
+const Stat = ({ label, value, className = 'text-slate-100' }) => (
+  <div className="flex justify-between items-center">
+    <span className="text-slate-400">{label}</span>
+    <span className={`font-semibold ${className}`}>{value}</span>
+  </div>
+);
+
+const TradeList = ({ trades, money, tone }) => (
+  <div className="space-y-2">
+    {trades.map(trade => (
+      <div key={`${trade.accountId}:${trade.id}`} className={`flex justify-between items-center rounded-lg p-3 border ${
+        tone === 'win' ? 'bg-green-900/20 border-green-800/30' : 'bg-red-900/20 border-red-800/30'
+      }`}>
+        <div>
+          <div className="font-semibold">{trade.direction}</div>
+          <div className="text-xs text-slate-400">{new Date(trade.timestamp).toLocaleString()}</div>
+        </div>
+        <div className="text-right">
+          <div className={`font-bold ${pnlClass(trade.netPnl)}`}>{money(trade.netPnl)}</div>
+          <div className="text-xs text-slate-400">{trade.quantity} @ {formatPrice(trade.price)}</div>
+        </div>
+      </div>
+    ))}
+  </div>
+);
+
+// Everything about one instrument within the current filters. `records` are
+// the filtered trades or positions of that instrument; its equity curve is
+// the instrument's cumulative P&L, whatever the account balance.
+const InstrumentDetail = ({ instrument, records, equityBefore, unit, currency, onBack }) => {
+  const money = (value) => formatMoney(value, currency);
+
+  const metrics = useMemo(() => computeMetrics(records, { equityBefore, balanceKnown: false }), [records, equityBefore]);
+  const costs = useMemo(() => computeCostStats(records), [records]);
+  const profile = useMemo(() => computeInstrumentProfile(records), [records]);
+
+  const header = (
+    <div className="flex items-center gap-4 mb-6">
+      <button
+        onClick={onBack}
+        className="px-3 py-2 bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700 text-sm"
+      >
+        <ArrowLeft className="w-4 h-4" />
+        Dashboard
+      </button>
+      <div>
+        <h2 className="text-2xl font-bold">{instrument}</h2>
+        {profile && (
+          <p className="text-sm text-slate-400">
+            {records.length} {unit} • {profile.firstTrade.toLocaleDateString()} – {profile.lastTrade.toLocaleDateString()} • current filters apply
+          </p>
+        )}
+      </div>
+    </div>
+  );
+
+  if (!metrics) {
+    return (
+      <div className="max-w-7xl mx-auto mb-8">
+        {header}
+        <div className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-8 text-center text-slate-400">
+          No {unit} in {instrument} match the current filters.
+        </div>
+      </div>
+    );
+  }
+
+  const levels = profile.priceLevels.map(level => ({ ...level, label: formatPrice(level.from) }));
+
+  return (
+    <div className="max-w-7xl mx-auto mb-8">
+      {header}
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+        <MetricCard
+          title="Net P&L"
+          value={money(metrics.totalPnl)}
+          subtitle={`Gross ${money(costs.gross)}`}
+          icon={<DollarSign />}
+          positive={metrics.totalPnl > 0}
+        />
+        <MetricCard
+          title="Win Rate"
+          value={`${metrics.winRate.toFixed(1)}%`}
+          subtitle={`${metrics.winners}W / ${metrics.losers}L`}
+          icon={<Target />}
+          positive={metrics.winRate >= 50}
+        />
+        <MetricCard
+          title="Profit Factor"
+          value={metrics.profitFactor >= 999 ? '∞' : metrics.profitFactor.toFixed(2)}
+          subtitle={`Expectancy ${money(metrics.expectancy)}`}
+          icon={<Scale />}
+          positive={metrics.profitFactor >= 1}
+        />
+        <MetricCard
+          title="Max Drawdown"
+          value={money(metrics.maxDrawdown)}
+          subtitle="Of this instrument's P&L"
+          icon={<TrendingDown />}
+          positive={false}
+        />
+        <MetricCard
+          title="Avg Win/Loss"
+          value={money(metrics.avgWin)}
+          subtitle={`/ ${money(metrics.avgLoss)}`}
+          icon={<TrendingUp />}
+          positive={metrics.avgWin > metrics.avgLoss}
+        />
+        <MetricCard
+          title="Costs"
+          value={money(-costs.costs)}
+          subtitle={`Fees ${money(-costs.fees)} • Swap ${money(costs.swap)}`}
+          icon={<Percent />}
+          positive={costs.costs < 0}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <ChartCard title="Equity Curve" subtitle={`Cumulative P&L in ${instrument}, with the cost drag of fees and swap`} span2>
+          <ResponsiveContainer width="100%" height={280}>
+            <LineChart data={metrics.equityCurve}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="date" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <Tooltip {...tooltipProps} formatter={(value, name) => [money(value), name]} />
+              <Line type="monotone" dataKey="equity" name="Equity" stroke="#06b6d4" strokeWidth={2} dot={{ fill: '#06b6d4', r: 3 }} />
+              <Line type="monotone" dataKey="costDrag" name="Cost Drag (fees + swap)" stroke="#f87171" strokeWidth={1.5} strokeDasharray="6 3" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Long vs Short" subtitle="Direction comparison">
+          <div className="space-y-4">
+            {metrics.directionStats.map(stat => {
+              const row = costs.byDirection.find(r => r.key === stat.name);
+              return (
+                <div key={stat.name} className="bg-slate-900/50 rounded-lg p-4">
+                  <div className="flex justify-between items-center mb-2">
+                    <span className="font-semibold text-lg">{stat.name}</span>
+                    <span className={`text-xl font-bold ${pnlClass(stat.pnl)}`}>{money(stat.pnl)}</span>
+                  </div>
+                  <div className="flex justify-between text-sm text-slate-400">
+                    <span>{stat.trades} {unit}</span>
+                    <span>Win rate: {stat.winRate.toFixed(1)}%</span>
+                    <span>Costs: {money(row ? -row.costs : 0)}</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Size & Price" subtitle="Position size and the price levels traded">
+          <div className="space-y-3 text-sm">
+            <Stat label="Average size" value={profile.avgQuantity.toFixed(2)} />
+            <Stat label="Median size" value={profile.medianQuantity.toFixed(2)} />
+            <Stat label="Largest size" value={profile.maxQuantity.toFixed(2)} />
+            <Stat label="Size-weighted entry price" value={profile.avgPrice === null ? '—' : formatPrice(profile.avgPrice)} />
+            <Stat label="Price range traded" value={profile.low === null ? '—' : `${formatPrice(profile.low)} – ${formatPrice(profile.high)}`} />
+            <Stat label="Fees" value={money(-costs.fees)} className={pnlClass(-costs.fees)} />
+            <Stat label="Swap" value={money(costs.swap)} className={pnlClass(costs.swap)} />
+            <Stat
+              label="Costs / gross profit"
+              value={costs.costPctOfGrossProfit === null ? '—' : `${costs.costPctOfGrossProfit.toFixed(1)}%`}
+            />
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Performance by Day" subtitle={`Net P&L per weekday in ${instrument}`}>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={metrics.dayPerformance}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="day" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <Tooltip {...tooltipProps} formatter={(value) => [money(value), 'P&L']} />
+              <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+                {metrics.dayPerformance.map(entry => <Cell key={entry.day} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Performance by Hour" subtitle={`Net P&L per hour in ${instrument}`}>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={metrics.hourPerformance}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="hour" stroke="#94a3b8" style={{ fontSize: '10px' }} />
+              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <Tooltip {...tooltipProps} formatter={(value) => [money(value), 'P&L']} labelFormatter={(label) => `Hour: ${label}`} />
+              <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+                {metrics.hourPerformance.map(entry => <Cell key={entry.hour} fill={entry.pnl >= 0 ? '#10b981' : '#ef4444'} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="P&L by Price Level" subtitle={`Net P&L by ${unit === 'positions' ? 'entry' : 'fill'} price, in ten equal bands`} span2>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={levels}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis dataKey="label" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+              <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <Tooltip
+                {...tooltipProps}
+                formatter={(value, name, props) => [`${money(value)} (${props.payload.trades} ${unit})`, 'P&L']}
+                labelFormatter={(label, payload) => payload?.[0]
+                  ? `${formatPrice(payload[0].payload.from)} – ${formatPrice(payload[0].payload.to)}`
+                  : label}
+              />
+              <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+                {levels.map(level => <Cell key={level.from} fill={level.pnl >= 0 ? '#10b981' : '#ef4444'} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Top 5 Wins" subtitle={`Best ${unit} in ${instrument}`}>
+          <TradeList trades={metrics.bestTrades.filter(t => t.netPnl > 0)} money={money} tone="win" />
+        </ChartCard>
+
+        <ChartCard title="Top 5 Losses" subtitle={`Worst ${unit} in ${instrument}`}>
+          <TradeList trades={metrics.worstTrades.filter(t => t.netPnl < 0)} money={money} tone="loss" />
+        </ChartCard>
+      </div>
+    </div>
+  );
+};
+
+export default InstrumentDetail;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Star, ImagePlus, ImageOff, Trash2, BookOpen } from 'lucide-react';
+import {
+  TAG_CATEGORIES, MAX_RATING, emptyJournalEntry, createTag, parseTag, createScreenshotId
+} from '../lib/journal';
+import { loadScreenshot } from '../lib/storage';
+
+// Modal for annotating one trade or position: notes, tags per category, a
+// rating and chart screenshots (pasted or picked from disk). New screenshots
+// are handed to onSave as blobs; the caller stores them.
+const JournalEditor = ({ record, entry, knownTags, screenshotsAvailable, currency, onSave, onCancel }) => {
+  const initial = entry || emptyJournalEntry();
+  const [notes, setNotes] = useState(initial.notes);
+  const [tags, setTags] = useState(initial.tags);
+  const [rating, setRating] = useState(initial.rating);
+  const [screenshots, setScreenshots] = useState(initial.screenshots);
+  const [added, setAdded] = useState({});
+  const [drafts, setDrafts] = useState({});
+  const [urls, setUrls] = useState({});
+  // Stored screenshots that could not be read, with the reason
+  const [broken, setBroken] = useState({});
+  const urlsRef = useRef({});
+  const fileInputRef = useRef(null);
+
+  const showUrl = (id, blob) => {
+    const url = URL.createObjectURL(blob);
+    urlsRef.current[id] = url;
+    setUrls(prev => ({ ...prev, [id]: url }));
+  };
+
+  // Stored screenshots are only read while the editor is open
+  useEffect(() => {
+    initial.screenshots.forEach(shot => {
+      loadScreenshot(shot.id)
+        .then(stored => {
+          if (stored) showUrl(shot.id, stored.blob);
+          else setBroken(prev => ({ ...prev, [shot.id]: 'Not found in browser storage' }));
+        })
+        .catch(err => {
+          console.error('Storage error:', err);
+          setBroken(prev => ({ ...prev, [shot.id]: `Could not be loaded: ${err.message || err}` }));
+        });
+    });
+    return () => Object.values(urlsRef.current).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const addTag = (category) => {
+    const name = (drafts[category] || '').trim();
+    if (!name) return;
+    const tag = createTag(category, name);
+    if (!tags.includes(tag)) setTags([...tags, tag]);
+    setDrafts({ ...drafts, [category]: '' });
+  };
+
+  const addImages = (files) => {
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    if (images.length === 0) return;
+    const shots = images.map(file => ({ id: createScreenshotId(), name: file.name || 'Pasted image', type: file.type, blob: file }));
+    shots.forEach(shot => showUrl(shot.id, shot.blob));
+    setScreenshots(prev => [...prev, ...shots.map(({ id, name }) => ({ id, name }))]);
+    setAdded(prev => ({ ...prev, ...Object.fromEntries(shots.map(shot => [shot.id, shot])) }));
+  };
+
+  const removeScreenshot = (id) => {
+    setScreenshots(screenshots.filter(shot => shot.id !== id));
+    const { [id]: removed, ...rest } = added;
+    setAdded(rest);
+  };
+
+  const handlePaste = (event) => {
+    if (!screenshotsAvailable) return;
+    const files = Array.from(event.clipboardData?.files || []);
+    if (files.some(file => file.type.startsWith('image/'))) {
+      event.preventDefault();
+      addImages(files);
+    }
+  };
+
+  const save = () => {
+    const kept = new Set(screenshots.map(shot => shot.id));
+    onSave({
+      entry: { ...initial, notes, tags, rating, screenshots },
+      added: Object.values(added).filter(shot => kept.has(shot.id)),
+      removed: initial.screenshots.map(shot => shot.id).filter(id => !kept.has(id))
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-30 bg-slate-950/80 backdrop-blur-sm flex items-start justify-center overflow-y-auto p-6 text-left"
+      onPaste={handlePaste}
+    >
+      <div className="w-full max-w-3xl bg-slate-800 border border-slate-700 rounded-2xl p-6 shadow-2xl">
+        <div className="flex justify-between items-start mb-6">
+          <div className="flex items-center gap-3">
+            <BookOpen className="w-6 h-6 text-cyan-400" />
+            <div>
+              <h2 className="text-xl font-semibold">Journal • {record.instrument} {record.direction}</h2>
+              <p className="text-sm text-slate-400">
+                Trade Id {record.id} • {new Date(record.timestamp).toLocaleString()} •{' '}
+                <span className={record.netPnl >= 0 ? 'text-green-400' : 'text-red-400'}>{formatMoney(record.netPnl, currency)}</span>
+              </p>
+            </div>
+          </div>
+          <button onClick={onCancel} className="text-slate-400 hover:text-slate-200">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Rating */}
+        <div className="mb-5">
+          <label className="block text-sm text-slate-400 mb-2">Rating</label>
+          <div className="flex gap-1">
+            {Array.from({ length: MAX_RATING }, (_, i) => i + 1).map(value => (
+              <button
+                key={value}
+                onClick={() => setRating(rating === value ? 0 : value)}
+                title={`${value} of ${MAX_RATING}`}
+                className={value <= rating ? 'text-amber-400' : 'text-slate-600 hover:text-slate-400'}
+              >
+                <Star className="w-6 h-6" fill={value <= rating ? 'currentColor' : 'none'} />
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Tags */}
+        <div className="grid md:grid-cols-3 gap-4 mb-5">
+          {TAG_CATEGORIES.map(category => {
+            const categoryTags = tags.filter(tag => parseTag(tag).category === category.key);
+            const suggestions = knownTags.filter(tag => parseTag(tag).category === category.key && !tags.includes(tag));
+            return (
+              <div key={category.key}>
+                <label className="block text-sm text-slate-400 mb-2">{category.label}</label>
+                <input
+                  type="text"
+                  list={`journal-tags-${category.key}`}
+                  value={drafts[category.key] || ''}
+                  onChange={(e) => setDrafts({ ...drafts, [category.key]: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && addTag(category.key)}
+                  onBlur={() => addTag(category.key)}
+                  placeholder={category.placeholder}
+                  className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+                />
+                <datalist id={`journal-tags-${category.key}`}>
+                  {suggestions.map(tag => <option key={tag} value={parseTag(tag).name} />)}
+                </datalist>
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {categoryTags.map(tag => (
+                    <span key={tag} className="px-2 py-1 rounded bg-cyan-900/30 text-cyan-300 text-xs flex items-center gap-1">
+                      {parseTag(tag).name}
+                      <button onClick={() => setTags(tags.filter(t => t !== tag))} className="hover:text-red-400">
+                        <X className="w-3 h-3" />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Notes */}
+        <div className="mb-5">
+          <label className="block text-sm text-slate-400 mb-2">Notes</label>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            rows={5}
+            placeholder="Why did you take the trade, how was it managed, what would you do differently?"
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+
+        {/* Screenshots */}
+        <div className="mb-6">
+          <div className="flex justify-between items-center mb-2">
+            <label className="text-sm text-slate-400">Screenshots</label>
+            {screenshotsAvailable && (
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="text-sm text-cyan-400 hover:text-cyan-300 flex items-center gap-1"
+              >
+                <ImagePlus className="w-4 h-4" />
+                Add image
+              </button>
+            )}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => { addImages(e.target.files); e.target.value = ''; }}
+              className="hidden"
+            />
+          </div>
+          {!screenshotsAvailable ? (
+            <p className="text-sm text-slate-500">Screenshots need browser storage, which is not available this session.</p>
+          ) : screenshots.length === 0 ? (
+            <p className="text-sm text-slate-500">Paste a chart image here or add one from disk. Images are stored in this browser only.</p>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {screenshots.map(shot => (
+                <div key={shot.id} className="relative group bg-slate-900/50 rounded-lg overflow-hidden border border-slate-700/50">
+                  {urls[shot.id] ? (
+                    <a href={urls[shot.id]} target="_blank" rel="noreferrer">
+                      <img src={urls[shot.id]} alt={shot.name} className="w-full h-32 object-cover" />
+                    </a>
+                  ) : broken[shot.id] ? (
+                    <div title={broken[shot.id]} className="h-32 flex flex-col items-center justify-center gap-2 text-xs text-amber-300">
+                      <ImageOff className="w-6 h-6" />
+                      {broken[shot.id]}
+                    </div>
+                  ) : (
+                    <div className="h-32 flex items-center justify-center text-xs text-slate-500">Loading…</div>
+                  )}
+                  <div className="flex justify-between items-center px-2 py-1 text-xs text-slate-400">
+                    <span className="truncate">{shot.name}</span>
+                    <button onClick={() => removeScreenshot(shot.id)} className="hover:text-red-400">
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={save}
+            className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors text-sm font-semibold"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JournalEditor;
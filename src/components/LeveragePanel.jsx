@@ -0,0 +1,223 @@
+import React, { useState, useRef } from 'react';
+import { Plus, Trash2, Download, Upload, RotateCcw } from 'lucide-react';
+import { DEFAULT_LEVERAGE_TABLE, resolveLeverage, normalizeLeverageTable } from '../lib/leverage';
+import { downloadFile } from '../lib/download';
+
+// Editor for the leverage/margin table used by every margin-based figure
+const LeveragePanel = ({ table, onChange, instruments, onError }) => {
+  const [newOverride, setNewOverride] = useState({ symbol: '', leverage: '' });
+  const jsonInputRef = useRef(null);
+
+  const updateClass = (id, changes) => {
+    onChange({
+      ...table,
+      assetClasses: table.assetClasses.map(c => (c.id === id ? { ...c, ...changes } : c))
+    });
+  };
+
+  const addClass = () => {
+    onChange({
+      ...table,
+      assetClasses: [
+        ...table.assetClasses,
+        { id: `class-${Date.now().toString(36)}`, name: 'New class', leverage: table.defaultLeverage, patterns: [] }
+      ]
+    });
+  };
+
+  const removeClass = (id) => {
+    onChange({ ...table, assetClasses: table.assetClasses.filter(c => c.id !== id) });
+  };
+
+  const addOverride = () => {
+    const leverage = parseFloat(newOverride.leverage);
+    const symbol = newOverride.symbol.trim();
+    if (!symbol || !(leverage > 0)) return;
+
+    onChange({ ...table, overrides: { ...table.overrides, [symbol]: leverage } });
+    setNewOverride({ symbol: '', leverage: '' });
+  };
+
+  const removeOverride = (symbol) => {
+    const { [symbol]: removed, ...overrides } = table.overrides;
+    onChange({ ...table, overrides });
+  };
+
+  const exportJSON = () => {
+    downloadFile(JSON.stringify(table, null, 2), 'leverage_table.json', 'application/json');
+  };
+
+  const importJSON = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChange(normalizeLeverageTable(JSON.parse(e.target.result)));
+      } catch (err) {
+        onError(`Invalid leverage table: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const resetDefaults = () => {
+    if (confirm('Replace the leverage table with the built-in defaults?')) {
+      onChange(DEFAULT_LEVERAGE_TABLE);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+      <input ref={jsonInputRef} type="file" accept=".json" onChange={importJSON} className="hidden" />
+
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h3 className="text-lg font-semibold mb-1">Leverage & Margin</h3>
+          <p className="text-sm text-slate-400">
+            Per-symbol overrides win, then the first matching asset class, then the default.
+            Patterns are globs (<code>DAX*</code>) or regular expressions between slashes.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={exportJSON}
+            className="px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+          >
+            <Download className="w-3 h-3" />
+            Export JSON
+          </button>
+          <button
+            onClick={() => jsonInputRef.current?.click()}
+            className="px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+          >
+            <Upload className="w-3 h-3" />
+            Import JSON
+          </button>
+          <button
+            onClick={resetDefaults}
+            className="px-3 py-1 text-sm bg-slate-800 hover:bg-slate-700 rounded-lg transition-colors flex items-center gap-2 border border-slate-700"
+          >
+            <RotateCcw className="w-3 h-3" />
+            Defaults
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+        <div>
+          <label className="block text-sm text-slate-400 mb-2">Default Leverage</label>
+          <input
+            type="number"
+            min="1"
+            value={table.defaultLeverage}
+            onChange={(e) => onChange({ ...table, defaultLeverage: parseFloat(e.target.value) || 1 })}
+            className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-semibold">Asset Classes</h4>
+        <button onClick={addClass} className="text-sm text-cyan-400 hover:text-cyan-300 flex items-center gap-1">
+          <Plus className="w-3 h-3" />
+          Add class
+        </button>
+      </div>
+      <div className="space-y-2 mb-6">
+        {table.assetClasses.map(c => (
+          <div key={c.id} className="grid grid-cols-12 gap-2 items-center bg-slate-900/50 rounded-lg p-3">
+            <input
+              type="text"
+              value={c.name}
+              onChange={(e) => updateClass(c.id, { name: e.target.value })}
+              className="col-span-3 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+            />
+            <div className="col-span-2 flex items-center gap-2">
+              <input
+                type="number"
+                min="1"
+                value={c.leverage}
+                onChange={(e) => updateClass(c.id, { leverage: parseFloat(e.target.value) || 1 })}
+                className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+              />
+              <span className="text-xs text-slate-500 whitespace-nowrap">{(100 / c.leverage).toFixed(1)}%</span>
+            </div>
+            <input
+              type="text"
+              value={c.patterns.join(', ')}
+              onChange={(e) => updateClass(c.id, { patterns: e.target.value.split(',').map(p => p.trim()) })}
+              placeholder="US100, DAX*, /^BTC/"
+              className="col-span-6 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm font-mono"
+            />
+            <button onClick={() => removeClass(c.id)} className="col-span-1 text-slate-500 hover:text-red-400 flex justify-center">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <h4 className="font-semibold mb-3">Symbol Overrides</h4>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <input
+          type="text"
+          list="leverage-instruments"
+          value={newOverride.symbol}
+          onChange={(e) => setNewOverride({ ...newOverride, symbol: e.target.value })}
+          placeholder="Symbol"
+          className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+        />
+        <datalist id="leverage-instruments">
+          {instruments.map(inst => <option key={inst} value={inst} />)}
+        </datalist>
+        <input
+          type="number"
+          min="1"
+          value={newOverride.leverage}
+          onChange={(e) => setNewOverride({ ...newOverride, leverage: e.target.value })}
+          placeholder="Leverage (e.g. 5)"
+          className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          onClick={addOverride}
+          className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors flex items-center justify-center gap-2 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Add override
+        </button>
+      </div>
+      {Object.keys(table.overrides).length > 0 && (
+        <div className="space-y-2 mb-6">
+          {Object.entries(table.overrides).map(([symbol, leverage]) => (
+            <div key={symbol} className="flex justify-between items-center bg-slate-900/50 rounded-lg p-3">
+              <span className="font-semibold">{symbol}</span>
+              <div className="flex items-center gap-4">
+                <span className="text-slate-300">{leverage}:1</span>
+                <button onClick={() => removeOverride(symbol)} className="text-slate-500 hover:text-red-400">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <h4 className="font-semibold mb-3">Instruments in Your Data</h4>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {instruments.map(inst => {
+          const { leverage, source } = resolveLeverage(inst, table);
+          return (
+            <div key={inst} className="bg-slate-900/50 rounded-lg p-3">
+              <div className="font-semibold">{inst}</div>
+              <div className="text-xs text-slate-400">{leverage}:1 • {source}</div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default LeveragePanel;
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ComposedChart, Area, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Dices, AlertTriangle, Target, TrendingDown, Percent, DollarSign } from 'lucide-react';
+import { MetricCard, ChartCard } from './Cards';
+import { SIMULATION_METHODS, DEFAULT_SIMULATION_SETTINGS } from '../lib/montecarlo';
+import { simulateInWorker } from '../lib/simulation';
+import { formatMoney } from '../lib/currency';
+
+const SIMULATION_COUNTS = [1000, 5000, 10000];
+const MIN_TRADES = 10;
+
+const inputClass = 'block mt-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200';
+const tooltipStyle = {
+  contentStyle: { backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' },
+  labelStyle: { color: '#e2e8f0' },
+  itemStyle: { color: '#e2e8f0' }
+};
+
+// Simulated future equity paths from the filtered trades, run on demand in a
+// Web Worker. Results are dropped whenever the underlying trades change.
+const MonteCarloPanel = ({ pnls, startingEquity, balanceKnown, historicalMaxDrawdown, unit, currency }) => {
+  const money = (value) => formatMoney(value, currency);
+  const [settings, setSettings] = useState(DEFAULT_SIMULATION_SETTINGS);
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const defaultRuinAmount = Math.max(Math.ceil(historicalMaxDrawdown * 2), 1);
+  const ruinLoss = balanceKnown
+    ? startingEquity * (settings.ruinPercent / 100)
+    : parseFloat(settings.ruinAmount) || defaultRuinAmount;
+
+  useEffect(() => {
+    setResult(null);
+    return () => abortRef.current?.abort();
+  }, [pnls, startingEquity]);
+
+  const update = (changes) => setSettings({ ...settings, ...changes });
+
+  const run = async () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress(0);
+
+    try {
+      const simulated = await simulateInWorker(
+        pnls,
+        {
+          method: settings.method,
+          simulations: settings.simulations,
+          horizon: settings.horizon,
+          startingEquity,
+          ruinLoss,
+          seed: Date.now() % 2147483647
+        },
+        { onProgress: setProgress, signal: controller.signal }
+      );
+      setResult({ ...simulated, ruinLoss });
+    } catch (err) {
+      if (err.name !== 'AbortError') setError(err.message);
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  if (pnls.length === 0) return null;
+
+  return (
+    <div className="max-w-7xl mx-auto mb-8">
+      <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6">
+        <div className="flex items-center gap-3 mb-1">
+          <Dices className="w-5 h-5 text-cyan-400" />
+          <h3 className="text-lg font-semibold">Monte Carlo Simulation</h3>
+        </div>
+        <p className="text-sm text-slate-400 mb-4">
+          Replays the net P&L of the {pnls.length} filtered {unit} thousands of times to show how equity and
+          drawdowns could plausibly turn out with the same trade distribution.
+        </p>
+
+        <div className="flex flex-wrap gap-4 items-end">
+          <label className="text-xs text-slate-400">
+            Method
+            <select value={settings.method} onChange={(e) => update({ method: e.target.value })} className={inputClass}>
+              {SIMULATION_METHODS.map(method => <option key={method.value} value={method.value}>{method.label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-slate-400">
+            Simulations
+            <select
+              value={settings.simulations}
+              onChange={(e) => update({ simulations: parseInt(e.target.value, 10) })}
+              className={inputClass}
+            >
+              {SIMULATION_COUNTS.map(count => <option key={count} value={count}>{count.toLocaleString()}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-slate-400">
+            Trades per path
+            <input
+              type="number"
+              min="0"
+              value={settings.method === 'shuffle' ? pnls.length : settings.horizon || ''}
+              placeholder={String(pnls.length)}
+              disabled={settings.method === 'shuffle'}
+              onChange={(e) => update({ horizon: Math.max(parseInt(e.target.value, 10) || 0, 0) })}
+              className={`${inputClass} w-32 disabled:opacity-40`}
+            />
+          </label>
+          <label className="text-xs text-slate-400">
+            {balanceKnown ? 'Ruin = loss of (% of equity)' : `Ruin = loss of (${currency || 'amount'})`}
+            {balanceKnown ? (
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={settings.ruinPercent}
+                onChange={(e) => update({ ruinPercent: Math.min(Math.max(parseFloat(e.target.value) || 0, 1), 100) })}
+                className={`${inputClass} w-32`}
+              />
+            ) : (
+              <input
+                type="number"
+                min="0"
+                value={settings.ruinAmount}
+                placeholder={String(defaultRuinAmount)}
+                onChange={(e) => update({ ruinAmount: e.target.value })}
+                className={`${inputClass} w-32`}
+              />
+            )}
+          </label>
+          <button
+            onClick={run}
+            disabled={progress !== null || pnls.length < MIN_TRADES}
+            className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors text-sm font-semibold disabled:opacity-40"
+          >
+            {progress !== null ? `Simulating… ${Math.round(progress * 100)}%` : result ? 'Run again' : 'Run simulation'}
+          </button>
+        </div>
+
+        {pnls.length < MIN_TRADES && (
+          <p className="text-sm text-slate-500 mt-3">At least {MIN_TRADES} {unit} are needed for a meaningful simulation.</p>
+        )}
+        {error && (
+          <div className="flex items-center gap-2 text-sm text-red-300 mt-3">
+            <AlertTriangle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+      </div>
+
+      {result && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mt-4">
+            <MetricCard
+              title="Probability of Ruin"
+              value={`${result.ruinProbability.toFixed(1)}%`}
+              subtitle={`Losing ${money(result.ruinLoss)} within ${result.steps} ${unit}`}
+              icon={<AlertTriangle />}
+              positive={result.ruinProbability < 1}
+              tooltip="Share of simulated paths whose equity fell by the ruin threshold at any point, measured from the current equity."
+            />
+            <MetricCard
+              title="Expected Max Drawdown"
+              value={money(result.maxDrawdown.mean)}
+              subtitle={`Median ${money(result.maxDrawdown.p50)} • 95th pct ${money(result.maxDrawdown.p95)}${result.maxDrawdown.p95Percent !== null ? ` (${result.maxDrawdown.p95Percent.toFixed(1)}%)` : ''}`}
+              icon={<TrendingDown />}
+              positive={false}
+              tooltip={`Average of the deepest peak-to-trough decline of every path. Historically: ${money(historicalMaxDrawdown)}. One path in a hundred was worse than ${money(result.maxDrawdown.p99)}.`}
+            />
+            <MetricCard
+              title="Median Outcome"
+              value={money(result.finalEquity.p50 - result.startingEquity)}
+              subtitle={`90% between ${money(result.finalEquity.p5 - result.startingEquity)} and ${money(result.finalEquity.p95 - result.startingEquity)}`}
+              icon={<DollarSign />}
+              positive={result.finalEquity.p50 >= result.startingEquity}
+              tooltip="P&L at the end of the simulated paths. Half the paths ended above the median."
+            />
+            <MetricCard
+              title="Win Rate (95% CI)"
+              value={`${result.winRate.low.toFixed(1)}–${result.winRate.high.toFixed(1)}%`}
+              subtitle="Bootstrapped confidence interval"
+              icon={<Target />}
+              positive={result.winRate.low >= 50}
+              tooltip={`The true win rate behind these ${pnls.length} ${unit} lies in this range with 95% confidence; fewer trades give a wider range.`}
+            />
+            <MetricCard
+              title="Expectancy (95% CI)"
+              value={`${money(result.expectancy.low)} – ${money(result.expectancy.high)}`}
+              subtitle={result.expectancy.low > 0 ? 'Edge is positive with 95% confidence' : 'A zero or negative edge cannot be ruled out'}
+              icon={<Percent />}
+              positive={result.expectancy.low > 0}
+              tooltip="Range of the average net P&L per trade that is consistent with the observed trades, at 95% confidence."
+            />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+            <ChartCard
+              title="Simulated Equity"
+              subtitle={`${result.simulations.toLocaleString()} paths • 5th–95th and 25th–75th percentile bands`}
+            >
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={result.bands}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey="trade" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+                  <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} domain={['auto', 'auto']} />
+                  <Tooltip
+                    {...tooltipStyle}
+                    labelFormatter={(trade) => `After ${trade} ${unit}`}
+                    formatter={(value, name) => [
+                      Array.isArray(value) ? `${money(value[0])} – ${money(value[1])}` : money(value),
+                      name
+                    ]}
+                  />
+                  <Legend />
+                  <Area dataKey={d => [d.p5, d.p95]} name="5th–95th" stroke="none" fill="#06b6d4" fillOpacity={0.15} />
+                  <Area dataKey={d => [d.p25, d.p75]} name="25th–75th" stroke="none" fill="#06b6d4" fillOpacity={0.3} />
+                  <Line dataKey="p50" name="Median" stroke="#06b6d4" strokeWidth={2} dot={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </ChartCard>
+
+            <ChartCard title="Max Drawdown Distribution" subtitle="How many paths reached each maximum drawdown">
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={result.maxDrawdown.histogram}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                  <XAxis dataKey={bin => formatMoney(bin.to, currency, { decimals: 0 })} stroke="#94a3b8" style={{ fontSize: '11px' }} />
+                  <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} allowDecimals={false} />
+                  <Tooltip
+                    {...tooltipStyle}
+                    labelFormatter={(_, payload) => {
+                      const bin = payload?.[0]?.payload;
+                      return bin ? `${money(bin.from)} – ${money(bin.to)}` : '';
+                    }}
+                    formatter={(value) => [value, 'Paths']}
+                  />
+                  <Bar dataKey="paths" fill="#ef4444" radius={[8, 8, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartCard>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MonteCarloPanel;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { ArrowLeftRight } from 'lucide-react';
+import { PERIOD_PRESETS, PERIOD_COLORS, describePeriod, overlayEquity } from '../lib/comparison';
+import { formatMoney } from '../lib/currency';
+
+const tooltipStyle = {
+  contentStyle: { backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' },
+  labelStyle: { color: '#e2e8f0' },
+  itemStyle: { color: '#e2e8f0' }
+};
+
+const inputClass = 'bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+
+const PeriodPicker = ({ id, period, count, unit, onChange }) => (
+  <div className="flex-1 min-w-[16rem]">
+    <div className="flex items-center gap-2 mb-2">
+      <span className="w-3 h-3 rounded-full" style={{ backgroundColor: PERIOD_COLORS[id] }} />
+      <span className="text-sm font-semibold">Period {id.toUpperCase()}</span>
+      <span className="text-xs text-slate-400">{count} {unit}</span>
+    </div>
+    <div className="flex flex-wrap gap-2">
+      <select
+        value={period.preset}
+        onChange={(e) => onChange({ ...period, preset: e.target.value })}
+        className={inputClass}
+      >
+        {PERIOD_PRESETS.map(preset => <option key={preset.value} value={preset.value}>{preset.label}</option>)}
+      </select>
+      {period.preset === 'custom' && (
+        <>
+          <input
+            type="date"
+            value={period.start}
+            onChange={(e) => onChange({ ...period, start: e.target.value })}
+            className={inputClass}
+          />
+          <input
+            type="date"
+            value={period.end}
+            onChange={(e) => onChange({ ...period, end: e.target.value })}
+            className={inputClass}
+          />
+        </>
+      )}
+    </div>
+    <div className="text-xs text-slate-500 mt-1">{describePeriod(period)}</div>
+  </div>
+);
+
+// Picks the two periods of compare mode. Period A drives the dashboard; every
+// metric card also shows period B and the difference.
+const PeriodComparison = ({ comparison, counts, unit, onChange }) => (
+  <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+    <div className="mb-4">
+      <h3 className="text-lg font-semibold mb-1">Compare Periods</h3>
+      <p className="text-sm text-slate-400">
+        The dashboard shows period A; metric cards add period B with the change, and the equity curve and
+        day/hour charts overlay both. The other filters apply to both periods.
+      </p>
+    </div>
+    <div className="flex flex-wrap items-center gap-4">
+      <PeriodPicker id="a" period={comparison.a} count={counts.a} unit={unit} onChange={(a) => onChange({ ...comparison, a })} />
+      <button
+        onClick={() => onChange({ a: comparison.b, b: comparison.a })}
+        title="Swap periods"
+        className="p-2 text-slate-400 hover:text-slate-200 bg-slate-900 border border-slate-700 rounded-lg"
+      >
+        <ArrowLeftRight className="w-4 h-4" />
+      </button>
+      <PeriodPicker id="b" period={comparison.b} count={counts.b} unit={unit} onChange={(b) => onChange({ ...comparison, b })} />
+    </div>
+  </div>
+);
+
+// Cumulative P&L of both periods by trade number
+export const ComparisonEquityChart = ({ curveA, curveB, currency }) => (
+  <ResponsiveContainer width="100%" height={300}>
+    <LineChart data={overlayEquity(curveA, curveB)}>
+      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+      <XAxis dataKey="trade" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+      <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+      <Tooltip
+        {...tooltipStyle}
+        labelFormatter={(trade) => `After trade ${trade}`}
+        formatter={(value, name) => [value === null ? '—' : formatMoney(value, currency), name]}
+      />
+      <Legend />
+      <Line type="monotone" dataKey="a" name="Period A" stroke={PERIOD_COLORS.a} strokeWidth={2} dot={false} connectNulls={false} />
+      <Line type="monotone" dataKey="b" name="Period B" stroke={PERIOD_COLORS.b} strokeWidth={2} dot={false} connectNulls={false} />
+    </LineChart>
+  </ResponsiveContainer>
+);
+
+// P&L of both periods per bucket (day of week, hour), side by side
+export const ComparisonBarChart = ({ data, dataKey, labelFormatter, currency }) => (
+  <ResponsiveContainer width="100%" height={300}>
+    <BarChart data={data}>
+      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+      <XAxis dataKey={dataKey} stroke="#94a3b8" style={{ fontSize: '11px' }} />
+      <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+      <Tooltip
+        {...tooltipStyle}
+        labelFormatter={labelFormatter}
+        formatter={(value, name, props) => {
+          const trades = name === 'Period A' ? props.payload.tradesA : props.payload.tradesB;
+          return [`${formatMoney(value, currency)} (${trades} trades)`, name];
+        }}
+      />
+      <Legend />
+      <Bar dataKey="a" name="Period A" fill={PERIOD_COLORS.a} radius={[8, 8, 0, 0]} />
+      <Bar dataKey="b" name="Period B" fill={PERIOD_COLORS.b} radius={[8, 8, 0, 0]} />
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+export default PeriodComparison;
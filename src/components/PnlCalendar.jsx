@@ -0,0 +1,181 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+import { toDateKey } from '../lib/equity';
+import { WEEKDAY_LABELS, MONTH_LABELS, buildMonthGrid, totalsByMonth, monthRange } from '../lib/calendar';
+import { formatMoney } from '../lib/currency';
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+
+// Green for winning days, red for losing ones; stronger the further from zero
+const cellColor = (pnl, scale) => {
+  if (!pnl || !scale) return 'rgba(51, 65, 85, 0.4)';
+  const alpha = 0.15 + 0.75 * Math.min(Math.abs(pnl) / scale, 1);
+  return pnl > 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+  weekday: 'short', day: 'numeric', month: 'short', year: 'numeric'
+});
+
+// Month grid of daily net P&L with weekly totals in the right margin and
+// monthly totals above. Clicking a day lists its trades.
+const PnlCalendar = ({ days, records, unit, currency, onFilterDay }) => {
+  const money = (value) => formatMoney(value, currency);
+  const months = useMemo(() => monthRange(days), [days]);
+  const byDate = useMemo(() => new Map(days.map(day => [day.date, day])), [days]);
+  const monthTotals = useMemo(() => totalsByMonth(days), [days]);
+  const [month, setMonth] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  if (months.length === 0) return null;
+
+  // Stay on the chosen month while it has data, otherwise show the latest one
+  const visibleMonth = months.includes(month) ? month : months[months.length - 1];
+  const monthIndex = months.indexOf(visibleMonth);
+  const [year, monthNumber] = visibleMonth.split('-').map(Number);
+  const weeks = buildMonthGrid(visibleMonth, byDate);
+  const monthTotal = monthTotals.get(visibleMonth);
+
+  // Colours are scaled on the 95th percentile day so one outlier does not wash out the rest
+  const magnitudes = days.map(day => Math.abs(day.pnl)).sort((a, b) => a - b);
+  const scale = magnitudes[Math.floor((magnitudes.length - 1) * 0.95)];
+
+  const selected = selectedDate && byDate.get(selectedDate);
+  const selectedRecords = selected
+    ? records.filter(r => toDateKey(r.timestamp) === selectedDate).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    : [];
+
+  return (
+    <div>
+      {/* Monthly totals of the year */}
+      <div className="grid grid-cols-6 md:grid-cols-12 gap-1 mb-4">
+        {MONTH_LABELS.map((label, i) => {
+          const key = `${year}-${String(i + 1).padStart(2, '0')}`;
+          const total = monthTotals.get(key);
+          return (
+            <button
+              key={key}
+              onClick={() => total && setMonth(key)}
+              disabled={!total}
+              className={`rounded-lg px-1 py-2 text-center border transition-colors ${
+                key === visibleMonth ? 'border-cyan-500 bg-slate-900' : 'border-slate-700/50 bg-slate-900/50 hover:bg-slate-900'
+              } disabled:opacity-40 disabled:hover:bg-slate-900/50`}
+            >
+              <div className="text-xs text-slate-400">{label}</div>
+              <div className={`text-xs font-semibold ${total ? pnlClass(total.pnl) : 'text-slate-600'}`}>
+                {total ? `${total.pnl >= 0 ? '+' : ''}${Math.round(total.pnl)}` : '—'}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex justify-between items-center mb-3">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setMonth(months[monthIndex - 1])}
+            disabled={monthIndex <= 0}
+            className="p-1 text-slate-400 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span className="font-semibold w-24 text-center">{MONTH_LABELS[monthNumber - 1]} {year}</span>
+          <button
+            onClick={() => setMonth(months[monthIndex + 1])}
+            disabled={monthIndex >= months.length - 1}
+            className="p-1 text-slate-400 hover:text-slate-200 disabled:opacity-30"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+        {monthTotal && (
+          <div className="text-sm text-slate-400">
+            Month: <span className={`font-semibold ${pnlClass(monthTotal.pnl)}`}>{money(monthTotal.pnl)}</span>
+            {' '}• {monthTotal.trades} {unit} on {monthTotal.days} days • {monthTotal.winners}W / {monthTotal.losers}L
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-8 gap-1 text-xs">
+        {WEEKDAY_LABELS.map(label => <div key={label} className="text-center text-slate-500 pb-1">{label}</div>)}
+        <div className="text-center text-slate-500 pb-1">Week</div>
+
+        {weeks.map(week => (
+          <React.Fragment key={week.days[0].date}>
+            {week.days.map(day => (
+              <div key={day.date} className="relative group">
+                <button
+                  onClick={() => day.stats && setSelectedDate(day.date === selectedDate ? null : day.date)}
+                  disabled={!day.stats}
+                  className={`w-full h-16 rounded-lg p-1.5 text-left border ${
+                    day.date === selectedDate ? 'border-cyan-400' : 'border-transparent'
+                  } ${day.inMonth ? '' : 'opacity-30'} ${day.stats ? 'hover:border-slate-400 cursor-pointer' : 'cursor-default'}`}
+                  style={{ backgroundColor: day.inMonth ? cellColor(day.stats?.pnl, scale) : 'transparent' }}
+                >
+                  <div className="text-slate-300">{day.dayOfMonth}</div>
+                  {day.stats && (
+                    <div className="font-semibold text-slate-100 truncate">
+                      {day.stats.pnl >= 0 ? '+' : ''}{Math.round(day.stats.pnl)}
+                    </div>
+                  )}
+                </button>
+                {day.stats && (
+                  <div className="hidden group-hover:block absolute left-1/2 -translate-x-1/2 top-full mt-1 z-20 w-48 p-3 bg-slate-900 border border-slate-700 rounded-lg shadow-xl text-slate-300">
+                    <div className="font-semibold text-slate-100 mb-1">{formatDay(day.date)}</div>
+                    <div>Net P&L: <span className={pnlClass(day.stats.pnl)}>{money(day.stats.pnl)}</span></div>
+                    <div>{day.stats.trades} {unit} • {day.stats.winners}W / {day.stats.losers}L</div>
+                    <div>Win rate: {((day.stats.winners / day.stats.trades) * 100).toFixed(0)}%</div>
+                    <div>Best {money(day.stats.best)} • Worst {money(day.stats.worst)}</div>
+                  </div>
+                )}
+              </div>
+            ))}
+            <div className="h-16 rounded-lg p-1.5 bg-slate-900/50 border border-slate-700/50 text-right">
+              <div className="text-slate-500">{week.total.trades > 0 ? `${week.total.trades} ${unit}` : ''}</div>
+              {week.total.days > 0 && (
+                <div className={`font-semibold ${pnlClass(week.total.pnl)}`}>{money(week.total.pnl)}</div>
+              )}
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+
+      {/* Drill-down into one day */}
+      {selected && (
+        <div className="mt-4 bg-slate-900/50 rounded-lg p-4 border border-slate-700/50">
+          <div className="flex justify-between items-center mb-3">
+            <div>
+              <span className="font-semibold">{formatDay(selectedDate)}</span>
+              <span className="text-sm text-slate-400">
+                {' '}• {selected.trades} {unit} • <span className={pnlClass(selected.pnl)}>{money(selected.pnl)}</span>
+              </span>
+            </div>
+            <div className="flex items-center gap-3">
+              {onFilterDay && (
+                <button onClick={() => onFilterDay(selectedDate)} className="text-sm text-cyan-400 hover:text-cyan-300">
+                  Filter dashboard to this day
+                </button>
+              )}
+              <button onClick={() => setSelectedDate(null)} className="text-slate-400 hover:text-slate-200">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="space-y-1 max-h-64 overflow-y-auto text-sm">
+            {selectedRecords.map(record => (
+              <div key={`${record.accountId}:${record.id}`} className="flex justify-between items-center px-2 py-1 rounded hover:bg-slate-800/50">
+                <span className="text-slate-400 w-20">{new Date(record.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                <span className="flex-1 font-medium">{record.instrument}</span>
+                <span className={`w-16 ${record.direction === 'Long' ? 'text-green-400' : 'text-red-400'}`}>{record.direction}</span>
+                <span className="w-20 text-right text-slate-400">{record.quantity}</span>
+                <span className={`w-28 text-right font-semibold ${pnlClass(record.netPnl)}`}>{money(record.netPnl)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PnlCalendar;
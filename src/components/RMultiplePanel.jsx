@@ -0,0 +1,95 @@
+import React from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import { ChartCard } from './Cards';
+import { formatMoney } from '../lib/currency';
+
+const formatR = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+
+const StatRow = ({ label, value, detail, positive }) => (
+  <div className="bg-slate-900/50 rounded-lg p-4">
+    <div className="flex justify-between items-center">
+      <span className="text-slate-400 text-sm">{label}</span>
+      <span className={`text-xl font-bold ${positive === undefined ? 'text-slate-100' : positive ? 'text-green-400' : 'text-red-400'}`}>
+        {value}
+      </span>
+    </div>
+    {detail && <div className="text-xs text-slate-500 mt-1">{detail}</div>}
+  </div>
+);
+
+// P&L in multiples of the initial risk (entry to stop loss), for the trades
+// that had a stop when they were opened
+const RMultiplePanel = ({ stats, balanceKnown, unit, currency }) => {
+  if (!stats) return null;
+  const money = (value) => formatMoney(value, currency);
+
+  return (
+    <div className="max-w-7xl mx-auto mb-8">
+      {stats.withoutStop > 0 && (
+        <div className="bg-amber-900/20 border border-amber-800/50 rounded-xl p-4 mb-4 flex items-center gap-3 text-sm text-amber-200">
+          <AlertTriangle className="w-5 h-5 text-amber-400 flex-shrink-0" />
+          {stats.withoutStop} {unit} without a usable stop loss {stats.withoutStop === 1 ? 'is' : 'are'} left out of the R-multiple analysis
+          (no stop, a stop at or past the entry price, or an entry before the first row of the export).
+        </div>
+      )}
+
+      {stats.measured > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <ChartCard title="R-Multiple Distribution" subtitle={`${stats.measured} ${unit} with a stop loss`}>
+            <ResponsiveContainer width="100%" height={300}>
+              <BarChart data={stats.histogram}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                <XAxis dataKey="label" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+                <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+                  labelStyle={{ color: '#e2e8f0' }}
+                  itemStyle={{ color: '#e2e8f0' }}
+                  formatter={(value, name) => {
+                    if (name === 'trades') return [value, 'Trades'];
+                    if (name === 'pnl') return [money(value), 'P&L'];
+                    return [value, name];
+                  }}
+                />
+                <Bar dataKey="trades" radius={[8, 8, 0, 0]}>
+                  {stats.histogram.map(bin => (
+                    <Cell key={bin.label} fill={bin.bin < 0 ? '#ef4444' : '#10b981'} />
+                  ))}
+                </Bar>
+                <Bar dataKey="pnl" fill="#10b981" radius={[8, 8, 0, 0]} hide />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+
+          <ChartCard title="R-Multiples" subtitle="P&L in units of initial risk (entry to stop × size)">
+            <div className="space-y-3">
+              <StatRow
+                label="Expectancy"
+                value={formatR(stats.averageR)}
+                detail={`Average R per trade • ${formatR(stats.totalR)} in total`}
+                positive={stats.averageR >= 0}
+              />
+              <StatRow
+                label="Avg Win / Avg Loss"
+                value={`${formatR(stats.avgWinR)} / ${formatR(-stats.avgLossR)}`}
+                detail={`Win rate ${stats.winRate.toFixed(1)}% • best ${formatR(stats.bestR)}, worst ${formatR(stats.worstR)}`}
+              />
+              <StatRow
+                label="Avg Risk per Trade"
+                value={balanceKnown && stats.avgRiskPercent !== null
+                  ? `${stats.avgRiskPercent.toFixed(2)}%`
+                  : money(stats.avgRisk)}
+                detail={balanceKnown && stats.maxRiskPercent !== null
+                  ? `Of account equity • ${money(stats.avgRisk)} on average, at most ${stats.maxRiskPercent.toFixed(2)}%`
+                  : 'Set an account balance to see risk as a % of equity'}
+              />
+            </div>
+          </ChartCard>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RMultiplePanel;
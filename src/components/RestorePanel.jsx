@@ -0,0 +1,66 @@
+import React from 'react';
+import { FileJson, X, AlertTriangle } from 'lucide-react';
+import { countBackupTrades } from '../lib/backup';
+
+// Confirmation step for restoring a workspace backup: merge into the current
+// data or replace it completely. `error` reports a restore that could not be
+// written to storage; `busy` is set while it is being written.
+const RestorePanel = ({ backup, fileName, busy, error, onMerge, onReplace, onCancel }) => (
+  <div className="bg-slate-800/50 backdrop-blur border border-cyan-800/50 rounded-xl p-6 mb-6 text-left">
+    <div className="flex justify-between items-start mb-4">
+      <div className="flex items-center gap-3">
+        <FileJson className="w-6 h-6 text-cyan-400" />
+        <div>
+          <h3 className="text-lg font-semibold">Restore {fileName}</h3>
+          <p className="text-sm text-slate-400">
+            {backup.accounts.length} account(s) • {countBackupTrades(backup)} trades
+            {backup.exportedAt && ` • exported ${new Date(backup.exportedAt).toLocaleString()}`}
+          </p>
+        </div>
+      </div>
+      <button onClick={onCancel} className="text-slate-400 hover:text-slate-200">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+
+    {error && (
+      <div className="mb-4 p-3 bg-red-900/30 border border-red-800/50 rounded-lg text-red-300 text-sm flex gap-2">
+        <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5" />
+        {error}. The loaded workspace was left as it was.
+      </div>
+    )}
+
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="bg-slate-900/50 rounded-lg p-4 flex flex-col">
+        <div className="font-semibold mb-1">Merge</div>
+        <p className="text-sm text-slate-400 mb-4 flex-1">
+          Add the backup to what is already loaded. Accounts are matched by name, trades are de-duplicated
+          by Trade Id, and the merge can be rolled back from the "Imports" panel.
+        </p>
+        <button
+          onClick={onMerge}
+          disabled={busy}
+          className="px-4 py-2 bg-cyan-600 hover:bg-cyan-500 rounded-lg transition-colors text-sm disabled:opacity-40"
+        >
+          Merge into workspace
+        </button>
+      </div>
+      <div className="bg-slate-900/50 rounded-lg p-4 flex flex-col">
+        <div className="font-semibold mb-1">Replace</div>
+        <p className="text-sm text-slate-400 mb-4 flex-1">
+          Discard all current accounts and restore the backup exactly as it was exported, including
+          preferences and filters.
+        </p>
+        <button
+          onClick={onReplace}
+          disabled={busy}
+          className="px-4 py-2 bg-red-900/30 hover:bg-red-900/50 rounded-lg transition-colors text-sm border border-red-800/50 disabled:opacity-40"
+        >
+          Replace workspace
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default RestorePanel;
@@ -0,0 +1,137 @@
+import React from 'react';
+import { Activity, Gauge, ShieldAlert, Timer, TrendingDown } from 'lucide-react';
+import { MetricCard } from './Cards';
+import { ANNUALISATION_BASES } from '../lib/risk';
+import { metricComparison } from '../lib/comparison';
+import { formatMoney } from '../lib/currency';
+
+const formatRatio = (value) => (value === null ? '—' : value.toFixed(2));
+
+const ratingOf = (value, good, excellent) => {
+  if (value === null) return 'Not enough variation';
+  return value >= excellent ? 'Excellent' : value >= good ? 'Good' : value >= 0 ? 'Fair' : 'Negative';
+};
+
+const formatDays = (days) => `${days} day${days === 1 ? '' : 's'}`;
+
+// Risk-adjusted ratios and drawdown durations for the trades in the current
+// filter, with the risk-free rate and annualisation basis they are based on.
+// In compare mode `baseline` holds the figures of period B (null without trades).
+const RiskPanel = ({ risk, settings, onSettingsChange, baseline, currency }) => {
+  if (!risk) return null;
+  const money = (value) => formatMoney(value, currency);
+
+  const versus = (key, format, options) => {
+    if (baseline === undefined) return undefined;
+    return metricComparison(risk[key], baseline ? baseline[key] : null, format, options);
+  };
+  const ulcerFormat = (value) => (risk.basedOnReturns ? `${value.toFixed(2)}%` : money(value));
+
+  const unit = risk.basedOnReturns ? 'daily returns' : 'daily P&L';
+  const basis = `√${settings.periodsPerYear} annualised`;
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-3">
+        <div>
+          <h3 className="text-lg font-semibold">Risk-Adjusted Performance</h3>
+          <p className="text-sm text-slate-400">
+            From {risk.days} {unit}
+            {!risk.basedOnReturns && ' • set an account balance to use percentage returns and the risk-free rate'}
+          </p>
+        </div>
+        <div className="flex gap-3 items-end">
+          <label className="text-xs text-slate-400">
+            Risk-free rate (% / year)
+            <input
+              type="number"
+              step="0.1"
+              value={settings.riskFreeRate}
+              onChange={(e) => onSettingsChange({ ...settings, riskFreeRate: parseFloat(e.target.value) || 0 })}
+              disabled={!risk.basedOnReturns}
+              className="block w-28 mt-1 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 disabled:opacity-40"
+            />
+          </label>
+          <label className="text-xs text-slate-400">
+            Annualisation
+            <select
+              value={settings.periodsPerYear}
+              onChange={(e) => onSettingsChange({ ...settings, periodsPerYear: parseInt(e.target.value, 10) })}
+              className="block mt-1 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200"
+            >
+              {ANNUALISATION_BASES.map(base => <option key={base.value} value={base.value}>{base.label}</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        <MetricCard
+          title="Sharpe Ratio"
+          value={formatRatio(risk.sharpe)}
+          subtitle={ratingOf(risk.sharpe, 1, 2)}
+          icon={<Gauge />}
+          positive={risk.sharpe !== null && risk.sharpe >= 1}
+          comparison={versus('sharpe', formatRatio)}
+          tooltip={`Average excess ${unit} divided by their standard deviation, ${basis}. Above 1 is good, above 2 is excellent.`}
+        />
+
+        <MetricCard
+          title="Sortino Ratio"
+          value={formatRatio(risk.sortino)}
+          subtitle={ratingOf(risk.sortino, 1, 2)}
+          icon={<Gauge />}
+          positive={risk.sortino !== null && risk.sortino >= 1}
+          comparison={versus('sortino', formatRatio)}
+          tooltip={`Like Sharpe, but only days below the risk-free rate count as risk (downside deviation), ${basis}.`}
+        />
+
+        <MetricCard
+          title="Calmar Ratio"
+          value={formatRatio(risk.calmar)}
+          subtitle={risk.basedOnReturns ? `${risk.annualReturn.toFixed(1)}% annualised` : `${money(risk.annualReturn)} / year`}
+          icon={<TrendingDown />}
+          positive={risk.calmar !== null && risk.calmar >= 1}
+          comparison={versus('calmar', formatRatio)}
+          tooltip="Annualised return divided by the maximum drawdown of the period. Above 1 means a year of returns covers the worst drawdown."
+        />
+
+        <MetricCard
+          title="Daily P&L σ"
+          value={money(risk.dailyPnlStdev)}
+          subtitle="Standard deviation per day"
+          icon={<Activity />}
+          positive={false}
+          comparison={versus('dailyPnlStdev', money, { higherIsBetter: false })}
+          tooltip="How much the P&L of a typical day swings around its average. Days without trades count as zero."
+        />
+
+        <MetricCard
+          title="Ulcer Index"
+          value={ulcerFormat(risk.ulcerIndex)}
+          subtitle="Depth and length of drawdowns"
+          icon={<ShieldAlert />}
+          positive={false}
+          comparison={versus('ulcerIndex', ulcerFormat, { higherIsBetter: false })}
+          tooltip="Root mean square of the daily drawdown from the running peak. Penalises deep and long drawdowns; lower is better."
+        />
+
+        <MetricCard
+          title="Longest Drawdown"
+          value={formatDays(risk.longestDrawdownDays)}
+          subtitle={
+            risk.timeToRecoveryDays !== null
+              ? `Max drawdown recovered in ${formatDays(risk.timeToRecoveryDays)}`
+              : risk.maxDrawdownRecovered ? 'No drawdown' : 'Max drawdown not recovered yet'
+          }
+          icon={<Timer />}
+          positive={false}
+          comparison={versus('longestDrawdownDays', formatDays, { higherIsBetter: false })}
+          tooltip={`Calendar days from an equity peak until it was regained${risk.longestDrawdownRecovered ? '' : ' (still ongoing)'}. Time to recovery counts the days from the deepest trough back to the previous peak.`}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default RiskPanel;
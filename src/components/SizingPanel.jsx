@@ -0,0 +1,218 @@
+import React from 'react';
+import { ScatterChart, Scatter, LineChart, Line, Cell, XAxis, YAxis, ZAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { AlertTriangle } from 'lucide-react';
+import { ChartCard } from './Cards';
+import { formatMoney, formatPrice } from '../lib/currency';
+
+const tooltipProps = {
+  contentStyle: { backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' },
+  labelStyle: { color: '#e2e8f0' },
+  itemStyle: { color: '#e2e8f0' }
+};
+
+const inputClass = 'block w-24 mt-1 bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200';
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+const formatRatio = (value) => `${value.toFixed(1)}×`;
+const formatDate = (time) => new Date(time).toLocaleDateString();
+
+// One trade in the scatter tooltips
+const PointTooltip = ({ active, payload, money }) => {
+  if (!active || !payload?.length) return null;
+  const point = payload[0].payload;
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-3 text-xs text-slate-200">
+      <div className="font-semibold">{point.instrument} {point.direction}</div>
+      <div className="text-slate-400">{new Date(point.time).toLocaleString()}</div>
+      <div>{point.quantity} • notional {formatPrice(point.notional)} • {formatRatio(point.sizeRatio)} median</div>
+      <div className={pnlClass(point.netPnl)}>{money(point.netPnl)}</div>
+    </div>
+  );
+};
+
+const RollingChart = ({ title, data, dataKey, format, overall, color }) => (
+  <div>
+    <div className="text-sm text-slate-400 mb-1">{title}</div>
+    <ResponsiveContainer width="100%" height={180}>
+      <LineChart data={data} syncId="rolling">
+        <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+        <XAxis dataKey="index" stroke="#94a3b8" style={{ fontSize: '11px' }} />
+        <YAxis stroke="#94a3b8" style={{ fontSize: '11px' }} width={50} />
+        <Tooltip {...tooltipProps} formatter={(value) => [format(value), title]} labelFormatter={(index, payload) => `#${index}${payload?.[0] ? ` • ${payload[0].payload.date}` : ''}`} />
+        {overall !== null && <ReferenceLine y={overall} stroke="#64748b" strokeDasharray="4 2" />}
+        <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2} dot={false} connectNulls />
+      </LineChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+// Position size relative to each instrument's median notional, oversized
+// trades and rolling metrics over the last `settings.rollingWindow` records.
+// `overall` holds the dashboard's summary figures for the reference lines.
+const SizingPanel = ({ stats, settings, onSettingsChange, overall, unit, currency }) => {
+  if (!stats) return null;
+  const money = (value) => formatMoney(value, currency);
+
+  const largest = stats.quartiles[stats.quartiles.length - 1];
+  const smallest = stats.quartiles[0];
+
+  return (
+    <div className="max-w-7xl mx-auto mb-8">
+      <div className="flex flex-wrap justify-between items-end gap-4 mb-3">
+        <div>
+          <h3 className="text-lg font-semibold">Position Sizing & Consistency</h3>
+          <p className="text-sm text-slate-400">
+            Size is notional exposure (quantity × price) relative to the median of the same instrument
+            {stats.unsized > 0 && ` • ${stats.unsized} ${unit} without a quantity or price are left out`}
+          </p>
+        </div>
+        <div className="flex gap-3 items-end">
+          <label className="text-xs text-slate-400">
+            Oversized above (× median)
+            <input
+              type="number"
+              min="1.5"
+              step="0.5"
+              value={settings.oversizeMultiple}
+              onChange={(e) => onSettingsChange({ ...settings, oversizeMultiple: parseFloat(e.target.value) || settings.oversizeMultiple })}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-slate-400">
+            Rolling window
+            <input
+              type="number"
+              min="5"
+              step="5"
+              value={settings.rollingWindow}
+              onChange={(e) => onSettingsChange({ ...settings, rollingWindow: parseInt(e.target.value, 10) || settings.rollingWindow })}
+              className={inputClass}
+            />
+          </label>
+        </div>
+      </div>
+
+      {stats.oversized.trades > 0 && (
+        <div className="bg-amber-900/20 border border-amber-800/50 rounded-xl p-4 mb-4 flex items-center gap-3 text-sm text-amber-200">
+          <AlertTriangle className="w-5 h-5 text-amber-400 flex-shrink-0" />
+          <span>
+            {stats.oversized.trades} {unit} were over {formatRatio(settings.oversizeMultiple)} their instrument's median size, for{' '}
+            <span className={pnlClass(stats.oversized.pnl)}>{money(stats.oversized.pnl)}</span> at a{' '}
+            {stats.oversized.winRate.toFixed(1)}% win rate (other {unit}: {stats.normal.winRate.toFixed(1)}%,{' '}
+            {money(stats.normal.expectancy)} each). They are flagged in the trade log.
+          </span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <ChartCard title="Position Size Over Time" subtitle={`Relative size of each of the ${stats.sized} sized ${unit}`}>
+          <ResponsiveContainer width="100%" height={280}>
+            <ScatterChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis type="number" dataKey="time" domain={['dataMin', 'dataMax']} tickFormatter={formatDate} stroke="#94a3b8" style={{ fontSize: '11px' }} />
+              <YAxis type="number" dataKey="sizeRatio" tickFormatter={formatRatio} stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <ZAxis range={[24, 24]} />
+              <Tooltip content={<PointTooltip money={money} />} />
+              <ReferenceLine y={settings.oversizeMultiple} stroke="#f59e0b" strokeDasharray="4 2" />
+              <Scatter data={stats.points}>
+                {stats.points.map(point => <Cell key={point.key} fill={point.oversized ? '#f59e0b' : '#06b6d4'} />)}
+              </Scatter>
+            </ScatterChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="P&L vs Size" subtitle="Net P&L of each trade against its relative size">
+          <ResponsiveContainer width="100%" height={280}>
+            <ScatterChart>
+              <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+              <XAxis type="number" dataKey="sizeRatio" tickFormatter={formatRatio} stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <YAxis type="number" dataKey="netPnl" stroke="#94a3b8" style={{ fontSize: '12px' }} />
+              <ZAxis range={[24, 24]} />
+              <Tooltip content={<PointTooltip money={money} />} />
+              <ReferenceLine y={0} stroke="#64748b" />
+              <Scatter data={stats.points}>
+                {stats.points.map(point => <Cell key={point.key} fill={point.netPnl >= 0 ? '#10b981' : '#ef4444'} />)}
+              </Scatter>
+            </ScatterChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        {stats.quartiles.length > 0 && (
+          <ChartCard
+            title="Performance by Size"
+            subtitle={largest.expectancy < smallest.expectancy
+              ? `The largest quarter of ${unit} earns ${money(smallest.expectancy - largest.expectancy)} less per trade than the smallest`
+              : `The largest quarter of ${unit} does at least as well as the smallest`}
+            span2
+          >
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-slate-400 border-b border-slate-700">
+                  <th className="pb-2">Size</th>
+                  <th className="pb-2 text-right">× median</th>
+                  <th className="pb-2 text-right">{unit === 'positions' ? 'Positions' : 'Trades'}</th>
+                  <th className="pb-2 text-right">Win rate</th>
+                  <th className="pb-2 text-right">Profit factor</th>
+                  <th className="pb-2 text-right">Expectancy</th>
+                  <th className="pb-2 text-right">P&L</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.quartiles.map(row => (
+                  <tr key={row.label} className="border-b border-slate-700/50">
+                    <td className="py-2">{row.label}</td>
+                    <td className="py-2 text-right text-slate-400">{row.from.toFixed(2)}–{row.to.toFixed(2)}</td>
+                    <td className="py-2 text-right">{row.trades}</td>
+                    <td className="py-2 text-right">{row.winRate.toFixed(1)}%</td>
+                    <td className="py-2 text-right">{row.profitFactor >= 999 ? '∞' : row.profitFactor.toFixed(2)}</td>
+                    <td className={`py-2 text-right ${pnlClass(row.expectancy)}`}>{money(row.expectancy)}</td>
+                    <td className={`py-2 text-right font-semibold ${pnlClass(row.pnl)}`}>{money(row.pnl)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </ChartCard>
+        )}
+
+        <ChartCard
+          title="Rolling Metrics"
+          subtitle={stats.rolling.length > 0
+            ? `Over the last ${settings.rollingWindow} ${unit} at each point; dashed lines are the overall figures`
+            : `Needs at least ${settings.rollingWindow} ${unit}`}
+          span2
+        >
+          {stats.rolling.length > 0 && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <RollingChart
+                title="Win rate"
+                data={stats.rolling}
+                dataKey="winRate"
+                format={(value) => `${value.toFixed(1)}%`}
+                overall={overall.winRate}
+                color="#06b6d4"
+              />
+              <RollingChart
+                title="Expectancy"
+                data={stats.rolling}
+                dataKey="expectancy"
+                format={money}
+                overall={overall.expectancy}
+                color="#10b981"
+              />
+              <RollingChart
+                title="Profit factor"
+                data={stats.rolling}
+                dataKey="profitFactor"
+                format={(value) => value.toFixed(2)}
+                overall={overall.profitFactor < 999 ? overall.profitFactor : null}
+                color="#8b5cf6"
+              />
+            </div>
+          )}
+        </ChartCard>
+      </div>
+    </div>
+  );
+};
+
+export default SizingPanel;
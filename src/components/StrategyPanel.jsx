@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import { UNCLASSIFIED, WEEKDAYS, createStrategyRule, describeConditions } from '../lib/strategies';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const inputClass = 'w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm';
+const chipClass = (active) => `px-2 py-1 rounded text-xs border transition-colors ${
+  active ? 'bg-cyan-600 border-cyan-500 text-white' : 'bg-slate-900 border-slate-700 text-slate-400 hover:text-slate-200'
+}`;
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+const parseSize = (value) => (value === '' ? null : Math.max(parseFloat(value) || 0, 0));
+
+// Editor for the rules that assign trades to named strategies. Rules are
+// checked top to bottom and the first match wins.
+const StrategyPanel = ({ rules, onChange, executionTypes, counts, unit }) => {
+  const [newName, setNewName] = useState('');
+
+  const updateRule = (id, changes) => {
+    onChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateConditions = (rule, changes) => {
+    updateRule(rule.id, { conditions: { ...rule.conditions, ...changes } });
+  };
+
+  const addRule = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onChange([...rules, createStrategyRule(name)]);
+    setNewName('');
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-1">Strategies</h3>
+        <p className="text-sm text-slate-400">
+          Each {unit === 'positions' ? 'position' : 'trade'} belongs to the first rule whose conditions all match; empty
+          conditions match anything. Instruments take the same patterns as the leverage table (<code>DAX*</code>,{' '}
+          <code>/^EUR/</code>), and hours and weekdays refer to when the position was opened. Use{' '}
+          <span className="text-slate-200">Split by strategy</span> to compare them.
+        </p>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {rules.length === 0 && (
+          <p className="text-sm text-slate-500">No strategies yet. Every trade is Unclassified.</p>
+        )}
+        {rules.map((rule, index) => {
+          const c = rule.conditions;
+          return (
+            <div key={rule.id} className="bg-slate-900/50 rounded-lg p-4 border border-slate-700/50">
+              <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                <div className="flex items-center gap-3 flex-1 min-w-0">
+                  <span className="text-xs text-slate-500 w-5">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={rule.name}
+                    onChange={(e) => updateRule(rule.id, { name: e.target.value })}
+                    onBlur={(e) => !e.target.value.trim() && updateRule(rule.id, { name: 'Unnamed' })}
+                    className="bg-slate-900 border border-slate-700 rounded-lg px-3 py-1 text-sm font-semibold"
+                  />
+                  <span className="text-xs text-slate-400 truncate">{describeConditions(c)}</span>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className="text-xs text-slate-400">{counts[rule.id] || 0} {unit}</span>
+                  <button
+                    onClick={() => moveRule(index, -1)}
+                    disabled={index === 0}
+                    title="Check earlier"
+                    className="text-slate-400 hover:text-slate-200 disabled:opacity-30"
+                  >
+                    <ChevronUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveRule(index, 1)}
+                    disabled={index === rules.length - 1}
+                    title="Check later"
+                    className="text-slate-400 hover:text-slate-200 disabled:opacity-30"
+                  >
+                    <ChevronDown className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => onChange(rules.filter(r => r.id !== rule.id))}
+                    className="text-slate-400 hover:text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Instruments</label>
+                  <input
+                    key={c.instruments.join(',')}
+                    type="text"
+                    defaultValue={c.instruments.join(', ')}
+                    placeholder="Any, e.g. US100, DAX*"
+                    onBlur={(e) => updateConditions(rule, {
+                      instruments: e.target.value.split(',').map(p => p.trim()).filter(Boolean)
+                    })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Direction</label>
+                  <select
+                    value={c.direction}
+                    onChange={(e) => updateConditions(rule, { direction: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="any">Any</option>
+                    <option value="Long">Long</option>
+                    <option value="Short">Short</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Opened between</label>
+                  <div className="flex items-center gap-2">
+                    {['hourFrom', 'hourTo'].map((key, i) => (
+                      <React.Fragment key={key}>
+                        {i === 1 && <span className="text-slate-500 text-sm">and</span>}
+                        <select
+                          value={c[key] ?? ''}
+                          onChange={(e) => updateConditions(rule, { [key]: e.target.value === '' ? null : parseInt(e.target.value, 10) })}
+                          className={inputClass}
+                        >
+                          <option value="">Any</option>
+                          {HOURS.map(hour => <option key={hour} value={hour}>{hour}:00</option>)}
+                        </select>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs text-slate-400 mb-1">Size</label>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Min"
+                      value={c.minSize ?? ''}
+                      onChange={(e) => updateConditions(rule, { minSize: parseSize(e.target.value) })}
+                      className={inputClass}
+                    />
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Max"
+                      value={c.maxSize ?? ''}
+                      onChange={(e) => updateConditions(rule, { maxSize: parseSize(e.target.value) })}
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-xs text-slate-400 mb-1">Weekdays</label>
+                  <div className="flex flex-wrap gap-1">
+                    {WEEKDAYS.map((label, day) => (
+                      <button
+                        key={label}
+                        onClick={() => updateConditions(rule, { weekdays: toggle(c.weekdays, day).sort((a, b) => a - b) })}
+                        className={chipClass(c.weekdays.includes(day))}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-xs text-slate-400 mb-1">Execution type</label>
+                  <div className="flex flex-wrap gap-1">
+                    {Array.from(new Set([...executionTypes, ...c.executionTypes])).map(type => (
+                      <button
+                        key={type}
+                        onClick={() => updateConditions(rule, { executionTypes: toggle(c.executionTypes, type) })}
+                        className={chipClass(c.executionTypes.includes(type))}
+                      >
+                        {type}
+                      </button>
+                    ))}
+                    {executionTypes.length === 0 && c.executionTypes.length === 0 && (
+                      <span className="text-xs text-slate-500">No execution types in the imported data</span>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newName}
+          placeholder="New strategy name, e.g. London breakout"
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addRule()}
+          className="flex-1 bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          onClick={addRule}
+          className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded-lg transition-colors text-sm flex items-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          Add strategy
+        </button>
+      </div>
+      {counts[UNCLASSIFIED] > 0 && rules.length > 0 && (
+        <p className="text-xs text-slate-500 mt-3">{counts[UNCLASSIFIED]} {unit} match no rule and count as Unclassified.</p>
+      )}
+    </div>
+  );
+};
+
+export default StrategyPanel;
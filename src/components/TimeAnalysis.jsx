@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { SESSIONS, describeSessionHours } from '../lib/sessions';
+import { formatMoney } from '../lib/currency';
+
+const pnlClass = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-slate-400');
+
+// Same scale as the P&L calendar: green for profit, red for loss
+const cellColor = (pnl, scale) => {
+  if (!pnl || !scale) return 'rgba(51, 65, 85, 0.4)';
+  const alpha = 0.15 + 0.75 * Math.min(Math.abs(pnl) / scale, 1);
+  return pnl > 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+// P&L per market session with the session hours as seen in the display zone
+export const SessionBreakdown = ({ stats, displayTimeZone, unit, currency }) => {
+  const money = (value) => formatMoney(value, currency);
+
+  return (
+    <div>
+      <ResponsiveContainer width="100%" height={180}>
+        <BarChart data={stats}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="label" stroke="#94a3b8" style={{ fontSize: '10px' }} interval={0} />
+          <YAxis stroke="#94a3b8" style={{ fontSize: '12px' }} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1e293b', border: '1px solid #334155', borderRadius: '8px' }}
+            labelStyle={{ color: '#e2e8f0' }}
+            itemStyle={{ color: '#e2e8f0' }}
+            formatter={(value, name, props) => [`${money(value)} (${props.payload.trades} ${unit})`, 'P&L']}
+          />
+          <Bar dataKey="pnl" radius={[8, 8, 0, 0]}>
+            {stats.map(bucket => <Cell key={bucket.key} fill={bucket.color} />)}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+      <table className="w-full text-sm mt-3">
+        <thead>
+          <tr className="text-left text-slate-400 border-b border-slate-700">
+            <th className="pb-2">Session</th>
+            <th className="pb-2 text-right">{unit === 'positions' ? 'Positions' : 'Trades'}</th>
+            <th className="pb-2 text-right">Win rate</th>
+            <th className="pb-2 text-right">Expectancy</th>
+            <th className="pb-2 text-right">P&L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map(bucket => (
+            <tr key={bucket.key} className="border-b border-slate-700/50">
+              <td className="py-2">
+                <span className="inline-block w-2.5 h-2.5 rounded-full mr-2" style={{ backgroundColor: bucket.color }} />
+                {bucket.label}
+              </td>
+              <td className="py-2 text-right">{bucket.trades}</td>
+              <td className="py-2 text-right">{bucket.winRate.toFixed(1)}%</td>
+              <td className={`py-2 text-right ${pnlClass(bucket.expectancy)}`}>{money(bucket.expectancy)}</td>
+              <td className={`py-2 text-right font-semibold ${pnlClass(bucket.pnl)}`}>{money(bucket.pnl)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs text-slate-500 mt-3">
+        {SESSIONS.map(session => `${session.label} ${describeSessionHours(session, displayTimeZone)}`).join(' • ')} (Mon–Fri, today)
+      </div>
+    </div>
+  );
+};
+
+// 7 x 24 grid of net P&L by weekday and hour
+export const HourWeekdayHeatmap = ({ grid, unit, currency }) => {
+  const [hovered, setHovered] = useState(null);
+  const money = (value) => formatMoney(value, currency);
+
+  const magnitudes = grid.flatMap(row => row.hours).filter(cell => cell.trades > 0).map(cell => Math.abs(cell.pnl)).sort((a, b) => a - b);
+  const scale = magnitudes[Math.floor((magnitudes.length - 1) * 0.95)];
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <div className="grid gap-0.5 text-xs min-w-[40rem]" style={{ gridTemplateColumns: '2.5rem repeat(24, minmax(0, 1fr))' }}>
+          <div />
+          {grid[0].hours.map(cell => (
+            <div key={cell.hour} className="text-center text-slate-500">{cell.hour % 3 === 0 ? cell.hour : ''}</div>
+          ))}
+          {grid.map(row => (
+            <React.Fragment key={row.day}>
+              <div className="text-slate-400 flex items-center">{row.day}</div>
+              {row.hours.map(cell => (
+                <div
+                  key={cell.hour}
+                  onMouseEnter={() => setHovered({ day: row.day, ...cell })}
+                  onMouseLeave={() => setHovered(null)}
+                  className={`h-7 rounded ${cell.trades > 0 ? 'hover:ring-1 hover:ring-slate-300' : ''}`}
+                  style={{ backgroundColor: cellColor(cell.pnl, scale) }}
+                />
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+      <div className="h-6 mt-3 text-sm text-slate-400">
+        {hovered && (hovered.trades > 0 ? (
+          <>
+            {hovered.day} {String(hovered.hour).padStart(2, '0')}:00–{String(hovered.hour + 1).padStart(2, '0')}:00 •{' '}
+            <span className={pnlClass(hovered.pnl)}>{money(hovered.pnl)}</span> • {hovered.trades} {unit} •{' '}
+            {((hovered.winners / hovered.trades) * 100).toFixed(0)}% win rate
+          </>
+        ) : (
+          `${hovered.day} ${String(hovered.hour).padStart(2, '0')}:00 • no ${unit}`
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,63 @@
+import React, { useMemo } from 'react';
+import { LOCAL_TIME_ZONE, listTimeZones, describeTimeZone } from '../lib/timezone';
+
+const formatSample = (timestamp) => new Date(timestamp).toLocaleString([], {
+  year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+const ZoneSelect = ({ label, hint, value, zones, onChange }) => (
+  <div className="flex-1 min-w-[16rem]">
+    <label className="block text-sm font-semibold mb-1">{label}</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm"
+    >
+      <option value={LOCAL_TIME_ZONE}>{describeTimeZone(LOCAL_TIME_ZONE)}</option>
+      {zones.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+    </select>
+    <p className="text-xs text-slate-500 mt-1">{hint}</p>
+  </div>
+);
+
+// Source and display time zones. `sample` ({ imported, shown }) previews the
+// conversion on one fill.
+const TimeZonePanel = ({ settings, onChange, sample }) => {
+  const zones = useMemo(listTimeZones, []);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur border border-slate-700/50 rounded-xl p-6 mb-6">
+      <div className="mb-4">
+        <h3 className="text-lg font-semibold mb-1">Time Zones</h3>
+        <p className="text-sm text-slate-400">
+          Trade files usually have no time zone. Pick the zone your broker writes times in and the zone to analyse
+          in; every time, hour, weekday, day and month on the dashboard follows the display zone.
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-4">
+        <ZoneSelect
+          label="Times in the trade files"
+          hint="Used for times without an offset, e.g. Capital.com exports"
+          value={settings.sourceTimeZone}
+          zones={zones}
+          onChange={(sourceTimeZone) => onChange({ ...settings, sourceTimeZone })}
+        />
+        <ZoneSelect
+          label="Show and analyse in"
+          hint="Trading sessions always keep their exchange's own hours"
+          value={settings.displayTimeZone}
+          zones={zones}
+          onChange={(displayTimeZone) => onChange({ ...settings, displayTimeZone })}
+        />
+      </div>
+      {sample && (
+        <div className="mt-4 text-sm text-slate-400">
+          Example: a fill imported as <span className="text-slate-200">{formatSample(sample.imported)}</span> is shown
+          as <span className="text-slate-200">{formatSample(sample.shown)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeZonePanel;
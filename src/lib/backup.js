@@ -0,0 +1,258 @@
+// Workspace backups: every account's trades, settings and journal (with its
+// screenshots), the strategy rules, filter presets and FX rates, and the UI preferences
+// and filters, in one versioned JSON file with a SHA-256 checksum.
+import { DEFAULT_ACCOUNT } from './equity';
+import { normalizeLeverageTable } from './leverage';
+import { mergeTrades, createImportRecord } from './imports';
+import { emptyAccountData } from './workspace';
+import { mergeJournals } from './journal';
+import { normalizeStrategyRules } from './strategies';
+import { normalizeFilterPresets } from './filters';
+import { normalizeCurrency, normalizeFxRates } from './currency';
+
+export const BACKUP_FORMAT = 'trading-analytics-backup';
+// 2: adds the trade journal and its screenshots
+export const BACKUP_VERSION = 2;
+
+const NUMERIC_TRADE_FIELDS = ['quantity', 'price', 'pnl', 'fee', 'swap', 'netPnl'];
+
+const sha256 = async (text) => {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Checksums need a secure (https or localhost) page');
+  }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Screenshots are stored as blobs and written to the file as base64
+const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToBlob = (data, type) => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+// Build the backup file contents. The checksum covers the serialized `data`.
+export const createBackup = async ({ accounts, activeAccountId, accountData, screenshots = [], strategyRules = [], filterPresets = [], fxRates = [], preferences, filters }) => {
+  const accountIds = new Set(accounts.map(acc => acc.id));
+  const data = {
+    accounts,
+    activeAccountId,
+    accountData: Object.fromEntries(accounts.map(acc => [acc.id, accountData[acc.id] || emptyAccountData()])),
+    screenshots: await Promise.all(screenshots
+      .filter(shot => accountIds.has(shot.accountId))
+      .map(async ({ blob, ...shot }) => ({ ...shot, data: await blobToBase64(blob) }))),
+    strategyRules,
+    filterPresets,
+    fxRates,
+    preferences,
+    filters
+  };
+  const serialized = JSON.stringify(data);
+
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    checksum: await sha256(serialized),
+    data
+  }, null, 2);
+};
+
+const validateTrade = (trade, where) => {
+  if (!trade || typeof trade !== 'object') throw new Error(`${where} is not an object`);
+  if (typeof trade.id !== 'string' || !trade.id) throw new Error(`${where} has no Trade Id`);
+  if (typeof trade.instrument !== 'string') throw new Error(`${where} has no instrument`);
+  if (trade.direction !== 'Long' && trade.direction !== 'Short') {
+    throw new Error(`${where} has an invalid direction`);
+  }
+  NUMERIC_TRADE_FIELDS.forEach(field => {
+    if (typeof trade[field] !== 'number' || isNaN(trade[field])) {
+      throw new Error(`${where} has an invalid ${field}`);
+    }
+  });
+  if (isNaN(new Date(trade.timestamp).getTime())) throw new Error(`${where} has an invalid timestamp`);
+};
+
+const validateAccountData = (data, accountName) => {
+  if (!data || !Array.isArray(data.trades)) {
+    throw new Error(`Account "${accountName}" has no trades list`);
+  }
+  data.trades.forEach((trade, i) => validateTrade(trade, `Trade ${i + 1} of "${accountName}"`));
+  if (data.imports !== undefined && !Array.isArray(data.imports)) {
+    throw new Error(`Account "${accountName}" has an invalid import history`);
+  }
+  if (data.account !== undefined) {
+    const { startingBalance = 0, cashFlows = [], currency = null } = data.account;
+    if (typeof startingBalance !== 'number' || !Array.isArray(cashFlows)) {
+      throw new Error(`Account "${accountName}" has invalid balance settings`);
+    }
+    if (currency !== null && !normalizeCurrency(currency)) {
+      throw new Error(`Account "${accountName}" has an invalid currency`);
+    }
+  }
+  if (data.journal !== undefined) {
+    if (!data.journal || typeof data.journal !== 'object') {
+      throw new Error(`Account "${accountName}" has an invalid journal`);
+    }
+    Object.entries(data.journal).forEach(([tradeId, entry]) => {
+      if (!entry || typeof entry.notes !== 'string' || !Array.isArray(entry.tags) || !Array.isArray(entry.screenshots)) {
+        throw new Error(`Journal entry for trade ${tradeId} of "${accountName}" is invalid`);
+      }
+    });
+  }
+
+  return {
+    trades: data.trades,
+    imports: data.imports || [],
+    account: { ...DEFAULT_ACCOUNT, ...data.account },
+    leverageTable: data.leverageTable ? normalizeLeverageTable(data.leverageTable) : emptyAccountData().leverageTable,
+    journal: data.journal || {}
+  };
+};
+
+const parseScreenshots = (screenshots, accountIds) => {
+  if (screenshots === undefined) return [];
+  if (!Array.isArray(screenshots)) throw new Error('Backup has an invalid screenshot list');
+
+  return screenshots.map((shot, i) => {
+    if (!shot || typeof shot.id !== 'string' || !accountIds.has(shot.accountId) || typeof shot.data !== 'string') {
+      throw new Error(`Screenshot ${i + 1} is invalid`);
+    }
+    const { data, ...rest } = shot;
+    try {
+      return { ...rest, blob: base64ToBlob(data, shot.type) };
+    } catch (err) {
+      throw new Error(`Screenshot ${i + 1} is damaged`);
+    }
+  });
+};
+
+// Parse and validate a backup file. Throws with a readable reason when the
+// file is not a backup, was modified or is from a newer version of the app.
+export const parseBackup = async (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (err) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('File is not a Trading Analytics backup');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is not supported by this version of the app`);
+  }
+  if (!backup.data || typeof backup.checksum !== 'string') {
+    throw new Error('Backup is missing its data or checksum');
+  }
+  if (await sha256(JSON.stringify(backup.data)) !== backup.checksum) {
+    throw new Error('Checksum does not match; the file is damaged or was edited');
+  }
+
+  const {
+    accounts, activeAccountId, accountData, screenshots, strategyRules, filterPresets, fxRates, preferences, filters
+  } = backup.data;
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error('Backup contains no accounts');
+  }
+  const seen = new Set();
+  accounts.forEach((acc, i) => {
+    if (!acc || typeof acc.id !== 'string' || typeof acc.name !== 'string') {
+      throw new Error(`Account ${i + 1} is missing an id or name`);
+    }
+    if (seen.has(acc.id)) throw new Error(`Account "${acc.name}" appears twice`);
+    seen.add(acc.id);
+  });
+  if (!accountData || typeof accountData !== 'object') {
+    throw new Error('Backup contains no account data');
+  }
+
+  const data = {};
+  accounts.forEach(acc => {
+    const validated = validateAccountData(accountData[acc.id], acc.name);
+    // Trades always carry the id of the account they belong to
+    validated.trades = validated.trades.map(t => (t.accountId === acc.id ? t : { ...t, accountId: acc.id }));
+    data[acc.id] = validated;
+  });
+
+  return {
+    exportedAt: backup.exportedAt,
+    accounts,
+    activeAccountId: seen.has(activeAccountId) ? activeAccountId : accounts[0].id,
+    accountData: data,
+    screenshots: parseScreenshots(screenshots, seen),
+    strategyRules: strategyRules ? normalizeStrategyRules(strategyRules) : [],
+    filterPresets: filterPresets ? normalizeFilterPresets(filterPresets) : [],
+    fxRates: fxRates ? normalizeFxRates(fxRates) : [],
+    preferences: preferences || {},
+    filters: filters || {}
+  };
+};
+
+export const countBackupTrades = (backup) => (
+  backup.accounts.reduce((sum, acc) => sum + backup.accountData[acc.id].trades.length, 0)
+);
+
+// Merge a backup into the current workspace. Accounts are matched by id, then
+// by name (a fresh install has its own id for "Main"); trades are
+// de-duplicated by Trade Id with the backup's version winning, and each merge
+// is recorded as an import so it can be rolled back. Journal entries keep
+// whichever side was edited last; `screenshots` are the backup's screenshots
+// moved to the account they were merged into.
+export const mergeBackup = (workspace, backup, fileName) => {
+  const accounts = [...workspace.accounts];
+  const accountData = { ...workspace.accountData };
+  const summary = { added: 0, updated: 0, skipped: 0, newAccounts: 0 };
+  const targetIds = {};
+
+  backup.accounts.forEach(acc => {
+    const incoming = backup.accountData[acc.id];
+    const target = accounts.find(existing => existing.id === acc.id)
+      || accounts.find(existing => existing.name.trim().toLowerCase() === acc.name.trim().toLowerCase());
+
+    targetIds[acc.id] = target ? target.id : acc.id;
+    if (!target) {
+      accounts.push(acc);
+      accountData[acc.id] = incoming;
+      summary.newAccounts++;
+      summary.added += incoming.trades.length;
+      return;
+    }
+
+    const current = accountData[target.id] || emptyAccountData();
+    const restamped = incoming.trades.map(t => (t.accountId === target.id ? t : { ...t, accountId: target.id }));
+    const result = mergeTrades(current.trades, restamped);
+    const knownFlows = new Set(current.account.cashFlows.map(flow => flow.id));
+
+    const changed = result.added + result.updated > 0;
+    accountData[target.id] = {
+      ...current,
+      trades: changed ? result.trades : current.trades,
+      imports: changed ? [...current.imports, createImportRecord(fileName, result)] : current.imports,
+      account: {
+        ...current.account,
+        currency: current.account.currency || incoming.account.currency,
+        cashFlows: [...current.account.cashFlows, ...incoming.account.cashFlows.filter(flow => !knownFlows.has(flow.id))]
+      },
+      journal: mergeJournals(current.journal, incoming.journal)
+    };
+    summary.added += result.added;
+    summary.updated += result.updated;
+    summary.skipped += result.skipped;
+  });
+
+  const screenshots = backup.screenshots.map(shot => ({ ...shot, accountId: targetIds[shot.accountId] }));
+
+  return { accounts, activeAccountId: workspace.activeAccountId, accountData, screenshots, summary };
+};
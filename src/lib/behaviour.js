@@ -0,0 +1,115 @@
+// Behavioural patterns: revenge trading, overtrading, sizing up while on
+// tilt and trading on after a run of losses. Each pattern lists the records
+// it flags and what they made or lost, next to the rest of the records.
+import { summarize } from './metrics';
+import { toTime, toDateKey, recordKey } from './equity';
+import { computeRelativeSizes } from './sizing';
+
+export const DEFAULT_BEHAVIOUR_SETTINGS = { revengeMinutes: 15, maxTradesPerDay: 10, lossStreak: 3 };
+
+export const normalizeBehaviourSettings = (settings = {}) => ({
+  revengeMinutes: settings.revengeMinutes > 0 ? Number(settings.revengeMinutes) : DEFAULT_BEHAVIOUR_SETTINGS.revengeMinutes,
+  maxTradesPerDay: settings.maxTradesPerDay >= 1 ? Math.round(settings.maxTradesPerDay) : DEFAULT_BEHAVIOUR_SETTINGS.maxTradesPerDay,
+  lossStreak: settings.lossStreak >= 1 ? Math.round(settings.lossStreak) : DEFAULT_BEHAVIOUR_SETTINGS.lossStreak
+});
+
+const MINUTE = 60 * 1000;
+
+// When each record was opened. Positions carry their entry time; a closing
+// fill takes that of the position it closes, or its own time when the
+// position was opened before the export starts.
+const createOpenTime = (positions) => {
+  const entryOfFill = new Map();
+  positions.forEach(position => {
+    position.fillIds.forEach(id => {
+      // A fill that flips a position belongs first to the one it closes
+      const key = recordKey({ accountId: position.accountId, id });
+      if (!entryOfFill.has(key)) entryOfFill.set(key, position.entryTimestamp);
+    });
+  });
+  return (record) => toTime(record.entryTimestamp || entryOfFill.get(recordKey(record)) || record.timestamp);
+};
+const closeTime = (record) => toTime(record.timestamp);
+
+const patternOf = (flagged, records) => {
+  const keys = new Set(flagged.map(recordKey));
+  return {
+    keys,
+    flagged: summarize(flagged),
+    others: summarize(records.filter(r => !keys.has(recordKey(r))))
+  };
+};
+
+// Opened within `minutes` after another losing trade was closed
+const findRevengeTrades = (records, minutes, openTime) => {
+  const losses = records.filter(r => r.netPnl < 0).sort((a, b) => closeTime(a) - closeTime(b));
+  return records.filter(record => {
+    const opened = openTime(record);
+    // Last loss closed at or before the open, skipping the record itself
+    let low = 0;
+    let high = losses.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (closeTime(losses[mid]) <= opened) low = mid + 1;
+      else high = mid;
+    }
+    let index = low - 1;
+    if (index >= 0 && losses[index] === record) index -= 1;
+    return index >= 0 && opened - closeTime(losses[index]) <= minutes * MINUTE;
+  });
+};
+
+// Records beyond the daily limit, in the order they were opened, and the days
+// that went over it
+const findOvertrading = (records, maxTradesPerDay, openTime) => {
+  const byDay = {};
+  [...records].sort((a, b) => openTime(a) - openTime(b)).forEach(record => {
+    const day = toDateKey(openTime(record));
+    (byDay[day] = byDay[day] || []).push(record);
+  });
+  const days = Object.entries(byDay)
+    .filter(([, dayRecords]) => dayRecords.length > maxTradesPerDay)
+    .map(([day, dayRecords]) => ({ day, trades: dayRecords.length, pnl: dayRecords.reduce((sum, r) => sum + r.netPnl, 0) }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+  return {
+    flagged: Object.values(byDay).flatMap(dayRecords => dayRecords.slice(maxTradesPerDay)),
+    days
+  };
+};
+
+// Walk the records in closing order and pick the ones taken while the last
+// `lossStreak` results were all losses. `pick` receives each of them with the
+// losing streak before it.
+const afterLosingStreaks = (sorted, lossStreak, pick) => {
+  const flagged = [];
+  let streak = [];
+  sorted.forEach(record => {
+    if (streak.length >= lossStreak && pick(record, streak)) flagged.push(record);
+    streak = record.netPnl < 0 ? [...streak, record] : [];
+  });
+  return flagged;
+};
+
+// `positions` are the reconstructed positions (closed and open) the records'
+// fills belong to, so closing fills can be timed from when they were opened
+export const computeBehaviourStats = (records, { revengeMinutes, maxTradesPerDay, lossStreak }, positions = []) => {
+  if (records.length === 0) return null;
+
+  const openTime = createOpenTime(positions);
+  const sorted = [...records].sort((a, b) => closeTime(a) - closeTime(b));
+  const sizes = computeRelativeSizes(records);
+  const overtrading = findOvertrading(records, maxTradesPerDay, openTime);
+
+  // Sized up beyond every trade of the losing streak, relative to each instrument's median
+  const tilt = afterLosingStreaks(sorted, lossStreak, (record, streak) => {
+    const streakSizes = streak.map(r => sizes.get(r)).filter(size => size !== undefined);
+    return sizes.has(record) && streakSizes.length > 0 && sizes.get(record) > Math.max(...streakSizes);
+  });
+
+  return {
+    revenge: patternOf(findRevengeTrades(records, revengeMinutes, openTime), records),
+    overtrading: { ...patternOf(overtrading.flagged, records), days: overtrading.days },
+    tilt: patternOf(tilt, records),
+    afterStreak: patternOf(afterLosingStreaks(sorted, lossStreak, () => true), records)
+  };
+};
@@ -0,0 +1,71 @@
+// Month grids for the P&L calendar. Days are local calendar days (YYYY-MM-DD)
+// and weeks run Monday to Sunday.
+import { toDateKey } from './equity';
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const emptyTotal = () => ({ pnl: 0, trades: 0, winners: 0, losers: 0, days: 0 });
+
+const addDay = (total, day) => {
+  total.pnl += day.pnl;
+  total.trades += day.trades;
+  total.winners += day.winners;
+  total.losers += day.losers;
+  total.days += 1;
+};
+
+// Weeks of one month ('YYYY-MM'), each with seven days and the total of the
+// traded days that fall within the month. `byDate` maps YYYY-MM-DD to day stats.
+export const buildMonthGrid = (month, byDate) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const first = new Date(year, monthIndex - 1, 1);
+  const cursor = new Date(year, monthIndex - 1, 1 - ((first.getDay() + 6) % 7));
+  const weeks = [];
+
+  while (weeks.length === 0 || cursor.getMonth() === monthIndex - 1) {
+    const week = { days: [], total: emptyTotal() };
+    for (let i = 0; i < 7; i++) {
+      const date = toDateKey(cursor);
+      const inMonth = cursor.getMonth() === monthIndex - 1;
+      const stats = inMonth ? byDate.get(date) || null : null;
+      if (stats) addDay(week.total, stats);
+      week.days.push({ date, dayOfMonth: cursor.getDate(), inMonth, stats });
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+};
+
+// Totals per month ('YYYY-MM') of the given days
+export const totalsByMonth = (days) => {
+  const totals = new Map();
+  days.forEach(day => {
+    const month = day.date.slice(0, 7);
+    if (!totals.has(month)) totals.set(month, emptyTotal());
+    addDay(totals.get(month), day);
+  });
+  return totals;
+};
+
+// Months from the first to the last day with trades, oldest first
+export const monthRange = (days) => {
+  if (days.length === 0) return [];
+  const [startYear, startMonth] = days[0].date.split('-').map(Number);
+  const [endYear, endMonth] = days[days.length - 1].date.split('-').map(Number);
+  const months = [];
+  let year = startYear;
+  let month = startMonth;
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    if (month === 12) {
+      year += 1;
+      month = 1;
+    } else {
+      month += 1;
+    }
+  }
+  return months;
+};
@@ -0,0 +1,115 @@
+// Period comparison: two date ranges analysed side by side. Period A is the one
+// the dashboard shows; period B is the baseline each figure is compared with.
+import { toDateKey } from './equity';
+
+export const PERIOD_PRESETS = [
+  { value: 'thisWeek', label: 'This week' },
+  { value: 'lastWeek', label: 'Last week' },
+  { value: 'thisMonth', label: 'This month' },
+  { value: 'lastMonth', label: 'Last month' },
+  { value: 'thisQuarter', label: 'This quarter' },
+  { value: 'lastQuarter', label: 'Last quarter' },
+  { value: 'thisYear', label: 'This year' },
+  { value: 'lastYear', label: 'Last year' },
+  { value: 'custom', label: 'Custom range' }
+];
+
+export const DEFAULT_COMPARISON = {
+  a: { preset: 'thisMonth', start: '', end: '' },
+  b: { preset: 'lastMonth', start: '', end: '' }
+};
+
+export const PERIOD_COLORS = { a: '#06b6d4', b: '#8b5cf6' };
+
+const range = (start, end) => ({ start: toDateKey(start), end: toDateKey(end) });
+
+// Date range ({ start, end } as YYYY-MM-DD, both days included) of a period.
+// Weeks start on Monday.
+export const resolvePeriod = (period, now = new Date()) => {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const quarter = Math.floor(month / 3) * 3;
+  const monday = new Date(year, month, now.getDate() - ((now.getDay() + 6) % 7));
+
+  switch (period.preset) {
+    case 'thisWeek':
+      return range(monday, new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6));
+    case 'lastWeek':
+      return range(
+        new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 7),
+        new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() - 1)
+      );
+    case 'thisMonth':
+      return range(new Date(year, month, 1), new Date(year, month + 1, 0));
+    case 'lastMonth':
+      return range(new Date(year, month - 1, 1), new Date(year, month, 0));
+    case 'thisQuarter':
+      return range(new Date(year, quarter, 1), new Date(year, quarter + 3, 0));
+    case 'lastQuarter':
+      return range(new Date(year, quarter - 3, 1), new Date(year, quarter, 0));
+    case 'thisYear':
+      return range(new Date(year, 0, 1), new Date(year, 11, 31));
+    case 'lastYear':
+      return range(new Date(year - 1, 0, 1), new Date(year - 1, 11, 31));
+    default:
+      return { start: period.start, end: period.end };
+  }
+};
+
+export const describePeriod = (period) => {
+  const { start, end } = resolvePeriod(period);
+  const preset = PERIOD_PRESETS.find(p => p.value === period.preset);
+  const dates = `${start || '…'} – ${end || '…'}`;
+  return period.preset === 'custom' ? dates : `${preset.label} (${dates})`;
+};
+
+// A figure of period A against the same figure of period B. Infinite values
+// (e.g. a profit factor without losses) are stored as 999 and have no change.
+// higherIsBetter: null marks a figure where neither direction is better.
+export const compareValues = (current, baseline, { higherIsBetter = true } = {}) => {
+  if (baseline === null || baseline === undefined || current === null || current === undefined) return null;
+  const delta = current - baseline;
+  const unbounded = current >= 999 || baseline >= 999;
+  return {
+    baseline,
+    delta: unbounded ? null : delta,
+    change: unbounded || baseline === 0 ? null : (delta / Math.abs(baseline)) * 100,
+    better: delta === 0 || higherIsBetter === null ? null : (delta > 0) === higherIsBetter
+  };
+};
+
+// Comparison props for a MetricCard. The difference is formatted with
+// `formatDelta` (the card's own formatter by default) and an explicit sign.
+export const metricComparison = (current, baseline, format, { formatDelta = format, ...options } = {}) => {
+  const compared = compareValues(current, baseline, options);
+  if (!compared) return { value: '—', delta: null, change: null, better: null };
+  return {
+    value: format(compared.baseline),
+    delta: compared.delta === null ? null : `${compared.delta >= 0 ? '+' : '-'}${formatDelta(Math.abs(compared.delta))}`,
+    change: compared.change,
+    better: compared.better
+  };
+};
+
+// Cumulative P&L of both periods by trade number, for an overlaid equity curve
+export const overlayEquity = (curveA, curveB) => {
+  const length = Math.max(curveA.length, curveB.length);
+  return Array.from({ length: length + 1 }, (_, i) => ({
+    trade: i,
+    a: i === 0 ? 0 : curveA[i - 1]?.equity ?? null,
+    b: i === 0 ? 0 : curveB[i - 1]?.equity ?? null
+  }));
+};
+
+// Day or hour buckets of both periods merged on their label, in `order`
+export const overlayBuckets = (statsA, statsB, key, order) => {
+  const byKey = {};
+  [['a', statsA], ['b', statsB]].forEach(([period, stats]) => {
+    stats.forEach(bucket => {
+      byKey[bucket[key]] = byKey[bucket[key]] || { [key]: bucket[key], a: 0, b: 0, tradesA: 0, tradesB: 0 };
+      byKey[bucket[key]][period] = bucket.pnl;
+      byKey[bucket[key]][period === 'a' ? 'tradesA' : 'tradesB'] = bucket.trades;
+    });
+  });
+  return order.filter(label => byKey[label]).map(label => byKey[label]);
+};
@@ -0,0 +1,60 @@
+// Trading costs: commissions and overnight swap, split out of net P&L. `pnl`
+// is the gross result, `fee` a cost and `swap` a charge (negative) or credit.
+// Spread is already inside the fill prices, so no export reports it separately.
+
+const DIRECTIONS = ['Long', 'Short'];
+
+const emptyRow = (key) => ({ key, trades: 0, gross: 0, fees: 0, swap: 0, net: 0, flipped: 0 });
+
+const addToRow = (row, record) => {
+  row.trades += 1;
+  row.gross += record.pnl;
+  row.fees += record.fee;
+  row.swap += record.swap;
+  row.net += record.netPnl;
+  if (record.pnl > 0 && record.netPnl < 0) row.flipped += 1;
+};
+
+// Net cost (fees minus swap credit) as a share of the gross result, when
+// there is a gross profit to compare with
+const finishRow = (row) => {
+  const costs = row.fees - row.swap;
+  return { ...row, costs, costPct: row.gross > 0 ? (costs / row.gross) * 100 : null };
+};
+
+const groupRows = (records, keyOf) => {
+  const rows = {};
+  records.forEach(record => {
+    const key = keyOf(record);
+    addToRow(rows[key] = rows[key] || emptyRow(key), record);
+  });
+  return Object.values(rows).map(finishRow);
+};
+
+const monthOf = (record) => {
+  const date = new Date(record.timestamp);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+export const computeCostStats = (records) => {
+  if (records.length === 0) return null;
+
+  const total = emptyRow('total');
+  records.forEach(record => addToRow(total, record));
+  const totals = finishRow(total);
+
+  // Gross profit of the winning trades before costs, the base of "costs as a % of gross profit"
+  const grossProfit = records.filter(r => r.pnl > 0).reduce((sum, r) => sum + r.pnl, 0);
+  const flipped = records.filter(r => r.pnl > 0 && r.netPnl < 0);
+
+  return {
+    ...totals,
+    grossProfit,
+    costPctOfGrossProfit: grossProfit > 0 ? (totals.costs / grossProfit) * 100 : null,
+    flippedAmount: flipped.reduce((sum, r) => sum + r.pnl, 0),
+    byInstrument: groupRows(records, r => r.instrument).sort((a, b) => b.costs - a.costs),
+    byMonth: groupRows(records, monthOf).sort((a, b) => a.key.localeCompare(b.key)),
+    byDirection: groupRows(records, r => r.direction)
+      .sort((a, b) => DIRECTIONS.indexOf(a.key) - DIRECTIONS.indexOf(b.key))
+  };
+};
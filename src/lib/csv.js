@@ -0,0 +1,158 @@
+// CSV parsing (RFC 4180) shared by the trade and cash-flow importers.
+// The parser is fed in chunks so large files can be streamed from a worker.
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Streaming parser. Call push() with consecutive chunks of text and end() once
+// the input is exhausted; onRecord receives { line, values } for every record,
+// where line is the 1-based file line the record starts on. Quoted fields may
+// contain delimiters, line breaks and "" escaped quotes. Unquoted values are
+// trimmed; blank lines are skipped. Records that cannot be parsed, such as an
+// unclosed quote or text after a closing quote, are listed in `errors` instead.
+export const createCSVParser = (delimiter, onRecord) => {
+  const errors = [];
+  let record = [];
+  let field = '';
+  let quoted = false;     // current field started with a quote
+  let inQuotes = false;   // inside a quoted section
+  let afterQuote = false; // just left a quoted section: "" means a literal quote
+  let strayText = false;  // the record has text after a closing quote
+  let line = 1;
+  let recordLine = 1;
+  let started = false;
+
+  const endField = () => {
+    record.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (strayText) {
+      errors.push({ line: recordLine, reason: 'Text after a closing quote' });
+    } else if (record.length > 1 || record[0] !== '') {
+      onRecord({ line: recordLine, values: record });
+    }
+    record = [];
+    strayText = false;
+  };
+
+  const push = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      // Byte order mark written by Excel and some brokers
+      if (!started) {
+        started = true;
+        if (char === '\uFEFF') continue;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+        continue;
+      }
+
+      if (afterQuote) {
+        afterQuote = false;
+        if (char === '"') {
+          field += '"';
+          inQuotes = true;
+          continue;
+        }
+      }
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endRecord();
+        line++;
+        recordLine = line;
+      } else if (char === '\r') {
+        // Part of a CRLF line break outside quotes
+      } else if (char === '"' && !quoted && field.trim() === '') {
+        quoted = true;
+        inQuotes = true;
+        field = '';
+      } else if (quoted) {
+        // Text after a closing quote is not valid CSV; padding is allowed
+        if (char.trim()) strayText = true;
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const end = () => {
+    if (inQuotes) {
+      errors.push({ line: recordLine, reason: 'Quoted field is never closed' });
+      record = [];
+      field = '';
+      inQuotes = false;
+      strayText = false;
+      return;
+    }
+    if (record.length > 0 || field !== '' || quoted) endRecord();
+  };
+
+  return { push, end, errors };
+};
+
+// Parse a whole string at once
+export const parseCSV = (text, delimiter = ',') => {
+  const records = [];
+  const parser = createCSVParser(delimiter, record => records.push(record));
+  parser.push(text);
+  parser.end();
+  return { records, errors: parser.errors };
+};
+
+// Pick the delimiter that splits the first records into the same, largest
+// number of columns. European exports often use ';' so ',' can be the decimal mark.
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 64 * 1024);
+  let best = { delimiter: ',', score: 0 };
+
+  CANDIDATE_DELIMITERS.forEach(delimiter => {
+    const counts = parseCSV(sample, delimiter).records.slice(0, 10).map(record => record.values.length);
+    const columns = counts[0] || 0;
+    const consistent = counts.filter(count => count === columns).length;
+    const score = columns > 1 ? consistent * columns : 0;
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return best.delimiter;
+};
+
+// Split parsed records into a header row and data rows. Duplicate headers
+// (MT4/MT5 have two "Time" and two "Price" columns) get a " (2)" suffix so
+// every column can be addressed by name.
+export const toTable = (records) => {
+  if (records.length === 0) return { headers: [], rows: [] };
+
+  const seen = {};
+  const headers = records[0].values.map(header => {
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+  return { headers, rows: records.slice(1) };
+};
+
+export const readCSV = (text, delimiter = ',') => {
+  const { records, errors } = parseCSV(text, delimiter);
+  return { ...toTable(records), errors };
+};
+
+// Quote a value for CSV output when it contains a delimiter, quote or line break
+export const formatCSVValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSVLine = (values) => values.map(formatCSVValue).join(',');
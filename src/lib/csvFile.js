@@ -0,0 +1,25 @@
+// Parse a CSV File in a Web Worker so large exports don't freeze the page.
+// Resolves to { delimiter, headers, rows, errors } like readCSV.
+export const parseCSVFile = (file, { delimiter, onProgress } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/csvWorker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      if (onProgress) onProgress(data.progress);
+      return;
+    }
+    worker.terminate();
+    if (data.type === 'done') {
+      const { type, ...table } = data;
+      resolve(table);
+    } else {
+      reject(new Error(data.message));
+    }
+  };
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Could not parse the file'));
+  };
+
+  worker.postMessage({ file, delimiter });
+});
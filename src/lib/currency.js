@@ -0,0 +1,193 @@
+// Account currencies, locale-aware money formatting and a local table of FX
+// rates. Rates convert the accounts of the aggregate view into one reporting
+// currency; nothing is fetched from the network.
+import { readCSV, detectDelimiter } from './csv';
+import { toDateKey, toTime } from './equity';
+import { detectDecimalSeparator, parseNumber } from './mapping';
+
+export const COMMON_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'CHF', 'JPY', 'AUD', 'CAD', 'NZD', 'NOK', 'SEK', 'DKK', 'PLN', 'CZK', 'HUF', 'ZAR', 'SGD', 'HKD'
+];
+
+// Upper-case ISO 4217 code, or null for anything else
+export const normalizeCurrency = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+};
+
+const formatters = new Map();
+
+const numberFormat = (options) => {
+  const key = JSON.stringify(options);
+  if (!formatters.has(key)) {
+    let format;
+    try {
+      format = new Intl.NumberFormat(undefined, options);
+    } catch (err) {
+      // Unknown currency code: plain number
+      const { style, currency, ...rest } = options;
+      format = new Intl.NumberFormat(undefined, rest);
+    }
+    formatters.set(key, format);
+  }
+  return formatters.get(key);
+};
+
+// Amount in the user's locale, with the currency symbol when the currency is
+// known and as a plain number otherwise
+export const formatMoney = (value, currency, { decimals = 2 } = {}) => numberFormat(currency
+  ? { style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+  : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+).format(value);
+
+// Prices keep up to five decimals so FX quotes are not rounded away
+export const formatPrice = (value) => numberFormat({ minimumFractionDigits: 2, maximumFractionDigits: 5 }).format(value);
+
+// Most common currency code among the values of a column
+export const detectCurrency = (values) => {
+  const counts = {};
+  values.forEach(value => {
+    const code = normalizeCurrency(value);
+    if (code) counts[code] = (counts[code] || 0) + 1;
+  });
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : null;
+};
+
+// --- FX rates ---
+
+// One unit of `base` is worth `rate` units of `quote` on `date` (YYYY-MM-DD)
+export const createFxRate = (date, base, quote, rate) => ({
+  id: `fx-${date}-${base}${quote}`,
+  date,
+  base,
+  quote,
+  rate
+});
+
+const PAIR = /^([A-Za-z]{3})\s*[/\-_ ]?\s*([A-Za-z]{3})$/;
+
+// Parse an FX rate CSV. Needs a date and a rate column, plus either base and
+// quote columns or one pair column ("EURUSD", "EUR/USD").
+export const parseFxRateCSV = (csvText) => {
+  const { headers: rawHeaders, rows } = readCSV(csvText, detectDelimiter(csvText));
+  if (rows.length === 0) {
+    throw new Error('FX rate CSV appears to be empty or contains only headers');
+  }
+
+  const headers = rawHeaders.map(h => h.toLowerCase().trim());
+  const findColumn = (...names) => headers.findIndex(h => names.includes(h));
+  const dateIndex = findColumn('date', 'day', 'time');
+  const rateIndex = findColumn('rate', 'close', 'price', 'value');
+  const baseIndex = findColumn('base', 'from', 'currency');
+  const quoteIndex = findColumn('quote', 'to', 'target');
+  const pairIndex = findColumn('pair', 'symbol', 'instrument');
+
+  if (dateIndex === -1 || rateIndex === -1 || ((baseIndex === -1 || quoteIndex === -1) && pairIndex === -1)) {
+    throw new Error('FX rate CSV needs date and rate columns plus base and quote (or pair) columns');
+  }
+
+  // European exports write rates like "11,4520"
+  const decimalSeparator = detectDecimalSeparator(rows.map(({ values }) => ({ values: [values[rateIndex] || ''] })));
+
+  const rates = [];
+  rows.forEach(({ values }) => {
+    let base;
+    let quote;
+    if (baseIndex !== -1 && quoteIndex !== -1) {
+      base = normalizeCurrency(values[baseIndex]);
+      quote = normalizeCurrency(values[quoteIndex]);
+    } else {
+      const match = PAIR.exec(String(values[pairIndex] || '').trim());
+      base = match && normalizeCurrency(match[1]);
+      quote = match && normalizeCurrency(match[2]);
+    }
+    const rate = parseNumber(values[rateIndex], decimalSeparator);
+    const time = toTime(values[dateIndex]);
+    if (!base || !quote || base === quote || !(rate > 0) || isNaN(time)) return;
+
+    rates.push(createFxRate(toDateKey(time), base, quote, rate));
+  });
+
+  if (rates.length === 0) {
+    throw new Error('No valid FX rates found in CSV');
+  }
+  return rates;
+};
+
+// New rates replace stored ones for the same day and pair
+export const mergeFxRates = (current, incoming) => {
+  const byId = new Map(current.map(rate => [rate.id, rate]));
+  incoming.forEach(rate => byId.set(rate.id, rate));
+  return [...byId.values()].sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+};
+
+// Validate rates from storage or a backup; invalid rows are dropped
+export const normalizeFxRates = (rates) => {
+  if (!Array.isArray(rates)) {
+    throw new Error('FX rates must be a list');
+  }
+  return mergeFxRates([], rates
+    .filter(rate => rate && /^\d{4}-\d{2}-\d{2}$/.test(rate.date) && rate.rate > 0)
+    .map(rate => ({ base: normalizeCurrency(rate.base), quote: normalizeCurrency(rate.quote), rate }))
+    .filter(({ base, quote }) => base && quote && base !== quote)
+    .map(({ base, quote, rate }) => createFxRate(rate.date, base, quote, Number(rate.rate))));
+};
+
+// Rates from one currency into another, oldest first. A rate stored the other
+// way round is inverted.
+const ratesFor = (rates, from, to) => rates
+  .filter(rate => (rate.base === from && rate.quote === to) || (rate.base === to && rate.quote === from))
+  .map(rate => ({ date: rate.date, rate: rate.base === from ? rate.rate : 1 / rate.rate }))
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// The rate of the latest day on or before `date`, or the earliest one when
+// the table starts later. Null when the table has no rate for the pair.
+const rateOn = (series, date) => {
+  if (series.length === 0) return null;
+  let found = series[0].rate;
+  for (const entry of series) {
+    if (entry.date > date) break;
+    found = entry.rate;
+  }
+  return found;
+};
+
+export const hasFxRate = (rates, from, to) => from === to || ratesFor(rates, from, to).length > 0;
+
+const MONEY_FIELDS = ['pnl', 'fee', 'swap', 'netPnl'];
+
+const cache = new WeakMap();
+
+// Trades with their money fields converted at the rate of their day. Returns
+// the trades unchanged when there is no rate for the pair.
+export const convertTradeCurrency = (trades, from, to, rates) => {
+  if (!from || !to || from === to) return trades;
+  const series = ratesFor(rates, from, to);
+  if (series.length === 0) return trades;
+
+  const cached = cache.get(trades);
+  if (cached && cached.from === from && cached.to === to && cached.rates === rates) return cached.result;
+
+  const result = trades.map(trade => {
+    const rate = rateOn(series, toDateKey(trade.timestamp));
+    const converted = Object.fromEntries(MONEY_FIELDS.map(field => [field, trade[field] * rate]));
+    return { ...trade, ...converted };
+  });
+  cache.set(trades, { from, to, rates, result });
+  return result;
+};
+
+// Balance settings in another currency. Cash flows use the rate of their day,
+// the starting balance the rate of `startDate`.
+export const convertAccountCurrency = (account, from, to, rates, startDate) => {
+  if (!from || !to || from === to) return account;
+  const series = ratesFor(rates, from, to);
+  if (series.length === 0) return account;
+
+  return {
+    ...account,
+    startingBalance: account.startingBalance * rateOn(series, startDate || series[0].date),
+    cashFlows: account.cashFlows.map(flow => ({ ...flow, amount: flow.amount * rateOn(series, toDateKey(flow.date)) }))
+  };
+};
@@ -0,0 +1,110 @@
+// Account equity helpers: starting balance, deposits/withdrawals and
+// time-weighted returns that are not distorted by cash flows.
+import { readCSV, detectDelimiter } from './csv';
+
+// `currency` is the account currency (ISO code), null until detected or set
+export const DEFAULT_ACCOUNT = { startingBalance: 0, cashFlows: [], currency: null };
+
+// Date-only strings are treated as local midnight, like the date filters
+export const toTime = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00`).getTime();
+  }
+  return new Date(value).getTime();
+};
+
+// Last millisecond of a local calendar day, so an end date filter includes that day
+export const endOfDay = (date) => new Date(`${date}T23:59:59.999`).getTime();
+
+// Local calendar day of a timestamp as YYYY-MM-DD
+export const toDateKey = (value) => {
+  const date = new Date(toTime(value));
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Key of a record across accounts; a Trade Id is only unique within its account
+export const recordKey = (record) => `${record.accountId}:${record.id}`;
+
+export const hasAccountBalance = (account) =>
+  account.startingBalance > 0 || account.cashFlows.length > 0;
+
+export const totalCashFlows = (account) =>
+  account.cashFlows.reduce((sum, flow) => sum + flow.amount, 0);
+
+// Account equity immediately before each record, keyed by record id.
+// Computed over the full history so filtered views still measure returns
+// against the real size of the account at the time.
+export const computeEquityBefore = (records, account) => {
+  const flows = account.cashFlows
+    .map(flow => ({ time: toTime(flow.date), amount: flow.amount }))
+    .sort((a, b) => a.time - b.time);
+  const sorted = [...records].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+
+  const equityBefore = new Map();
+  let equity = account.startingBalance;
+  let flowIndex = 0;
+
+  sorted.forEach(record => {
+    const time = toTime(record.timestamp);
+    while (flowIndex < flows.length && flows[flowIndex].time <= time) {
+      equity += flows[flowIndex].amount;
+      flowIndex++;
+    }
+    equityBefore.set(recordKey(record), equity);
+    equity += record.netPnl;
+  });
+
+  return equityBefore;
+};
+
+// Return of a single trade relative to the equity it was taken with
+export const tradeReturn = (record, equityBefore) => {
+  const equity = equityBefore.get(recordKey(record));
+  return equity > 0 ? record.netPnl / equity : 0;
+};
+
+export const createCashFlow = (date, amount, note = '') => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  date,
+  amount,
+  note
+});
+
+// Parse a deposits/withdrawals CSV. Needs a date and an amount column; when a
+// type column is present (e.g. a Capital.com transactions export) only
+// deposit and withdrawal rows are kept and withdrawals are made negative.
+export const parseCashFlowCSV = (csvText) => {
+  const { headers: rawHeaders, rows } = readCSV(csvText, detectDelimiter(csvText));
+  if (rows.length === 0) {
+    throw new Error('Cash flow CSV appears to be empty or contains only headers');
+  }
+
+  const headers = rawHeaders.map(h => h.toLowerCase());
+  const findColumn = (...names) => headers.findIndex(h => names.some(name => h.includes(name)));
+  const dateIndex = findColumn('date', 'time');
+  const amountIndex = findColumn('amount');
+  const typeIndex = findColumn('type');
+  const noteIndex = findColumn('note', 'description', 'reference');
+
+  if (dateIndex === -1 || amountIndex === -1) {
+    throw new Error('Cash flow CSV needs a date and an amount column');
+  }
+
+  const flows = [];
+  rows.forEach(({ values }) => {
+    const type = typeIndex !== -1 ? (values[typeIndex] || '').toLowerCase() : '';
+    if (typeIndex !== -1 && !type.includes('deposit') && !type.includes('withdraw')) return;
+
+    let amount = parseFloat(values[amountIndex]);
+    const time = toTime(values[dateIndex]);
+    if (isNaN(amount) || isNaN(time)) return;
+    if (type.includes('withdraw')) amount = -Math.abs(amount);
+
+    flows.push(createCashFlow(values[dateIndex], amount, noteIndex !== -1 ? values[noteIndex] || '' : ''));
+  });
+
+  if (flows.length === 0) {
+    throw new Error('No deposits or withdrawals found in CSV');
+  }
+  return flows;
+};
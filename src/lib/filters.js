@@ -0,0 +1,149 @@
+// Advanced filters: groups of conditions combined with AND/OR. Conditions
+// within a group are joined by the group's logic, groups by the filter's.
+// A condition without values, and a group without conditions, filter nothing.
+//
+// Saved as named presets together with the quick filters (date range,
+// direction, instrument, tag).
+import { UNTAGGED } from './journal';
+import { WEEKDAYS, inHourWindow } from './strategies';
+
+// `set` fields match when the record has any of the chosen values; `range`
+// fields take a min and max (net P&L) or an hour window (hour of day)
+export const FILTER_FIELDS = [
+  { key: 'instrument', label: 'Instrument', type: 'set' },
+  { key: 'direction', label: 'Direction', type: 'set' },
+  { key: 'outcome', label: 'Outcome', type: 'set' },
+  { key: 'pnl', label: 'Net P&L', type: 'range' },
+  { key: 'weekday', label: 'Weekday', type: 'set' },
+  { key: 'hour', label: 'Hour of day', type: 'hours' },
+  { key: 'tag', label: 'Journal tag', type: 'set' },
+  { key: 'strategy', label: 'Strategy', type: 'set' },
+  { key: 'executionType', label: 'Execution type', type: 'set' },
+  { key: 'status', label: 'Status', type: 'set' }
+];
+
+export const OUTCOMES = [
+  { value: 'win', label: 'Winners' },
+  { value: 'loss', label: 'Losers' },
+  { value: 'breakeven', label: 'Breakeven' }
+];
+
+export const WEEKDAY_OPTIONS = WEEKDAYS.map((label, day) => ({ value: day, label }));
+
+const fieldOf = (key) => FILTER_FIELDS.find(f => f.key === key);
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const emptyFilter = () => ({ logic: 'and', groups: [] });
+
+export const createCondition = (field = 'instrument') => ({ id: createId('cond'), field, values: [], min: null, max: null });
+
+export const createFilterGroup = () => ({ id: createId('group'), logic: 'and', conditions: [createCondition()] });
+
+const hasConstraint = (condition) => {
+  const field = fieldOf(condition.field);
+  if (!field) return false;
+  if (field.type === 'set') return condition.values.length > 0;
+  if (field.type === 'hours') return condition.min !== null && condition.max !== null && condition.min !== condition.max;
+  return condition.min !== null || condition.max !== null;
+};
+
+export const isFilterActive = (filter) => filter.groups.some(group => group.conditions.some(hasConstraint));
+
+// Values of a set field for one record; a record may carry several tags
+const valuesOf = (field, record, { tagsOf, strategyOf }) => {
+  switch (field) {
+    case 'outcome':
+      return [record.netPnl > 0 ? 'win' : record.netPnl < 0 ? 'loss' : 'breakeven'];
+    case 'weekday':
+      return [new Date(record.timestamp).getDay()];
+    case 'tag': {
+      const tags = tagsOf(record);
+      return tags.length > 0 ? tags : [UNTAGGED];
+    }
+    case 'strategy':
+      return [strategyOf(record)];
+    default:
+      return [record[field] ?? ''];
+  }
+};
+
+const matchesCondition = (condition, record, context) => {
+  if (!hasConstraint(condition)) return true;
+  const field = fieldOf(condition.field);
+
+  if (field.type === 'set') {
+    return valuesOf(condition.field, record, context).some(value => condition.values.includes(value));
+  }
+  if (field.type === 'hours') {
+    return inHourWindow(new Date(record.timestamp).getHours(), condition.min, condition.max);
+  }
+  return (condition.min === null || record.netPnl >= condition.min) && (condition.max === null || record.netPnl <= condition.max);
+};
+
+const combine = (logic, items, test) => (logic === 'or' ? items.some(test) : items.every(test));
+
+// context: { tagsOf, strategyOf } lookups for the tag and strategy fields
+export const matchesFilter = (filter, record, context) => {
+  const groups = filter.groups
+    .map(group => ({ ...group, conditions: group.conditions.filter(hasConstraint) }))
+    .filter(group => group.conditions.length > 0);
+  if (groups.length === 0) return true;
+
+  return combine(filter.logic, groups, group =>
+    combine(group.logic, group.conditions, condition => matchesCondition(condition, record, context)));
+};
+
+const toNumberOrNull = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+// Validate a filter read from storage or a backup
+export const normalizeFilter = (filter) => {
+  if (!filter || !Array.isArray(filter.groups)) return emptyFilter();
+
+  return {
+    logic: filter.logic === 'or' ? 'or' : 'and',
+    groups: filter.groups
+      .filter(group => group && Array.isArray(group.conditions))
+      .map(group => ({
+        id: typeof group.id === 'string' ? group.id : createId('group'),
+        logic: group.logic === 'or' ? 'or' : 'and',
+        conditions: group.conditions
+          .filter(condition => condition && fieldOf(condition.field))
+          .map(condition => ({
+            id: typeof condition.id === 'string' ? condition.id : createId('cond'),
+            field: condition.field,
+            values: Array.isArray(condition.values) ? condition.values : [],
+            min: toNumberOrNull(condition.min),
+            max: toNumberOrNull(condition.max)
+          }))
+      }))
+  };
+};
+
+export const createFilterPreset = (name, filters) => ({ id: createId('preset'), name, filters });
+
+// Presets must have a name and the filters they restore
+export const normalizeFilterPresets = (presets) => {
+  if (!Array.isArray(presets)) throw new Error('Filter presets must be a list');
+
+  return presets.map((preset, i) => {
+    if (!preset || typeof preset.name !== 'string' || !preset.filters) {
+      throw new Error(`Filter preset ${i + 1} is missing a name or filters`);
+    }
+    return {
+      id: typeof preset.id === 'string' ? preset.id : createId('preset'),
+      name: preset.name,
+      filters: { ...preset.filters, advancedFilter: normalizeFilter(preset.filters.advancedFilter) }
+    };
+  });
+};
+
+// Presets of a merged backup are added unless their name is already in use
+export const mergeFilterPresets = (current, incoming) => {
+  const names = new Set(current.map(preset => preset.name.toLowerCase()));
+  const ids = new Set(current.map(preset => preset.id));
+  const added = incoming
+    .filter(preset => !names.has(preset.name.toLowerCase()))
+    .map(preset => (ids.has(preset.id) ? createFilterPreset(preset.name, preset.filters) : preset));
+  return [...current, ...added];
+};
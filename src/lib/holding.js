@@ -0,0 +1,82 @@
+// Holding-time statistics for reconstructed positions
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Histogram bins for the holding-time distribution
+const HISTOGRAM_BINS = [
+  { label: '<1m', max: MINUTE },
+  { label: '1-5m', max: 5 * MINUTE },
+  { label: '5-15m', max: 15 * MINUTE },
+  { label: '15-60m', max: HOUR },
+  { label: '1-4h', max: 4 * HOUR },
+  { label: '4-24h', max: DAY },
+  { label: '1-3d', max: 3 * DAY },
+  { label: '3d+', max: Infinity }
+];
+
+// Trading-style buckets. Positions held under 15 minutes are scalps; beyond
+// that the number of midnights crossed decides intraday, overnight or multi-day.
+export const HOLDING_BUCKETS = ['Scalp', 'Intraday', 'Overnight', 'Multi-day'];
+
+const SCALP_LIMIT = 15 * MINUTE;
+
+const calendarDaysBetween = (start, end) => {
+  const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+  return Math.round((endDay - startDay) / DAY);
+};
+
+export const classifyHolding = (position) => {
+  const days = calendarDaysBetween(new Date(position.entryTimestamp), new Date(position.exitTimestamp));
+  if (days >= 2) return 'Multi-day';
+  if (days === 1) return 'Overnight';
+  return position.holdingMs < SCALP_LIMIT ? 'Scalp' : 'Intraday';
+};
+
+export const computeHoldingStats = (positions) => {
+  const timed = positions.filter(p => p.holdingMs !== null && p.holdingMs >= 0);
+  if (timed.length === 0) return null;
+
+  const durations = timed.map(p => p.holdingMs).sort((a, b) => a - b);
+  const mean = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+  const mid = Math.floor(durations.length / 2);
+  const median = durations.length % 2 === 0
+    ? (durations[mid - 1] + durations[mid]) / 2
+    : durations[mid];
+
+  const histogram = HISTOGRAM_BINS.map(bin => ({ label: bin.label, trades: 0, pnl: 0 }));
+  timed.forEach(p => {
+    const index = HISTOGRAM_BINS.findIndex(bin => p.holdingMs < bin.max);
+    histogram[index].trades += 1;
+    histogram[index].pnl += p.netPnl;
+  });
+
+  const bucketStats = {};
+  HOLDING_BUCKETS.forEach(name => {
+    bucketStats[name] = { name, trades: 0, winners: 0, pnl: 0, swap: 0, totalHolding: 0 };
+  });
+  timed.forEach(p => {
+    const bucket = bucketStats[classifyHolding(p)];
+    bucket.trades += 1;
+    bucket.pnl += p.netPnl;
+    bucket.swap += p.swap;
+    bucket.totalHolding += p.holdingMs;
+    if (p.netPnl > 0) bucket.winners += 1;
+  });
+
+  const buckets = HOLDING_BUCKETS.map(name => bucketStats[name]).map(b => ({
+    ...b,
+    winRate: b.trades > 0 ? (b.winners / b.trades) * 100 : 0,
+    avgHolding: b.trades > 0 ? b.totalHolding / b.trades : 0
+  }));
+
+  return {
+    mean,
+    median,
+    count: timed.length,
+    histogram,
+    buckets
+  };
+};
@@ -0,0 +1,73 @@
+// Incremental import helpers. Trades are keyed by their Capital.com Trade Id,
+// so importing overlapping exports never duplicates rows.
+
+// Fields compared to decide whether a re-imported trade has changed
+const COMPARED_FIELDS = [
+  'instrument', 'direction', 'quantity', 'price', 'takeProfit', 'stopLoss',
+  'pnl', 'fee', 'swap', 'timestamp', 'executionType', 'status'
+];
+
+const isSameTrade = (a, b) => COMPARED_FIELDS.every(field => a[field] === b[field]);
+
+// Merge freshly parsed trades into the existing history.
+// Returns the merged array plus what is needed to undo the import later:
+// the ids that were added and the previous versions of any updated trades.
+export const mergeTrades = (existing, incoming) => {
+  const byId = new Map(existing.map(t => [t.id, t]));
+  const seenInFile = new Set();
+  const addedIds = [];
+  const previous = [];
+  let skipped = 0;
+
+  incoming.forEach(trade => {
+    // The same Trade Id twice in one file: keep the first occurrence
+    if (seenInFile.has(trade.id)) {
+      skipped++;
+      return;
+    }
+    seenInFile.add(trade.id);
+
+    const current = byId.get(trade.id);
+    if (!current) {
+      byId.set(trade.id, trade);
+      addedIds.push(trade.id);
+    } else if (isSameTrade(current, trade)) {
+      skipped++;
+    } else {
+      previous.push(current);
+      byId.set(trade.id, trade);
+    }
+  });
+
+  return {
+    trades: Array.from(byId.values()),
+    added: addedIds.length,
+    updated: previous.length,
+    skipped,
+    addedIds,
+    previous
+  };
+};
+
+// Build the history entry stored for an import
+export const createImportRecord = (fileName, result) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  fileName,
+  importedAt: new Date().toISOString(),
+  added: result.added,
+  updated: result.updated,
+  skipped: result.skipped,
+  addedIds: result.addedIds,
+  previous: result.previous
+});
+
+// Undo a single import: drop the trades it added and restore the ones it overwrote.
+// Imports must be rolled back newest first for the restored versions to be correct.
+export const rollbackImport = (trades, record) => {
+  const addedIds = new Set(record.addedIds);
+  const previousById = new Map(record.previous.map(t => [t.id, t]));
+
+  return trades
+    .filter(t => !addedIds.has(t.id))
+    .map(t => previousById.get(t.id) || t);
+};
@@ -0,0 +1,53 @@
+// Size and price profile of the trades in one instrument, for the drill-down
+// view. Positions carry entry and exit prices, fills a single price.
+
+// Number of equal-width price bands between the lowest and highest price
+const PRICE_BANDS = 10;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+export const computeInstrumentProfile = (records) => {
+  if (records.length === 0) return null;
+
+  const quantities = records.map(r => r.quantity).filter(q => q > 0);
+  const priced = records.filter(r => r.price > 0);
+  const totalQuantity = priced.reduce((sum, r) => sum + r.quantity, 0);
+  const prices = priced.flatMap(r => [r.price, r.exitPrice].filter(p => p > 0));
+
+  const low = prices.length > 0 ? Math.min(...prices) : null;
+  const high = prices.length > 0 ? Math.max(...prices) : null;
+
+  // Net P&L by the price the trade was taken at (entry price for positions)
+  let priceLevels = [];
+  if (priced.length > 0) {
+    const entries = priced.map(r => r.price);
+    const from = Math.min(...entries);
+    const width = (Math.max(...entries) - from) / PRICE_BANDS;
+    priceLevels = width > 0
+      ? Array.from({ length: PRICE_BANDS }, (_, i) => ({ from: from + i * width, to: from + (i + 1) * width, trades: 0, pnl: 0 }))
+      : [{ from, to: from, trades: 0, pnl: 0 }];
+    priced.forEach(r => {
+      const band = priceLevels[width > 0 ? Math.min(Math.floor((r.price - from) / width), PRICE_BANDS - 1) : 0];
+      band.trades += 1;
+      band.pnl += r.netPnl;
+    });
+  }
+
+  const timestamps = records.map(r => new Date(r.timestamp).getTime());
+
+  return {
+    avgQuantity: quantities.length > 0 ? quantities.reduce((sum, q) => sum + q, 0) / quantities.length : 0,
+    medianQuantity: quantities.length > 0 ? median(quantities) : 0,
+    maxQuantity: quantities.length > 0 ? Math.max(...quantities) : 0,
+    avgPrice: totalQuantity > 0 ? priced.reduce((sum, r) => sum + r.price * r.quantity, 0) / totalQuantity : null,
+    low,
+    high,
+    priceLevels,
+    firstTrade: new Date(Math.min(...timestamps)),
+    lastTrade: new Date(Math.max(...timestamps))
+  };
+};
@@ -0,0 +1,82 @@
+// Trade journal: notes, tags, a rating and screenshots per trade. Entries are
+// kept apart from the imported trades and keyed by Trade Id, so re-importing
+// or rolling back an export never touches them.
+
+// Tags are stored as "category:name", e.g. "setup:Breakout"
+export const TAG_CATEGORIES = [
+  { key: 'setup', label: 'Setup', placeholder: 'e.g. Breakout' },
+  { key: 'mistake', label: 'Mistake', placeholder: 'e.g. Moved stop' },
+  { key: 'emotion', label: 'Emotion', placeholder: 'e.g. FOMO' }
+];
+
+export const UNTAGGED = 'untagged';
+export const MAX_RATING = 5;
+
+export const emptyJournalEntry = () => ({ notes: '', tags: [], rating: 0, screenshots: [], updatedAt: null });
+
+export const createTag = (category, name) => `${category}:${name.trim()}`;
+
+export const parseTag = (tag) => {
+  const separator = tag.indexOf(':');
+  return { category: tag.slice(0, separator), name: tag.slice(separator + 1) };
+};
+
+export const formatTag = (tag) => {
+  const { category, name } = parseTag(tag);
+  const known = TAG_CATEGORIES.find(c => c.key === category);
+  return known ? `${known.label}: ${name}` : name;
+};
+
+export const createScreenshotId = () =>
+  `shot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const isEmptyEntry = (entry) =>
+  !entry.notes.trim() && entry.tags.length === 0 && !entry.rating && entry.screenshots.length === 0;
+
+// Store an edited entry; an entry without any content is removed
+export const setJournalEntry = (journal, tradeId, entry) => {
+  const { [tradeId]: previous, ...rest } = journal;
+  if (isEmptyEntry(entry)) return rest;
+  return { ...rest, [tradeId]: { ...entry, updatedAt: new Date().toISOString() } };
+};
+
+// Combine two journals of the same account; the more recently edited entry wins
+export const mergeJournals = (current, incoming) => {
+  const merged = { ...current };
+  Object.entries(incoming).forEach(([tradeId, entry]) => {
+    const existing = merged[tradeId];
+    if (!existing || (entry.updatedAt || '') > (existing.updatedAt || '')) merged[tradeId] = entry;
+  });
+  return merged;
+};
+
+// Every tag used in the given journals, grouped by category and sorted by name
+export const collectTags = (journals) => {
+  const tags = new Set();
+  journals.forEach(journal => Object.values(journal).forEach(entry => entry.tags.forEach(tag => tags.add(tag))));
+  const order = (tag) => TAG_CATEGORIES.findIndex(c => c.key === parseTag(tag).category);
+  return Array.from(tags).sort((a, b) => order(a) - order(b) || a.localeCompare(b));
+};
+
+// Look up the tags of a fill or position. A position is annotated under its
+// own Trade Id (that of its opening fill), so a closing fill also carries the
+// tags of its position and a position those of all of its fills.
+export const createTagLookup = (accountData, positions) => {
+  const positionOfFill = new Map();
+  positions.forEach(position => {
+    position.fillIds.forEach(id => positionOfFill.set(`${position.accountId}:${id}`, position));
+  });
+
+  return (record) => {
+    const journal = accountData[record.accountId]?.journal;
+    if (!journal) return [];
+
+    const ids = new Set([record.id, ...(record.fillIds || [])]);
+    const position = positionOfFill.get(`${record.accountId}:${record.id}`);
+    if (position) ids.add(position.id);
+
+    const tags = new Set();
+    ids.forEach(id => journal[id]?.tags.forEach(tag => tags.add(tag)));
+    return Array.from(tags);
+  };
+};
@@ -0,0 +1,120 @@
+// Leverage / margin table. Symbols are resolved by per-symbol override first,
+// then by the first asset class whose patterns match, then the default.
+//
+// Patterns are either globs matched against the whole symbol ("US100", "DAX*")
+// or regular expressions written between slashes ("/^(EUR|GBP)USD$/").
+
+const CURRENCIES = 'USD|EUR|GBP|JPY|CHF|CAD|AUD|NZD|NOK|SEK|DKK|PLN|HUF|CZK|TRY|ZAR|MXN|SGD|HKD|CNH';
+const MAJORS = 'USD|EUR|GBP|JPY|CHF|CAD';
+
+export const DEFAULT_LEVERAGE_TABLE = {
+  version: 1,
+  defaultLeverage: 20,
+  assetClasses: [
+    {
+      id: 'indices',
+      name: 'Indices',
+      leverage: 20,
+      patterns: ['US100', 'US500', 'US30', 'US2000', 'SPX*', 'DE40', 'DAX*', 'UK100', 'FR40', 'EU50', 'J225', 'AU200', 'HK50', 'NL25', 'ES35']
+    },
+    {
+      id: 'crypto',
+      name: 'Crypto',
+      leverage: 2,
+      patterns: [`/^(BTC|ETH|LTC|XRP|SOL|ADA|DOGE|DOT|BCH)(${CURRENCIES})$/`]
+    },
+    {
+      id: 'forex-majors',
+      name: 'Forex majors',
+      leverage: 30,
+      patterns: [`/^(${MAJORS})(${MAJORS})$/`]
+    },
+    {
+      id: 'forex-minors',
+      name: 'Forex minors',
+      leverage: 20,
+      patterns: [`/^(${CURRENCIES})(${CURRENCIES})$/`]
+    },
+    {
+      id: 'commodities',
+      name: 'Commodities',
+      leverage: 10,
+      patterns: ['GOLD', 'SILVER', 'OIL*', 'NATURALGAS', 'COPPER', 'PLATINUM', 'PALLADIUM']
+    }
+  ],
+  overrides: {}
+};
+
+const compilePattern = (pattern) => {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2].includes('i') ? regexMatch[2] : `${regexMatch[2]}i`);
+  }
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+export const matchesPattern = (pattern, symbol) => {
+  try {
+    return compilePattern(pattern.trim()).test(symbol);
+  } catch (err) {
+    return false; // Invalid regex typed into the editor
+  }
+};
+
+// Resolve the leverage for a symbol, along with where it came from
+export const resolveLeverage = (instrument, table) => {
+  const symbol = (instrument || '').trim();
+  if (table.overrides[symbol] > 0) {
+    return { leverage: table.overrides[symbol], source: 'Override' };
+  }
+  const assetClass = table.assetClasses.find(c => c.patterns.some(p => p && matchesPattern(p, symbol)));
+  if (assetClass) {
+    return { leverage: assetClass.leverage, source: assetClass.name };
+  }
+  return { leverage: table.defaultLeverage, source: 'Default' };
+};
+
+// Margin used and return on margin for a trade or position
+export const calculateMargin = (trade, table) => {
+  const { leverage } = resolveLeverage(trade.instrument, table);
+  const positionSize = trade.quantity * trade.price;
+  const margin = leverage > 0 ? positionSize / leverage : 0;
+  const returnPercent = margin > 0 ? (trade.netPnl / margin) * 100 : 0;
+  return { leverage, margin, returnPercent };
+};
+
+// Validate a table loaded from JSON (import or storage)
+export const normalizeLeverageTable = (data) => {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Leverage table must be a JSON object');
+  }
+
+  const defaultLeverage = Number(data.defaultLeverage);
+  if (!(defaultLeverage > 0)) {
+    throw new Error('Leverage table needs a positive defaultLeverage');
+  }
+  if (!Array.isArray(data.assetClasses)) {
+    throw new Error('Leverage table needs an assetClasses array');
+  }
+
+  const assetClasses = data.assetClasses.map((c, index) => {
+    const leverage = Number(c.leverage);
+    if (!c.name || !(leverage > 0) || !Array.isArray(c.patterns)) {
+      throw new Error(`Asset class #${index + 1} needs a name, a positive leverage and a patterns array`);
+    }
+    return {
+      id: c.id || `class-${index}`,
+      name: String(c.name),
+      leverage,
+      patterns: c.patterns.map(String)
+    };
+  });
+
+  const overrides = {};
+  Object.entries(data.overrides || {}).forEach(([symbol, leverage]) => {
+    if (Number(leverage) > 0) overrides[symbol] = Number(leverage);
+  });
+
+  return { version: 1, defaultLeverage, assetClasses, overrides };
+};
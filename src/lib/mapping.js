@@ -0,0 +1,423 @@
+// Column mapping for trade imports. A profile says which column of a broker's
+// export holds each internal trade field; the number and date formats are
+// detected from the file itself so the same profile works across locales.
+import { toCSVLine } from './csv';
+import { detectCurrency } from './currency';
+
+export const TRADE_FIELDS = [
+  { key: 'id', label: 'Trade Id', required: true },
+  { key: 'instrument', label: 'Instrument', required: true },
+  { key: 'quantity', label: 'Quantity', required: true },
+  { key: 'direction', label: 'Direction', hint: 'Buy/sell column; without it the sign of the quantity is used' },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'timestamp', label: 'Time', required: true },
+  { key: 'pnl', label: 'Realized P&L' },
+  { key: 'fee', label: 'Fee / commission' },
+  { key: 'swap', label: 'Swap' },
+  { key: 'takeProfit', label: 'Take profit' },
+  { key: 'stopLoss', label: 'Stop loss' },
+  { key: 'executionType', label: 'Execution type' },
+  { key: 'status', label: 'Status' },
+  { key: 'currency', label: 'Account currency', hint: 'Currency of the P&L column; sets the account currency' },
+  { key: 'exitTimestamp', label: 'Close time', hint: 'For exports with one row per closed trade' },
+  { key: 'exitPrice', label: 'Close price', hint: 'Required when a close time is mapped' }
+];
+
+export const DATE_FORMATS = [
+  { key: 'YMD', label: 'YYYY-MM-DD' },
+  { key: 'DMY', label: 'DD/MM/YYYY' },
+  { key: 'MDY', label: 'MM/DD/YYYY' }
+];
+
+// A column may list alternatives; the first one present in the file is used.
+// MetaTrader repeats "Time" and "Price" for the close, read as "Time (2)" etc.
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'capital-com',
+    name: 'Capital.com',
+    builtIn: true,
+    dateFormat: 'YMD',
+    negateFee: false,
+    columns: {
+      id: 'Trade Id',
+      instrument: ['Instrument Symbol', 'Instrument Name'],
+      quantity: 'Quantity',
+      price: 'Price',
+      timestamp: 'Timestamp',
+      pnl: 'Rpl Converted',
+      fee: 'Fee',
+      swap: 'Swap Converted',
+      takeProfit: 'Take Profit',
+      stopLoss: 'Stop Loss',
+      executionType: 'Execution Type',
+      status: 'Status',
+      currency: ['Account Currency', 'Converted Currency']
+    }
+  },
+  {
+    id: 'mt5',
+    name: 'MetaTrader 5 (positions)',
+    builtIn: true,
+    dateFormat: 'YMD',
+    negateFee: true,
+    columns: {
+      id: 'Position',
+      instrument: 'Symbol',
+      direction: 'Type',
+      quantity: 'Volume',
+      price: 'Price',
+      timestamp: 'Time',
+      stopLoss: 'S / L',
+      takeProfit: 'T / P',
+      exitTimestamp: 'Time (2)',
+      exitPrice: 'Price (2)',
+      fee: 'Commission',
+      swap: 'Swap',
+      pnl: 'Profit'
+    }
+  },
+  {
+    id: 'mt4',
+    name: 'MetaTrader 4',
+    builtIn: true,
+    dateFormat: 'YMD',
+    negateFee: true,
+    columns: {
+      id: 'Ticket',
+      instrument: 'Item',
+      direction: 'Type',
+      quantity: ['Size', 'Volume'],
+      price: 'Price',
+      timestamp: 'Open Time',
+      stopLoss: 'S / L',
+      takeProfit: 'T / P',
+      exitTimestamp: 'Close Time',
+      exitPrice: 'Price (2)',
+      fee: 'Commission',
+      swap: 'Swap',
+      pnl: 'Profit'
+    }
+  }
+];
+
+// Header names tried, in order, when no profile matches the file
+const COLUMN_SYNONYMS = {
+  id: ['trade id', 'ticket', 'deal', 'position', 'order', 'order id', 'transaction id', 'id'],
+  instrument: ['instrument symbol', 'symbol', 'instrument', 'item', 'market', 'ticker', 'instrument name'],
+  quantity: ['quantity', 'volume', 'size', 'lots', 'qty', 'units', 'amount'],
+  direction: ['direction', 'type', 'side', 'action', 'buy/sell'],
+  price: ['price', 'open price', 'entry price', 'opening price'],
+  timestamp: ['timestamp', 'time', 'open time', 'opening time', 'entry time', 'date/time', 'date'],
+  pnl: ['rpl converted', 'profit', 'p&l', 'pnl', 'realized p&l', 'realised p&l', 'net profit', 'result'],
+  fee: ['fee', 'fees', 'commission', 'commissions'],
+  swap: ['swap converted', 'swap', 'rollover', 'financing'],
+  takeProfit: ['take profit', 't / p', 't/p', 'tp'],
+  stopLoss: ['stop loss', 's / l', 's/l', 'sl'],
+  executionType: ['execution type', 'order type'],
+  status: ['status'],
+  currency: ['account currency', 'converted currency', 'currency'],
+  exitTimestamp: ['close time', 'closing time', 'exit time', 'time (2)'],
+  exitPrice: ['close price', 'closing price', 'exit price', 'price (2)']
+};
+
+const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// Column index for every mapped field that exists in the file
+export const resolveColumns = (columns, headers) => {
+  const indexes = {};
+  Object.entries(columns).forEach(([field, names]) => {
+    const name = asList(names).find(candidate => headers.includes(candidate));
+    if (name !== undefined) indexes[field] = headers.indexOf(name);
+  });
+  return indexes;
+};
+
+export const missingRequiredFields = (columns, headers) => {
+  const indexes = resolveColumns(columns, headers);
+  return TRADE_FIELDS.filter(field => field.required && indexes[field.key] === undefined);
+};
+
+// Flatten a profile's columns to the header names present in this file
+const columnsForHeaders = (columns, headers) => {
+  const indexes = resolveColumns(columns, headers);
+  return Object.fromEntries(Object.entries(indexes).map(([field, index]) => [field, headers[index]]));
+};
+
+export const autoMapColumns = (headers) => {
+  const used = new Set();
+  const columns = {};
+  const lower = headers.map(header => header.toLowerCase());
+
+  TRADE_FIELDS.forEach(({ key }) => {
+    const index = COLUMN_SYNONYMS[key]
+      .map(synonym => lower.findIndex((header, i) => header === synonym && !used.has(i)))
+      .find(i => i !== -1);
+    if (index !== undefined) {
+      used.add(index);
+      columns[key] = headers[index];
+    }
+  });
+  return columns;
+};
+
+// The profile matching the most columns among those with every required field present
+export const detectProfile = (headers, profiles) => {
+  let best = null;
+  let bestCount = 0;
+  profiles.forEach(profile => {
+    if (missingRequiredFields(profile.columns, headers).length > 0) return;
+    const count = Object.keys(resolveColumns(profile.columns, headers)).length;
+    if (count > bestCount) {
+      best = profile;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// --- Number and date formats ---
+
+const decimalVote = (value) => {
+  const v = value.replace(/\s/g, '');
+  if (/^-?\d{1,3}(\.\d{3})+,\d+$/.test(v)) return ',';
+  if (/^-?\d{1,3}(,\d{3})+\.\d+$/.test(v)) return '.';
+  // Exactly three digits after the mark could be a thousands separator
+  if (/^-?\d+,\d+$/.test(v) && !/,\d{3}$/.test(v)) return ',';
+  if (/^-?\d+\.\d+$/.test(v) && !/\.\d{3}$/.test(v)) return '.';
+  return null;
+};
+
+export const detectDecimalSeparator = (rows) => {
+  const votes = { '.': 0, ',': 0 };
+  rows.slice(0, 200).forEach(row => {
+    row.values.forEach(value => {
+      const vote = decimalVote(value);
+      if (vote) votes[vote]++;
+    });
+  });
+  return votes[','] > votes['.'] ? ',' : '.';
+};
+
+export const parseNumber = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return NaN;
+  let v = String(value).replace(/[\s']/g, '');
+  v = decimalSeparator === ','
+    ? v.replace(/\./g, '').replace(',', '.')
+    : v.replace(/,/g, '');
+  return parseFloat(v);
+};
+
+const DATE_PATTERN = /^(\d{1,4})[-./](\d{1,2})[-./](\d{1,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?/;
+
+// YMD unless the year comes last; then a day above 12 tells DMY from MDY.
+// Returns null when every date is ambiguous (e.g. 05/06/2024).
+export const detectDateFormat = (values) => {
+  let first = 0;
+  let second = 0;
+  let yearFirst = false;
+  let matched = false;
+
+  values.slice(0, 500).forEach(value => {
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (!match) return;
+    matched = true;
+    if (match[1].length === 4) {
+      yearFirst = true;
+      return;
+    }
+    first = Math.max(first, Number(match[1]));
+    second = Math.max(second, Number(match[2]));
+  });
+
+  if (!matched || yearFirst) return 'YMD';
+  if (first > 12) return 'DMY';
+  if (second > 12) return 'MDY';
+  return null;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Normalise a date to a local ISO timestamp ("2024-03-05T14:30:00").
+// ISO values are kept as they are, so re-imports compare equal.
+export const parseDate = (value, dateFormat) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !isNaN(new Date(text).getTime())) return text;
+
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, a, b, c, hours = '0', minutes = '0', seconds = '0', fraction] = match;
+  let year;
+  let month;
+  let day;
+  if (dateFormat === 'DMY') [day, month, year] = [a, b, c];
+  else if (dateFormat === 'MDY') [month, day, year] = [a, b, c];
+  else [year, month, day] = [a, b, c];
+
+  year = Number(year) < 100 ? 2000 + Number(year) : Number(year);
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+
+  const iso = `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fraction ? `.${fraction.slice(0, 3)}` : ''}`;
+  return isNaN(new Date(iso).getTime()) ? null : iso;
+};
+
+const parseDirection = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (/^(buy|long|b)\b/.test(text)) return 'Long';
+  if (/^(sell|short|s)\b/.test(text)) return 'Short';
+  return null;
+};
+
+// Whether a fill closes a position, from its status or execution type
+// ("CLOSED", "Partially closed", "Opened"); null when neither says
+const parseClosing = (...values) => {
+  const text = values.join(' ').toLowerCase();
+  if (/clos/.test(text)) return true;
+  if (/open/.test(text)) return false;
+  return null;
+};
+
+// --- Mapping rows to fills ---
+
+// Turn parsed rows into fills. Rows describing a whole round trip (close time
+// mapped) become an opening and a closing fill so positions can be rebuilt.
+// Returns the fills, every rejected row with its file line and a reason, and
+// the account currency when a currency column is mapped.
+export const mapRows = (rows, headers, { columns, decimalSeparator, dateFormat, negateFee }) => {
+  const indexes = resolveColumns(columns, headers);
+  const lastMapped = Math.max(-1, ...Object.values(indexes));
+  const trades = [];
+  const rejected = [];
+
+  rows.forEach(({ line, values }) => {
+    const get = (field) => (indexes[field] === undefined ? '' : values[indexes[field]] || '');
+    const number = (field) => parseNumber(get(field), decimalSeparator);
+    const reject = (reason) => rejected.push({ line, reason, values });
+
+    // A short row usually means a broken line or an unescaped quote upstream
+    if (values.length <= lastMapped) {
+      return reject(`Row has ${values.length} columns, the header has ${headers.length}`);
+    }
+
+    const id = get('id');
+    const quantity = number('quantity');
+    const price = number('price');
+    const timestamp = parseDate(get('timestamp'), dateFormat);
+
+    if (!id) return reject('Missing Trade Id');
+    if (!get('instrument')) return reject('Missing instrument');
+    if (isNaN(quantity) || quantity === 0) return reject(`Invalid quantity "${get('quantity')}"`);
+    if (isNaN(price)) return reject(`Invalid price "${get('price')}"`);
+    if (!timestamp) return reject(`Invalid time "${get('timestamp')}"`);
+
+    let direction = quantity > 0 ? 'Long' : 'Short';
+    if (indexes.direction !== undefined) {
+      direction = parseDirection(get('direction'));
+      if (!direction) return reject(`Unknown direction "${get('direction')}"`);
+    }
+
+    const pnl = number('pnl') || 0;
+    const fee = (number('fee') || 0) * (negateFee ? -1 : 1);
+    const swap = number('swap') || 0;
+    const fill = {
+      id,
+      instrument: get('instrument'),
+      direction,
+      quantity: Math.abs(quantity),
+      price,
+      takeProfit: number('takeProfit') || 0,
+      stopLoss: number('stopLoss') || 0,
+      pnl,
+      fee,
+      swap,
+      netPnl: pnl - fee + swap,
+      timestamp,
+      timestampDate: new Date(timestamp),
+      executionType: get('executionType'),
+      status: get('status'),
+      closing: parseClosing(get('status'), get('executionType'))
+    };
+
+    const exitTimestamp = indexes.exitTimestamp !== undefined ? parseDate(get('exitTimestamp'), dateFormat) : null;
+    if (!exitTimestamp) {
+      trades.push(fill);
+      return;
+    }
+
+    const exitPrice = number('exitPrice');
+    if (isNaN(exitPrice)) return reject(`Invalid close price "${get('exitPrice')}"`);
+
+    trades.push(
+      { ...fill, id: `${id}:open`, pnl: 0, fee: 0, swap: 0, netPnl: 0, closing: false },
+      {
+        ...fill,
+        id: `${id}:close`,
+        closing: true,
+        direction: direction === 'Long' ? 'Short' : 'Long',
+        price: exitPrice,
+        timestamp: exitTimestamp,
+        timestampDate: new Date(exitTimestamp)
+      }
+    );
+  });
+
+  const currency = indexes.currency !== undefined
+    ? detectCurrency(rows.map(row => row.values[indexes.currency]))
+    : null;
+  return { trades, rejected, currency };
+};
+
+// --- Wizard state ---
+
+// Date format of the mapped time columns
+const detectSettingsDateFormat = (columns, headers, rows) => {
+  const indexes = resolveColumns(columns, headers);
+  const samples = ['timestamp', 'exitTimestamp']
+    .filter(field => indexes[field] !== undefined)
+    .flatMap(field => rows.map(row => row.values[indexes[field]]).filter(Boolean));
+  return detectDateFormat(samples);
+};
+
+// Everything the wizard needs for a file: the detected formats plus the
+// columns of the best matching profile (or a guess from common header names)
+export const detectImportSettings = ({ headers, rows }, profiles) => {
+  const profile = detectProfile(headers, profiles);
+  const columns = profile ? columnsForHeaders(profile.columns, headers) : autoMapColumns(headers);
+  return {
+    decimalSeparator: detectDecimalSeparator(rows),
+    profileId: profile ? profile.id : '',
+    columns,
+    negateFee: profile ? profile.negateFee : false,
+    dateFormat: detectSettingsDateFormat(columns, headers, rows) || (profile && profile.dateFormat) || 'YMD'
+  };
+};
+
+// Switch the wizard to another profile, keeping the detected formats
+export const applyProfile = (settings, profile, headers, rows) => {
+  const columns = columnsForHeaders(profile.columns, headers);
+  return {
+    ...settings,
+    profileId: profile.id,
+    columns,
+    negateFee: profile.negateFee,
+    dateFormat: detectSettingsDateFormat(columns, headers, rows) || profile.dateFormat
+  };
+};
+
+export const createImportProfile = (name, { columns, dateFormat, negateFee }) => ({
+  id: `profile-${Date.now().toString(36)}`,
+  name,
+  builtIn: false,
+  columns,
+  dateFormat,
+  negateFee
+});
+
+// CSV listing every rejected row: its file line, the reason and the original values
+export const createValidationReport = (rejected, headers) => [
+  toCSVLine(['Line', 'Reason', ...headers]),
+  ...[...rejected]
+    .sort((a, b) => a.line - b.line)
+    .map(row => toCSVLine([row.line, row.reason, ...(row.values || [])]))
+].join('\n');
@@ -0,0 +1,331 @@
+// Dashboard metrics for a set of trades or positions. Pure so it can be run
+// for any slice of the data (filtered view, per account, ...).
+import { tradeReturn, toTime, toDateKey, recordKey } from './equity';
+import { findDrawdownEpisodes } from './risk';
+
+// Add a trade's P&L to each group it belongs to on a chart data point
+const addToGroups = (point, trade, grouping) => {
+  if (!grouping) return;
+  grouping.of(trade).forEach(key => {
+    point.groups[key] = (point.groups[key] || 0) + trade.netPnl;
+  });
+};
+
+// Summary row for a slice of trades (used for per-group breakdowns)
+export const summarize = (trades) => {
+  const winners = trades.filter(t => t.netPnl > 0);
+  const losers = trades.filter(t => t.netPnl < 0);
+  const grossProfit = winners.reduce((sum, t) => sum + t.netPnl, 0);
+  const grossLoss = Math.abs(losers.reduce((sum, t) => sum + t.netPnl, 0));
+  const pnl = trades.reduce((sum, t) => sum + t.netPnl, 0);
+
+  return {
+    trades: trades.length,
+    winners: winners.length,
+    losers: losers.length,
+    pnl,
+    winRate: trades.length > 0 ? (winners.length / trades.length) * 100 : 0,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? 999 : 0,
+    expectancy: trades.length > 0 ? pnl / trades.length : 0
+  };
+};
+
+// Optional grouping splits P&L per group (e.g. per account) in the
+// equity curve and breakdown charts: { keys: [{ key, label, color }], of: trade => [keys] }
+export const computeMetrics = (trades, { equityBefore, balanceKnown, grouping = null }) => {
+  if (trades.length === 0) return null;
+
+  const totalPnl = trades.reduce((sum, t) => sum + t.netPnl, 0);
+  const totalFees = trades.reduce((sum, t) => sum + t.fee, 0);
+  const winners = trades.filter(t => t.netPnl > 0);
+  const losers = trades.filter(t => t.netPnl < 0);
+
+  const winRate = (winners.length / trades.length) * 100;
+  const lossRate = (losers.length / trades.length) * 100;
+  const avgWin = winners.length > 0 ? winners.reduce((sum, t) => sum + t.netPnl, 0) / winners.length : 0;
+  const avgLoss = losers.length > 0 ? Math.abs(losers.reduce((sum, t) => sum + t.netPnl, 0) / losers.length) : 0;
+
+  const grossProfit = winners.reduce((sum, t) => sum + t.netPnl, 0);
+  const grossLoss = Math.abs(losers.reduce((sum, t) => sum + t.netPnl, 0));
+  const profitFactor = grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? 999 : 0;
+
+  const riskReward = avgLoss > 0 ? avgWin / avgLoss : avgWin > 0 ? 999 : 0;
+
+  // Expectancy: Expected value per trade
+  const expectancy = (avgWin * (winRate / 100)) - (avgLoss * (lossRate / 100));
+  
+  // Equity curve
+  const sortedTrades = [...trades].sort((a, b) => 
+    new Date(a.timestamp) - new Date(b.timestamp)
+  );
+  
+  let runningTotal = 0;
+  // Cumulative fees and swap, negative while they cost money
+  let costDrag = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  // Time-weighted return index: each trade compounds by its return on the
+  // equity it was taken with, so deposits and withdrawals don't count as performance
+  let returnIndex = 1;
+  let peakIndex = 1;
+
+  const groupTotals = {};
+  grouping?.keys.forEach(g => { groupTotals[g.key] = 0; });
+
+  // Trade-by-trade points for drawdown episodes, starting from before the first trade
+  const curvePoints = [{ date: sortedTrades[0].timestamp, value: balanceKnown ? 1 : 0 }];
+
+  const equityCurve = sortedTrades.map(trade => {
+    runningTotal += trade.netPnl;
+    costDrag += trade.swap - trade.fee;
+    grouping?.of(trade).forEach(key => { groupTotals[key] += trade.netPnl; });
+    returnIndex *= 1 + tradeReturn(trade, equityBefore);
+
+    // Calculate drawdown
+    if (runningTotal > peak) {
+      peak = runningTotal;
+    }
+    if (returnIndex > peakIndex) {
+      peakIndex = returnIndex;
+    }
+    curvePoints.push({ date: trade.timestamp, value: balanceKnown ? returnIndex : runningTotal });
+    const drawdown = peak - runningTotal;
+    const drawdownPercent = balanceKnown
+      ? (1 - returnIndex / peakIndex) * 100
+      : peak > 0 ? (drawdown / peak) * 100 : 0;
+
+    if (balanceKnown) {
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+      maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+    } else if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercent = drawdownPercent;
+    }
+
+    return {
+      date: new Date(trade.timestamp).toLocaleDateString(),
+      timestamp: trade.timestamp,
+      equity: runningTotal,
+      balance: balanceKnown ? equityBefore.get(recordKey(trade)) + trade.netPnl : null,
+      pnl: trade.netPnl,
+      drawdown: drawdown,
+      drawdownPercent,
+      costDrag,
+      groups: { ...groupTotals }
+    };
+  });
+
+  const timeWeightedReturn = (returnIndex - 1) * 100;
+
+  // Drawdown episodes, deepest first. Point i of the curve is after trade i - 1,
+  // so an episode involves the trades from its start up to its recovery.
+  const drawdownEpisodes = findDrawdownEpisodes(curvePoints, { relative: balanceKnown }).map(episode => {
+    const end = episode.recoveryIndex ?? sortedTrades.length;
+    const toTrough = sortedTrades.slice(episode.startIndex, episode.troughIndex);
+    return {
+      start: episode.start,
+      trough: episode.trough,
+      recovery: episode.recovery,
+      depth: -toTrough.reduce((sum, t) => sum + t.netPnl, 0),
+      depthPercent: episode.depthPercent,
+      durationMs: toTime(episode.recovery || sortedTrades[sortedTrades.length - 1].timestamp) - toTime(episode.start),
+      trades: end - episode.startIndex,
+      lastTrade: sortedTrades[end - 1].timestamp
+    };
+  });
+
+  // Recovery Factor: Total Profit / Max Drawdown, or return % / drawdown % when the balance is known
+  const recoveryFactor = balanceKnown
+    ? maxDrawdownPercent > 0 ? timeWeightedReturn / maxDrawdownPercent : timeWeightedReturn > 0 ? 999 : 0
+    : maxDrawdown > 0 ? totalPnl / maxDrawdown : totalPnl > 0 ? 999 : 0;
+
+  // Monthly Performance
+  const monthStats = {};
+  sortedTrades.forEach(trade => {
+    const date = new Date(trade.timestamp);
+    const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    if (!monthStats[monthKey]) {
+      monthStats[monthKey] = { month: monthKey, pnl: 0, trades: 0, winners: 0, losers: 0, growth: 1, groups: {} };
+    }
+    monthStats[monthKey].pnl += trade.netPnl;
+    addToGroups(monthStats[monthKey], trade, grouping);
+    monthStats[monthKey].growth *= 1 + tradeReturn(trade, equityBefore);
+    monthStats[monthKey].trades += 1;
+    if (trade.netPnl > 0) monthStats[monthKey].winners += 1;
+    else if (trade.netPnl < 0) monthStats[monthKey].losers += 1;
+  });
+
+  const monthlyPerformance = Object.values(monthStats).map(({ growth, ...m }) => ({
+    ...m,
+    winRate: m.trades > 0 ? (m.winners / m.trades) * 100 : 0,
+    returnPct: balanceKnown ? (growth - 1) * 100 : null
+  }));
+
+  // Trades by Date (daily timeline)
+  const dateStats = {};
+  sortedTrades.forEach(trade => {
+    const dateKey = toDateKey(trade.timestamp); // local YYYY-MM-DD
+    if (!dateStats[dateKey]) {
+      dateStats[dateKey] = { date: dateKey, trades: 0, pnl: 0, winners: 0, losers: 0, best: trade.netPnl, worst: trade.netPnl };
+    }
+    const day = dateStats[dateKey];
+    day.trades += 1;
+    day.pnl += trade.netPnl;
+    if (trade.netPnl > 0) day.winners += 1;
+    if (trade.netPnl < 0) day.losers += 1;
+    day.best = Math.max(day.best, trade.netPnl);
+    day.worst = Math.min(day.worst, trade.netPnl);
+  });
+
+  const tradesByDate = Object.values(dateStats).sort((a, b) =>
+    a.date.localeCompare(b.date)
+  ).map(d => ({
+    ...d,
+    dateFormatted: new Date(toTime(d.date)).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  }));
+
+  // Performance by day of week
+  const dayStats = {};
+  trades.forEach(trade => {
+    const day = new Date(trade.timestamp).toLocaleDateString('en-US', { weekday: 'short' });
+    if (!dayStats[day]) {
+      dayStats[day] = { day, pnl: 0, trades: 0, groups: {} };
+    }
+    dayStats[day].pnl += trade.netPnl;
+    addToGroups(dayStats[day], trade, grouping);
+    dayStats[day].trades += 1;
+  });
+  
+  const dayOrder = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const dayPerformance = dayOrder
+    .map(day => dayStats[day])
+    .filter(Boolean);
+  
+  // Performance by hour
+  const hourStats = {};
+  trades.forEach(trade => {
+    const hour = new Date(trade.timestamp).getHours();
+    if (!hourStats[hour]) {
+      hourStats[hour] = { hour: `${hour}:00`, pnl: 0, trades: 0, groups: {} };
+    }
+    hourStats[hour].pnl += trade.netPnl;
+    addToGroups(hourStats[hour], trade, grouping);
+    hourStats[hour].trades += 1;
+  });
+  
+  const hourPerformance = Object.values(hourStats).sort((a, b) => 
+    parseInt(a.hour) - parseInt(b.hour)
+  );
+
+  // P&L by weekday (Mon first) and hour, for the heatmap
+  const hourWeekdayGrid = dayOrder.map(day => ({
+    day,
+    hours: Array.from({ length: 24 }, (_, hour) => ({ hour, pnl: 0, trades: 0, winners: 0 }))
+  }));
+  trades.forEach(trade => {
+    const date = new Date(trade.timestamp);
+    const cell = hourWeekdayGrid[(date.getDay() + 6) % 7].hours[date.getHours()];
+    cell.pnl += trade.netPnl;
+    cell.trades += 1;
+    if (trade.netPnl > 0) cell.winners += 1;
+  });
+  
+  // Long vs Short
+  const longs = trades.filter(t => t.direction === 'Long');
+  const shorts = trades.filter(t => t.direction === 'Short');
+  
+  const longPnl = longs.reduce((sum, t) => sum + t.netPnl, 0);
+  const shortPnl = shorts.reduce((sum, t) => sum + t.netPnl, 0);
+  
+  const directionStats = [
+    { name: 'Long', pnl: longPnl, trades: longs.length, winRate: longs.length > 0 ? (longs.filter(t => t.netPnl > 0).length / longs.length) * 100 : 0 },
+    { name: 'Short', pnl: shortPnl, trades: shorts.length, winRate: shorts.length > 0 ? (shorts.filter(t => t.netPnl > 0).length / shorts.length) * 100 : 0 }
+  ];
+  
+  // Best and worst trades
+  const sortedByPnl = [...trades].sort((a, b) => b.netPnl - a.netPnl);
+  const bestTrades = sortedByPnl.slice(0, 5);
+  const worstTrades = sortedByPnl.slice(-5).reverse();
+  
+  // Consecutive streaks
+  let currentStreak = 0;
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  
+  sortedTrades.forEach(trade => {
+    if (trade.netPnl > 0) {
+      currentStreak = currentStreak > 0 ? currentStreak + 1 : 1;
+      maxWinStreak = Math.max(maxWinStreak, currentStreak);
+    } else {
+      currentStreak = currentStreak < 0 ? currentStreak - 1 : -1;
+      maxLossStreak = Math.max(maxLossStreak, Math.abs(currentStreak));
+    }
+  });
+
+  // Instrument breakdown with win rates
+  const instrumentStats = {};
+  trades.forEach(trade => {
+    if (!instrumentStats[trade.instrument]) {
+      instrumentStats[trade.instrument] = {
+        name: trade.instrument,
+        pnl: 0,
+        trades: 0,
+        winners: 0,
+        losers: 0
+      };
+    }
+    instrumentStats[trade.instrument].pnl += trade.netPnl;
+    instrumentStats[trade.instrument].trades += 1;
+    if (trade.netPnl > 0) instrumentStats[trade.instrument].winners += 1;
+    else if (trade.netPnl < 0) instrumentStats[trade.instrument].losers += 1;
+  });
+
+  const instruments = Object.values(instrumentStats).map(inst => ({
+    ...inst,
+    winRate: inst.trades > 0 ? (inst.winners / inst.trades) * 100 : 0
+  }));
+
+  // Per-group breakdown
+  const groupStats = grouping
+    ? grouping.keys.map(g => ({
+      ...g,
+      ...summarize(trades.filter(t => grouping.of(t).includes(g.key)))
+    })).filter(g => g.trades > 0)
+    : [];
+
+  return {
+    totalPnl,
+    totalFees,
+    winRate,
+    avgWin,
+    avgLoss,
+    profitFactor,
+    riskReward,
+    expectancy,
+    maxDrawdown,
+    maxDrawdownPercent,
+    drawdownEpisodes,
+    recoveryFactor,
+    timeWeightedReturn,
+    totalTrades: trades.length,
+    winners: winners.length,
+    losers: losers.length,
+    grossProfit,
+    grossLoss,
+    equityCurve,
+    monthlyPerformance,
+    dayPerformance,
+    hourPerformance,
+    hourWeekdayGrid,
+    tradesByDate,
+    directionStats,
+    bestTrades,
+    worstTrades,
+    maxWinStreak,
+    maxLossStreak,
+    instruments,
+    groupStats
+  };
+};
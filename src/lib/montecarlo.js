@@ -0,0 +1,159 @@
+// Monte Carlo simulation of future equity paths from the P&L of past trades.
+// Paths either bootstrap (draw trades with replacement) or reshuffle the
+// series, so the outcome only depends on the trade distribution we have.
+
+export const SIMULATION_METHODS = [
+  { value: 'bootstrap', label: 'Bootstrap (resample with replacement)' },
+  { value: 'shuffle', label: 'Reshuffle (same trades, random order)' }
+];
+
+export const DEFAULT_SIMULATION_SETTINGS = {
+  method: 'bootstrap',
+  simulations: 5000,
+  horizon: 0,         // trades per path; 0 uses the number of historical trades
+  ruinPercent: 50,    // % of starting equity lost, when a balance is known
+  ruinAmount: ''      // loss in money otherwise; empty uses twice the historical max drawdown
+};
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Equity bands are sampled at no more than this many steps along the path
+const MAX_BAND_POINTS = 120;
+const DRAWDOWN_BINS = 20;
+
+// Small seedable generator so a run can be repeated exactly
+const mulberry32 = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Linear interpolation between the closest ranks of a sorted array
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+// Fisher-Yates shuffle into `target`
+const shuffleInto = (source, target, random) => {
+  target.set(source);
+  for (let i = target.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = target[i];
+    target[i] = target[j];
+    target[j] = swap;
+  }
+};
+
+const histogramOf = (values, bins) => {
+  const max = values.length > 0 ? values[values.length - 1] : 0;
+  const width = max > 0 ? max / bins : 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: i * width, to: (i + 1) * width, paths: 0 }));
+  values.forEach(value => {
+    histogram[Math.min(Math.floor(value / width), bins - 1)].paths += 1;
+  });
+  return histogram;
+};
+
+// pnls: net P&L per trade in chronological order. startingEquity is the
+// current account equity (0 when no balance is known, then everything is in money).
+// ruinLoss is the loss from the starting equity that counts as ruin.
+export const runSimulation = (pnls, { method, simulations, horizon, startingEquity, ruinLoss, seed = 1 }, onProgress) => {
+  const n = pnls.length;
+  if (n === 0) return null;
+
+  const random = mulberry32(seed);
+  const source = Float64Array.from(pnls);
+  const steps = method === 'shuffle' ? n : horizon || n;
+  const stride = Math.max(1, Math.ceil(steps / MAX_BAND_POINTS));
+  const bandSteps = [];
+  for (let step = 0; step < steps; step += stride) bandSteps.push(step);
+  bandSteps.push(steps);
+
+  const bandValues = bandSteps.map(() => new Float64Array(simulations));
+  const finalEquity = new Float64Array(simulations);
+  const maxDrawdowns = new Float64Array(simulations);
+  const maxDrawdownPercents = new Float64Array(simulations);
+  const winRates = new Float64Array(simulations);
+  const expectancies = new Float64Array(simulations);
+  const path = new Float64Array(n);
+  const ruinLevel = startingEquity - ruinLoss;
+  let ruined = 0;
+
+  for (let sim = 0; sim < simulations; sim++) {
+    if (method === 'shuffle') shuffleInto(source, path, random);
+
+    let equity = startingEquity;
+    let peak = equity;
+    let maxDrawdown = 0;
+    let maxDrawdownPercent = 0;
+    let hitRuin = false;
+    let band = 1;
+    bandValues[0][sim] = equity;
+
+    for (let step = 1; step <= steps; step++) {
+      equity += method === 'shuffle' ? path[step - 1] : source[Math.floor(random() * n)];
+      if (equity > peak) peak = equity;
+      const drawdown = peak - equity;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+      if (peak > 0 && startingEquity > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, (drawdown / peak) * 100);
+      if (equity <= ruinLevel) hitRuin = true;
+      if (step === bandSteps[band]) bandValues[band++][sim] = equity;
+    }
+
+    // Confidence intervals come from a same-size bootstrap of the trades,
+    // since a reshuffled path always has the historical win rate
+    let wins = 0;
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+      const pnl = source[Math.floor(random() * n)];
+      if (pnl > 0) wins++;
+      total += pnl;
+    }
+
+    finalEquity[sim] = equity;
+    maxDrawdowns[sim] = maxDrawdown;
+    maxDrawdownPercents[sim] = maxDrawdownPercent;
+    winRates[sim] = (wins / n) * 100;
+    expectancies[sim] = total / n;
+    if (hitRuin) ruined++;
+
+    if (onProgress && (sim + 1) % 250 === 0) onProgress((sim + 1) / simulations);
+  }
+
+  const bands = bandSteps.map((step, i) => {
+    const sorted = bandValues[i].sort();
+    const point = { trade: step };
+    PERCENTILES.forEach(p => { point[`p${p}`] = percentile(sorted, p); });
+    return point;
+  });
+
+  const drawdowns = maxDrawdowns.sort();
+  const drawdownPercents = maxDrawdownPercents.sort();
+  const finals = finalEquity.sort();
+  const interval = (sorted) => ({ low: percentile(sorted, 2.5), high: percentile(sorted, 97.5) });
+
+  return {
+    simulations,
+    steps,
+    startingEquity,
+    bands,
+    ruinProbability: (ruined / simulations) * 100,
+    finalEquity: { p5: percentile(finals, 5), p50: percentile(finals, 50), p95: percentile(finals, 95) },
+    maxDrawdown: {
+      mean: drawdowns.reduce((sum, v) => sum + v, 0) / simulations,
+      p50: percentile(drawdowns, 50),
+      p95: percentile(drawdowns, 95),
+      p99: percentile(drawdowns, 99),
+      p50Percent: startingEquity > 0 ? percentile(drawdownPercents, 50) : null,
+      p95Percent: startingEquity > 0 ? percentile(drawdownPercents, 95) : null,
+      histogram: histogramOf(drawdowns, DRAWDOWN_BINS)
+    },
+    winRate: interval(winRates.sort()),
+    expectancy: interval(expectancies.sort())
+  };
+};
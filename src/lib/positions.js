@@ -0,0 +1,182 @@
+// Position reconstruction. Capital.com exports one row per execution (fill);
+// this pairs opening and closing fills per instrument with FIFO matching so a
+// full round trip (flat -> open -> flat) becomes a single position.
+
+// Tolerance for fractional quantities (e.g. 0.1 + 0.2 lots)
+const EPSILON = 1e-8;
+
+const toTime = (timestamp) => new Date(timestamp).getTime();
+
+// Fills marked as opening or closing on import say so; older fills and files
+// without a status column fall back to whether the fill realised any P&L
+const isClosingFill = (fill) => fill.closing ?? fill.pnl !== 0;
+
+const startPosition = (fill) => ({
+  id: fill.id,
+  instrument: fill.instrument,
+  direction: fill.direction,
+  entryTimestamp: fill.timestamp,
+  exitTimestamp: null,
+  entryQuantity: 0,
+  entryNotional: 0,
+  exitQuantity: 0,
+  exitNotional: 0,
+  pnl: 0,
+  fee: 0,
+  swap: 0,
+  stopLoss: fill.stopLoss,
+  takeProfit: fill.takeProfit,
+  fillIds: [],
+  legs: [],
+  incomplete: false
+});
+
+const addEntry = (position, fill, quantity, share) => {
+  position.entryQuantity += quantity;
+  position.entryNotional += quantity * fill.price;
+  position.fee += fill.fee * share;
+  position.swap += fill.swap * share;
+  if (!position.fillIds.includes(fill.id)) position.fillIds.push(fill.id);
+};
+
+// Shape a finished position so it can be used anywhere a fill is used
+const finalizePosition = (position, lastFill) => {
+  const entryPrice = position.entryQuantity > 0 ? position.entryNotional / position.entryQuantity : null;
+  const exitPrice = position.exitQuantity > 0 ? position.exitNotional / position.exitQuantity : null;
+  const holdingMs = position.entryTimestamp && position.exitTimestamp
+    ? toTime(position.exitTimestamp) - toTime(position.entryTimestamp)
+    : null;
+
+  return {
+    id: position.id,
+    accountId: lastFill.accountId,
+    instrument: position.instrument,
+    direction: position.direction,
+    quantity: Math.max(position.entryQuantity, position.exitQuantity),
+    price: entryPrice ?? exitPrice,
+    entryPrice,
+    exitPrice,
+    entryTimestamp: position.entryTimestamp,
+    exitTimestamp: position.exitTimestamp,
+    timestamp: position.exitTimestamp ?? position.entryTimestamp,
+    holdingMs,
+    takeProfit: position.takeProfit,
+    stopLoss: position.stopLoss,
+    pnl: position.pnl,
+    fee: position.fee,
+    swap: position.swap,
+    netPnl: position.pnl - position.fee + position.swap,
+    executionType: lastFill.executionType,
+    status: lastFill.status,
+    fillIds: position.fillIds,
+    legs: position.legs,
+    incomplete: position.incomplete
+  };
+};
+
+// Match fills into positions.
+// Returns closed round trips plus any positions still open at the end of the data.
+export const buildPositions = (fills) => {
+  const sorted = [...fills].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+  const books = {};
+  const closed = [];
+
+  sorted.forEach(fill => {
+    if (!books[fill.instrument]) {
+      books[fill.instrument] = { position: null, lots: [] };
+    }
+    const book = books[fill.instrument];
+
+    // Flat or same direction: scale in, unless this is the close of a
+    // position opened before the first row of the export
+    if (!book.position || book.position.direction === fill.direction) {
+      if (!book.position && isClosingFill(fill)) {
+        const orphan = startPosition(fill);
+        orphan.direction = fill.direction === 'Long' ? 'Short' : 'Long';
+        orphan.entryTimestamp = null;
+        orphan.exitTimestamp = fill.timestamp;
+        orphan.exitQuantity = fill.quantity;
+        orphan.exitNotional = fill.quantity * fill.price;
+        orphan.pnl = fill.pnl;
+        orphan.fee = fill.fee;
+        orphan.swap = fill.swap;
+        orphan.fillIds.push(fill.id);
+        orphan.incomplete = true;
+        closed.push(finalizePosition(orphan, fill));
+        return;
+      }
+
+      if (!book.position) book.position = startPosition(fill);
+      addEntry(book.position, fill, fill.quantity, 1);
+      book.position.pnl += fill.pnl;
+      book.lots.push({ fill, remaining: fill.quantity });
+      return;
+    }
+
+    // Opposite direction: close open lots first in, first out
+    const position = book.position;
+    let remaining = fill.quantity;
+
+    while (remaining > EPSILON && book.lots.length > 0) {
+      const lot = book.lots[0];
+      const matched = Math.min(lot.remaining, remaining);
+
+      position.legs.push({
+        openId: lot.fill.id,
+        closeId: fill.id,
+        quantity: matched,
+        entryPrice: lot.fill.price,
+        exitPrice: fill.price,
+        stopLoss: lot.fill.stopLoss,
+        entryTimestamp: lot.fill.timestamp,
+        exitTimestamp: fill.timestamp
+      });
+
+      lot.remaining -= matched;
+      remaining -= matched;
+      if (lot.remaining <= EPSILON) book.lots.shift();
+    }
+
+    const closedQuantity = fill.quantity - Math.max(remaining, 0);
+    const closedShare = closedQuantity / fill.quantity;
+
+    // Realized P&L always belongs to the position being closed
+    position.exitQuantity += closedQuantity;
+    position.exitNotional += closedQuantity * fill.price;
+    position.exitTimestamp = fill.timestamp;
+    position.pnl += fill.pnl;
+    position.fee += fill.fee * closedShare;
+    position.swap += fill.swap * closedShare;
+    if (!position.fillIds.includes(fill.id)) position.fillIds.push(fill.id);
+
+    if (book.lots.length === 0) {
+      closed.push(finalizePosition(position, fill));
+      book.position = null;
+
+      // Whatever is left over flips the position to the other side
+      if (remaining > EPSILON) {
+        const flipped = startPosition(fill);
+        addEntry(flipped, fill, remaining, 1 - closedShare);
+        book.position = flipped;
+        book.lots.push({ fill, remaining });
+      }
+    }
+  });
+
+  const open = Object.values(books)
+    .filter(book => book.position)
+    .map(book => finalizePosition(book.position, book.lots[book.lots.length - 1].fill));
+
+  return { closed, open };
+};
+
+// Human readable holding time, e.g. "45m", "3h 12m", "2d 4h"
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined || isNaN(ms)) return '—';
+  const totalMinutes = Math.floor(ms / (1000 * 60));
+  if (totalMinutes < 1) return `${Math.floor(ms / 1000)}s`;
+  if (totalMinutes < 60) return `${totalMinutes}m`;
+  const hours = Math.floor(totalMinutes / 60);
+  if (hours < 24) return `${hours}h ${totalMinutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
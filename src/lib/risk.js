@@ -0,0 +1,171 @@
+// Risk-adjusted performance from a daily series: Sharpe, Sortino and Calmar
+// ratios, volatility of daily P&L, ulcer index and drawdown durations.
+// With a known balance everything is based on daily returns; without one the
+// same ratios are computed on daily P&L in money and the risk-free rate is ignored.
+import { toTime, toDateKey, recordKey } from './equity';
+
+export const ANNUALISATION_BASES = [
+  { value: 252, label: '252 trading days' },
+  { value: 365, label: '365 calendar days' }
+];
+
+export const DEFAULT_RISK_SETTINGS = { riskFreeRate: 0, periodsPerYear: 252 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const stdev = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+};
+
+const daysBetween = (from, to) => Math.round((toTime(to) - toTime(from)) / DAY_MS);
+
+// One entry per day from the first to the last trade. Days without trades are
+// included with zero P&L: weekends only on a 365-day basis (or when traded).
+export const buildDailySeries = (trades, { equityBefore, balanceKnown, periodsPerYear }) => {
+  const byDay = new Map();
+  [...trades]
+    .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp))
+    .forEach(trade => {
+      const key = toDateKey(trade.timestamp);
+      if (!byDay.has(key)) {
+        byDay.set(key, { pnl: 0, trades: 0, startEquity: balanceKnown ? equityBefore.get(recordKey(trade)) : null });
+      }
+      const day = byDay.get(key);
+      day.pnl += trade.netPnl;
+      day.trades += 1;
+    });
+
+  const keys = Array.from(byDay.keys());
+  if (keys.length === 0) return [];
+
+  const series = [];
+  const last = new Date(toTime(keys[keys.length - 1]));
+  for (const date = new Date(toTime(keys[0])); date <= last; date.setDate(date.getDate() + 1)) {
+    const key = toDateKey(date);
+    const day = byDay.get(key);
+    const weekend = date.getDay() === 0 || date.getDay() === 6;
+    if (!day && weekend && periodsPerYear !== 365) continue;
+
+    series.push({
+      date: key,
+      pnl: day ? day.pnl : 0,
+      trades: day ? day.trades : 0,
+      return: day && balanceKnown && day.startEquity > 0 ? day.pnl / day.startEquity : 0
+    });
+  }
+  return series;
+};
+
+// Peak-to-recovery drawdown episodes of a series of { date, value } points,
+// deepest first. `value` is cumulative P&L or a compounded return index.
+// Episodes also carry the indices of their start, trough and recovery points.
+export const findDrawdownEpisodes = (points, { relative }) => {
+  const episodes = [];
+  let peak = points.length > 0 ? points[0] : null;
+  let peakIndex = 0;
+  let current = null;
+
+  points.forEach((point, index) => {
+    if (point.value >= peak.value) {
+      if (current) {
+        current.recovery = point.date;
+        current.recoveryIndex = index;
+        episodes.push(current);
+        current = null;
+        peak = point;
+        peakIndex = index;
+      } else if (point.value > peak.value) {
+        peak = point;
+        peakIndex = index;
+      }
+      return;
+    }
+
+    const depth = peak.value - point.value;
+    const depthPercent = relative ? (depth / peak.value) * 100 : peak.value > 0 ? (depth / peak.value) * 100 : null;
+    if (!current) {
+      current = {
+        start: peak.date, trough: point.date, recovery: null, depth, depthPercent,
+        startIndex: peakIndex, troughIndex: index, recoveryIndex: null
+      };
+    } else if (depth > current.depth) {
+      current.trough = point.date;
+      current.troughIndex = index;
+      current.depth = depth;
+      current.depthPercent = depthPercent;
+    }
+  });
+  if (current) episodes.push(current);
+
+  const lastDate = points.length > 0 ? points[points.length - 1].date : null;
+  return episodes
+    .map(episode => ({
+      ...episode,
+      durationDays: daysBetween(episode.start, episode.recovery || lastDate),
+      recoveryDays: episode.recovery ? daysBetween(episode.trough, episode.recovery) : null
+    }))
+    .sort((a, b) => b.depth - a.depth);
+};
+
+export const computeRiskMetrics = (trades, { equityBefore, balanceKnown, riskFreeRate, periodsPerYear }) => {
+  const series = buildDailySeries(trades, { equityBefore, balanceKnown, periodsPerYear });
+  if (series.length === 0) return null;
+
+  const values = series.map(day => (balanceKnown ? day.return : day.pnl));
+  const riskFreeDaily = balanceKnown ? riskFreeRate / 100 / periodsPerYear : 0;
+  const excess = values.map(v => v - riskFreeDaily);
+  const annualise = Math.sqrt(periodsPerYear);
+
+  const volatility = stdev(excess);
+  const downside = Math.sqrt(mean(excess.map(v => Math.min(v, 0) ** 2)));
+  const sharpe = volatility > 0 ? (mean(excess) / volatility) * annualise : null;
+  const sortino = downside > 0 ? (mean(excess) / downside) * annualise : null;
+
+  // Compounded return index with a balance, cumulative P&L without
+  let level = balanceKnown ? 1 : 0;
+  const points = [{ date: series[0].date, value: level }];
+  series.forEach(day => {
+    level = balanceKnown ? level * (1 + day.return) : level + day.pnl;
+    points.push({ date: day.date, value: level });
+  });
+  const episodes = findDrawdownEpisodes(points, { relative: balanceKnown });
+  const deepest = episodes[0] || null;
+
+  // Ulcer index: root mean square of the drawdown from the running peak
+  let peak = points[0].value;
+  const squares = points.map(point => {
+    peak = Math.max(peak, point.value);
+    const drawdown = balanceKnown ? ((peak - point.value) / peak) * 100 : peak - point.value;
+    return drawdown ** 2;
+  });
+  const ulcerIndex = Math.sqrt(mean(squares));
+
+  // Calmar: annualised return over the maximum drawdown of the period
+  const annualReturn = balanceKnown
+    ? (level ** (periodsPerYear / series.length) - 1) * 100
+    : mean(values) * periodsPerYear;
+  const maxDrawdown = deepest ? (balanceKnown ? deepest.depthPercent : deepest.depth) : 0;
+  const calmar = maxDrawdown > 0 ? annualReturn / maxDrawdown : null;
+
+  const longest = episodes.reduce((max, e) => (!max || e.durationDays > max.durationDays ? e : max), null);
+
+  return {
+    basedOnReturns: balanceKnown,
+    days: series.length,
+    sharpe,
+    sortino,
+    calmar,
+    annualReturn,
+    dailyPnlStdev: stdev(series.map(day => day.pnl)),
+    ulcerIndex,
+    longestDrawdownDays: longest ? longest.durationDays : 0,
+    longestDrawdownRecovered: longest ? longest.recovery !== null : true,
+    timeToRecoveryDays: deepest ? deepest.recoveryDays : null,
+    maxDrawdownRecovered: deepest ? deepest.recovery !== null : true,
+    episodes
+  };
+};
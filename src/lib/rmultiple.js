@@ -0,0 +1,111 @@
+// R-multiples: P&L expressed in units of the initial risk, i.e. the distance
+// from entry to stop loss times size. Risk is taken from reconstructed
+// positions so both closing fills and whole positions can be measured.
+import { recordKey } from './equity';
+
+// Histogram bins in whole R, with open-ended bins at both ends
+const MIN_BIN = -3;
+const MAX_BIN = 4;
+
+const binLabel = (bin) => {
+  if (bin === MIN_BIN) return `< ${MIN_BIN + 1}R`;
+  if (bin === MAX_BIN) return `≥ ${MAX_BIN}R`;
+  return `${bin}R to ${bin + 1}R`;
+};
+
+const hasStop = (stopLoss) => Number.isFinite(stopLoss) && stopLoss > 0;
+
+// Money per point per unit of size, calibrated on the realized P&L of the
+// position's closed legs so contract sizes and currency conversion are
+// accounted for. Falls back to 1 when that cannot be worked out.
+const pointValue = (position, sign) => {
+  const move = position.legs.reduce((sum, leg) => sum + (leg.exitPrice - leg.entryPrice) * leg.quantity * sign, 0);
+  const value = move !== 0 ? position.pnl / move : 0;
+  return Number.isFinite(value) && value > 0 ? value : 1;
+};
+
+// Initial risk in money per record key: per closing fill, or per position when
+// `byFill` is false. Every opening leg needs a stop on the losing side of its
+// entry; records with a missing stop (or one already at break-even) get none.
+export const computeInitialRisk = (positions, { byFill }) => {
+  const risk = new Map();
+  const uncovered = new Set();
+
+  positions.forEach(position => {
+    if (position.incomplete || position.legs.length === 0) return;
+
+    const sign = position.direction === 'Long' ? 1 : -1;
+    const value = pointValue(position, sign);
+    let total = 0;
+    let covered = true;
+
+    position.legs.forEach(leg => {
+      const key = recordKey({ accountId: position.accountId, id: leg.closeId });
+      const distance = hasStop(leg.stopLoss) ? (leg.entryPrice - leg.stopLoss) * sign : 0;
+      if (distance <= 0) {
+        covered = false;
+        uncovered.add(key);
+        return;
+      }
+      const legRisk = distance * leg.quantity * value;
+      total += legRisk;
+      if (byFill) risk.set(key, (risk.get(key) || 0) + legRisk);
+    });
+
+    if (!byFill && covered) risk.set(recordKey(position), total);
+  });
+
+  if (byFill) uncovered.forEach(key => risk.delete(key));
+  return risk;
+};
+
+export const computeRMetrics = (records, initialRisk, { equityBefore, balanceKnown }) => {
+  if (records.length === 0) return null;
+
+  const measured = records
+    .filter(record => initialRisk.has(recordKey(record)))
+    .map(record => {
+      const risk = initialRisk.get(recordKey(record));
+      const equity = balanceKnown ? equityBefore.get(recordKey(record)) : null;
+      return {
+        record,
+        risk,
+        r: record.netPnl / risk,
+        riskPercent: equity > 0 ? (risk / equity) * 100 : null
+      };
+    });
+
+  const winners = measured.filter(m => m.r > 0);
+  const losers = measured.filter(m => m.r < 0);
+  const sum = (list, key) => list.reduce((total, m) => total + m[key], 0);
+  const average = (list, key) => (list.length > 0 ? sum(list, key) / list.length : 0);
+  const extreme = (list, key, pick) => list.reduce((best, m) => (best === null ? m[key] : pick(best, m[key])), null);
+
+  const histogram = [];
+  for (let bin = MIN_BIN; bin <= MAX_BIN; bin++) {
+    histogram.push({ label: binLabel(bin), bin, trades: 0, pnl: 0 });
+  }
+  measured.forEach(m => {
+    const bin = Math.min(Math.max(Math.floor(m.r), MIN_BIN), MAX_BIN);
+    histogram[bin - MIN_BIN].trades += 1;
+    histogram[bin - MIN_BIN].pnl += m.record.netPnl;
+  });
+
+  const withPercent = measured.filter(m => m.riskPercent !== null);
+
+  return {
+    measured: measured.length,
+    withoutStop: records.length - measured.length,
+    totalR: sum(measured, 'r'),
+    averageR: average(measured, 'r'),
+    avgWinR: average(winners, 'r'),
+    avgLossR: Math.abs(average(losers, 'r')),
+    winRate: measured.length > 0 ? (winners.length / measured.length) * 100 : 0,
+    bestR: extreme(measured, 'r', Math.max) ?? 0,
+    worstR: extreme(measured, 'r', Math.min) ?? 0,
+    avgRisk: average(measured, 'risk'),
+    avgRiskPercent: withPercent.length > 0 ? average(withPercent, 'riskPercent') : null,
+    maxRiskPercent: extreme(withPercent, 'riskPercent', Math.max),
+    histogram
+  };
+};
@@ -0,0 +1,55 @@
+// Market sessions. Each session keeps its hours in its own exchange's time
+// zone, so it follows that market's daylight saving time. Record timestamps
+// are wall-clock times in the display zone (see timezone.js).
+import { toInstant, zonedParts } from './timezone';
+import { summarize } from './metrics';
+
+export const SESSIONS = [
+  { key: 'asia', label: 'Asia', timeZone: 'Asia/Tokyo', open: 9, close: 18 },
+  { key: 'london', label: 'London', timeZone: 'Europe/London', open: 8, close: 17 },
+  { key: 'newYork', label: 'New York', timeZone: 'America/New_York', open: 8, close: 17 }
+];
+
+// Buckets in the order of the trading day; overlaps are their own bucket
+export const SESSION_BUCKETS = [
+  { key: 'asia', label: 'Asia', color: '#f59e0b' },
+  { key: 'asia+london', label: 'Asia / London overlap', color: '#f97316' },
+  { key: 'london', label: 'London', color: '#3b82f6' },
+  { key: 'london+newYork', label: 'London / New York overlap', color: '#8b5cf6' },
+  { key: 'newYork', label: 'New York', color: '#10b981' },
+  { key: 'off', label: 'Off-hours', color: '#64748b' }
+];
+
+const isOpen = (session, ms) => {
+  const { hour, weekday } = zonedParts(ms, session.timeZone);
+  return weekday >= 1 && weekday <= 5 && hour >= session.open && hour < session.close;
+};
+
+// Session bucket of a timestamp given in `displayTimeZone` wall-clock time
+export const sessionOf = (timestamp, displayTimeZone) => {
+  const ms = toInstant(timestamp, displayTimeZone);
+  const key = SESSIONS.filter(session => isOpen(session, ms)).map(session => session.key).join('+');
+  return SESSION_BUCKETS.some(bucket => bucket.key === key) ? key : 'off';
+};
+
+// Session hours as seen in the display zone on a given day, e.g. "09:00–18:00"
+export const describeSessionHours = (session, displayTimeZone, day = new Date()) => {
+  const at = (hour) => {
+    const local = toInstant(`${day.toISOString().slice(0, 10)}T${String(hour).padStart(2, '0')}:00:00`, session.timeZone);
+    const { hour: shown, minute } = zonedParts(local, displayTimeZone);
+    return `${String(shown).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  };
+  return `${at(session.open)}–${at(session.close)}`;
+};
+
+// Summary per session bucket, in SESSION_BUCKETS order, without empty buckets
+export const computeSessionStats = (records, displayTimeZone) => {
+  const byBucket = {};
+  records.forEach(record => {
+    const key = sessionOf(record.timestamp, displayTimeZone);
+    (byBucket[key] = byBucket[key] || []).push(record);
+  });
+  return SESSION_BUCKETS
+    .filter(bucket => byBucket[bucket.key])
+    .map(bucket => ({ ...bucket, ...summarize(byBucket[bucket.key]) }));
+};
@@ -0,0 +1,38 @@
+// Run a Monte Carlo simulation in a Web Worker so thousands of paths don't
+// freeze the page. Resolves to the result of runSimulation; aborting the
+// signal stops the worker and rejects with an AbortError.
+export const simulateInWorker = (pnls, options, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('../workers/montecarloWorker.js', import.meta.url), { type: 'module' });
+
+  const abort = () => {
+    worker.terminate();
+    reject(new DOMException('Simulation cancelled', 'AbortError'));
+  };
+  if (signal) {
+    if (signal.aborted) return abort();
+    signal.addEventListener('abort', abort, { once: true });
+  }
+  const finish = () => {
+    worker.terminate();
+    if (signal) signal.removeEventListener('abort', abort);
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      if (onProgress) onProgress(data.progress);
+      return;
+    }
+    finish();
+    if (data.type === 'done') {
+      resolve(data.result);
+    } else {
+      reject(new Error(data.message));
+    }
+  };
+  worker.onerror = (event) => {
+    finish();
+    reject(new Error(event.message || 'The simulation failed'));
+  };
+
+  worker.postMessage({ pnls, options });
+});
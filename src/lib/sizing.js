@@ -0,0 +1,97 @@
+// Position sizing and the stability of the edge over time. Notional exposure
+// (quantity × price) is only comparable within one instrument, so every trade
+// is measured against the median notional of its own instrument.
+import { summarize } from './metrics';
+import { toTime, recordKey } from './equity';
+
+export const DEFAULT_SIZING_SETTINGS = { oversizeMultiple: 3, rollingWindow: 20 };
+
+export const normalizeSizingSettings = (settings = {}) => ({
+  oversizeMultiple: settings.oversizeMultiple > 1 ? Number(settings.oversizeMultiple) : DEFAULT_SIZING_SETTINGS.oversizeMultiple,
+  rollingWindow: settings.rollingWindow >= 5 ? Math.round(settings.rollingWindow) : DEFAULT_SIZING_SETTINGS.rollingWindow
+});
+
+const SIZE_QUARTILES = ['Smallest 25%', 'Second 25%', 'Third 25%', 'Largest 25%'];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+const notionalOf = (record) => (record.quantity > 0 && record.price > 0 ? record.quantity * record.price : null);
+
+// Win rate, expectancy and profit factor over a sliding window of the last
+// `window` records. Profit factor is null while the window has no losses.
+export const computeRollingMetrics = (records, window) => {
+  const sorted = [...records].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+  const points = [];
+  for (let end = window; end <= sorted.length; end++) {
+    const stats = summarize(sorted.slice(end - window, end));
+    points.push({
+      index: end,
+      date: new Date(sorted[end - 1].timestamp).toLocaleDateString(),
+      winRate: stats.winRate,
+      expectancy: stats.expectancy,
+      profitFactor: stats.losers > 0 ? stats.profitFactor : null
+    });
+  }
+  return points;
+};
+
+// Notional of each record divided by the median notional of its instrument.
+// Records without a quantity or price have no entry.
+export const computeRelativeSizes = (records) => {
+  const sized = records.filter(r => notionalOf(r) !== null);
+  const notionalsByInstrument = {};
+  sized.forEach(r => {
+    (notionalsByInstrument[r.instrument] = notionalsByInstrument[r.instrument] || []).push(notionalOf(r));
+  });
+  const medians = Object.fromEntries(Object.entries(notionalsByInstrument).map(([name, values]) => [name, median(values)]));
+
+  return new Map(sized.map(r => [r, notionalOf(r) / medians[r.instrument]]));
+};
+
+export const computeSizingStats = (records, { oversizeMultiple, rollingWindow }) => {
+  const ratioOf = computeRelativeSizes(records);
+  const sized = [...ratioOf.keys()];
+  if (sized.length === 0) return null;
+
+  const isOversized = (r) => ratioOf.get(r) > oversizeMultiple;
+
+  const points = sized
+    .map(r => ({
+      key: recordKey(r),
+      time: toTime(r.timestamp),
+      instrument: r.instrument,
+      direction: r.direction,
+      quantity: r.quantity,
+      notional: notionalOf(r),
+      sizeRatio: ratioOf.get(r),
+      netPnl: r.netPnl,
+      oversized: isOversized(r)
+    }))
+    .sort((a, b) => a.time - b.time);
+
+  // Quartiles by relative size: do the larger trades do worse?
+  const bySize = [...sized].sort((a, b) => ratioOf.get(a) - ratioOf.get(b));
+  const quartiles = sized.length >= SIZE_QUARTILES.length
+    ? SIZE_QUARTILES.map((label, i) => {
+      const slice = bySize.slice(Math.floor((i * bySize.length) / 4), Math.floor(((i + 1) * bySize.length) / 4));
+      return { label, from: ratioOf.get(slice[0]), to: ratioOf.get(slice[slice.length - 1]), ...summarize(slice) };
+    })
+    : [];
+
+  const oversized = sized.filter(isOversized);
+
+  return {
+    sized: sized.length,
+    unsized: records.length - sized.length,
+    points,
+    // Relative size of each oversized record by its key, to flag it in the trade log
+    oversized: { sizes: new Map(oversized.map(r => [recordKey(r), ratioOf.get(r)])), ...summarize(oversized) },
+    normal: summarize(sized.filter(r => !isOversized(r))),
+    quartiles,
+    rolling: computeRollingMetrics(records, rollingWindow)
+  };
+};
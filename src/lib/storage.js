@@ -0,0 +1,376 @@
+// Persistence of the workspace in IndexedDB. Trades and journal entries are
+// stored one record per trade so a save only writes the rows that actually
+// changed; everything else about an account (import history, balance, leverage
+// table) is one small record. Journal screenshots are blobs in their own store
+// and only read when they are shown.
+import { DEFAULT_ACCOUNT } from './equity';
+import { normalizeLeverageTable } from './leverage';
+import { emptyAccountData } from './workspace';
+
+const DB_NAME = 'trading-analytics';
+
+// Schema upgrades, applied in order by onupgradeneeded. Add a new entry (never
+// edit an old one) when the stores or indexes change.
+const MIGRATIONS = [
+  // 1: workspace metadata, per-account settings and trades keyed by account + Trade Id
+  (db) => {
+    db.createObjectStore('meta', { keyPath: 'key' });
+    db.createObjectStore('accounts', { keyPath: 'id' });
+    const trades = db.createObjectStore('trades', { keyPath: ['accountId', 'id'] });
+    trades.createIndex('accountId', 'accountId');
+  },
+  // 2: trade journal entries keyed like trades, and screenshots attached to them
+  (db) => {
+    const journal = db.createObjectStore('journal', { keyPath: ['accountId', 'tradeId'] });
+    journal.createIndex('accountId', 'accountId');
+    const screenshots = db.createObjectStore('screenshots', { keyPath: 'id' });
+    screenshots.createIndex('accountId', 'accountId');
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Warn once this share of the browser's quota is in use
+const QUOTA_WARNING_RATIO = 0.9;
+
+const SETTINGS_FIELDS = ['imports', 'account', 'leverageTable'];
+
+// localStorage keys written by earlier versions of the app
+const LOCAL_WORKSPACE_KEY = 'trading-workspace';
+const LOCAL_PREFERENCES_KEY = 'trading-preferences';
+const LEGACY_KEYS = {
+  trades: 'trading-data',
+  imports: 'trading-imports',
+  account: 'trading-account',
+  leverageTable: 'trading-leverage'
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+          MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Storage is blocked by another open tab of the app'));
+    });
+    // Allow a later call to retry after a failed open
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run `work` inside a transaction and resolve once it has committed
+const transact = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(work(tx)).then(value => { result = value; }, (err) => {
+      try { tx.abort(); } catch (abortErr) { /* already finished */ }
+      reject(err);
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'));
+  });
+};
+
+const normalizeAccountData = (data) => ({
+  ...data,
+  account: { ...DEFAULT_ACCOUNT, ...data.account },
+  leverageTable: normalizeLeverageTable(data.leverageTable),
+  journal: data.journal || {}
+});
+
+// Delete every record of an account from a store with an accountId index
+const deleteByAccount = (store, accountId) => {
+  store.index('accountId').openKeyCursor(IDBKeyRange.only(accountId)).onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (cursor) {
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+};
+
+// --- Migration from localStorage ---
+
+const readLocalJSON = (key) => {
+  const data = localStorage.getItem(key);
+  return data ? JSON.parse(data) : null;
+};
+
+const readLocalAccount = (keyFor) => {
+  const data = emptyAccountData();
+  Object.keys(LEGACY_KEYS).forEach(field => {
+    const value = readLocalJSON(keyFor(field));
+    if (value) data[field] = value;
+  });
+  return data;
+};
+
+// Workspace as it was stored in localStorage, or null if nothing was stored
+const readLocalStorage = () => {
+  if (typeof localStorage === 'undefined') return null;
+
+  const workspace = readLocalJSON(LOCAL_WORKSPACE_KEY);
+  if (workspace) {
+    const accountData = {};
+    workspace.accounts.forEach(acc => {
+      accountData[acc.id] = readLocalAccount(field => `${LEGACY_KEYS[field]}:${acc.id}`);
+    });
+    return { accounts: workspace.accounts, activeAccountId: workspace.activeAccountId, accountData };
+  }
+
+  // Before multi-account support everything lived in one set of keys
+  if (!localStorage.getItem(LEGACY_KEYS.trades)) return null;
+  const data = readLocalAccount(field => LEGACY_KEYS[field]);
+  data.trades = data.trades.map(t => ({ ...t, accountId: 'main' }));
+  return {
+    accounts: [{ id: 'main', name: 'Main', color: '#06b6d4' }],
+    activeAccountId: 'main',
+    accountData: { main: data }
+  };
+};
+
+const clearLocalStorage = (workspace) => {
+  workspace.accounts.forEach(acc => {
+    Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(`${key}:${acc.id}`));
+  });
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  localStorage.removeItem(LOCAL_WORKSPACE_KEY);
+  localStorage.removeItem(LOCAL_PREFERENCES_KEY);
+};
+
+// --- Incremental writes ---
+
+// What was last written, so the next save can skip unchanged accounts and trades
+let saved = { accountData: {} };
+let saveQueue = Promise.resolve();
+
+// Writes run one after another so each one sees the result of the previous one
+const enqueue = (work) => {
+  const run = saveQueue.then(work);
+  saveQueue = run.catch(() => {});
+  return run;
+};
+
+const withAccountId = (trade, accountId) => (
+  trade.accountId === accountId ? trade : { ...trade, accountId }
+);
+
+const writeAccount = (tx, accountId, data, previous) => {
+  const settingsChanged = !previous || SETTINGS_FIELDS.some(field => data[field] !== previous[field]);
+  if (settingsChanged) {
+    const settings = { id: accountId };
+    SETTINGS_FIELDS.forEach(field => { settings[field] = data[field]; });
+    tx.objectStore('accounts').put(settings);
+  }
+
+  if (previous && data.trades === previous.trades) return;
+
+  // Trades are compared by reference: imports and rollbacks keep the objects
+  // of untouched trades, so only new, replaced and removed rows are written
+  const store = tx.objectStore('trades');
+  const before = new Map((previous ? previous.trades : []).map(t => [t.id, t]));
+  data.trades.forEach(trade => {
+    if (before.get(trade.id) !== trade) store.put(withAccountId(trade, accountId));
+    before.delete(trade.id);
+  });
+  before.forEach((trade, id) => store.delete([accountId, id]));
+};
+
+// Journal entries are compared by reference like trades
+const writeJournal = (tx, accountId, journal, previous) => {
+  if (previous && journal === previous.journal) return;
+
+  const store = tx.objectStore('journal');
+  const before = previous ? previous.journal : {};
+  Object.entries(journal).forEach(([tradeId, entry]) => {
+    if (before[tradeId] !== entry) store.put({ ...entry, accountId, tradeId });
+  });
+  Object.keys(before).forEach(tradeId => {
+    if (!journal[tradeId]) store.delete([accountId, tradeId]);
+  });
+};
+
+const writeWorkspace = async (workspace) => {
+  const { accounts, activeAccountId, accountData } = workspace;
+  const previousData = saved.accountData;
+
+  await transact(['meta', 'accounts', 'trades', 'journal'], 'readwrite', (tx) => {
+    tx.objectStore('meta').put({ key: 'workspace', accounts, activeAccountId });
+    accounts.forEach(acc => {
+      const data = accountData[acc.id] || emptyAccountData();
+      if (data !== previousData[acc.id]) {
+        writeAccount(tx, acc.id, data, previousData[acc.id]);
+        writeJournal(tx, acc.id, data.journal, previousData[acc.id]);
+      }
+    });
+  });
+
+  saved = { accountData: { ...accountData } };
+};
+
+// --- Public API ---
+
+// Load the workspace, moving data over from localStorage the first time.
+// Resolves to null when nothing has been stored yet.
+export const loadWorkspace = async () => {
+  const meta = await transact(['meta'], 'readonly', tx => promisify(tx.objectStore('meta').get('workspace')));
+
+  if (!meta) {
+    const local = readLocalStorage();
+    if (!local) return null;
+
+    local.accounts.forEach(acc => {
+      local.accountData[acc.id] = normalizeAccountData(local.accountData[acc.id]);
+    });
+    await writeWorkspace(local);
+    const preferences = readLocalJSON(LOCAL_PREFERENCES_KEY);
+    if (preferences) await savePreferences(preferences);
+    clearLocalStorage(local);
+    return local;
+  }
+
+  const accountData = await transact(['accounts', 'trades', 'journal'], 'readonly', async (tx) => {
+    const [settings, trades, entries] = await Promise.all([
+      promisify(tx.objectStore('accounts').getAll()),
+      promisify(tx.objectStore('trades').getAll()),
+      promisify(tx.objectStore('journal').getAll())
+    ]);
+    const data = {};
+    meta.accounts.forEach(acc => { data[acc.id] = emptyAccountData(); });
+    settings.forEach(({ id, ...fields }) => {
+      if (data[id]) data[id] = { ...data[id], ...fields };
+    });
+    trades.forEach(trade => {
+      if (data[trade.accountId]) data[trade.accountId].trades.push(trade);
+    });
+    entries.forEach(({ accountId, tradeId, ...entry }) => {
+      if (data[accountId]) data[accountId].journal[tradeId] = entry;
+    });
+    return data;
+  });
+
+  Object.keys(accountData).forEach(id => {
+    accountData[id] = normalizeAccountData(accountData[id]);
+  });
+  const workspace = { accounts: meta.accounts, activeAccountId: meta.activeAccountId, accountData };
+  saved = { accountData: { ...accountData } };
+  return workspace;
+};
+
+// Each save is diffed against the last completed write
+export const saveWorkspace = (workspace) => enqueue(() => writeWorkspace(workspace));
+
+const forgetAccounts = (accountIds) => {
+  const rest = { ...saved.accountData };
+  accountIds.forEach(id => { delete rest[id]; });
+  saved = { accountData: rest };
+};
+
+export const removeAccountStorage = (accountId) => enqueue(async () => {
+  await transact(['accounts', 'trades', 'journal', 'screenshots'], 'readwrite', (tx) => {
+    tx.objectStore('accounts').delete(accountId);
+    ['trades', 'journal', 'screenshots'].forEach(name => deleteByAccount(tx.objectStore(name), accountId));
+  });
+  forgetAccounts([accountId]);
+});
+
+// Journal screenshots: { id, accountId, tradeId, name, type, blob }
+export const saveScreenshots = (screenshots) => enqueue(() => (
+  transact(['screenshots'], 'readwrite', (tx) => {
+    const store = tx.objectStore('screenshots');
+    screenshots.forEach(screenshot => store.put(screenshot));
+  })
+));
+
+export const deleteScreenshots = (ids) => enqueue(() => (
+  transact(['screenshots'], 'readwrite', (tx) => {
+    const store = tx.objectStore('screenshots');
+    ids.forEach(id => store.delete(id));
+  })
+));
+
+// Replace every stored screenshot when a backup replaces the workspace, and
+// remove the accounts the backup leaves out in the same transaction so a
+// failed write changes nothing
+export const replaceScreenshots = (screenshots, removedAccountIds = []) => enqueue(async () => {
+  await transact(['accounts', 'trades', 'journal', 'screenshots'], 'readwrite', (tx) => {
+    removedAccountIds.forEach(accountId => {
+      tx.objectStore('accounts').delete(accountId);
+      ['trades', 'journal'].forEach(name => deleteByAccount(tx.objectStore(name), accountId));
+    });
+    const store = tx.objectStore('screenshots');
+    store.clear();
+    screenshots.forEach(screenshot => store.put(screenshot));
+  });
+  forgetAccounts(removedAccountIds);
+});
+
+export const loadScreenshot = (id) =>
+  transact(['screenshots'], 'readonly', tx => promisify(tx.objectStore('screenshots').get(id)));
+
+export const loadAllScreenshots = () =>
+  transact(['screenshots'], 'readonly', tx => promisify(tx.objectStore('screenshots').getAll()));
+
+const readMeta = async (key, fallback) => {
+  const record = await transact(['meta'], 'readonly', tx => promisify(tx.objectStore('meta').get(key)));
+  return record ? record.value : fallback;
+};
+
+const writeMeta = (key, value) => transact(['meta'], 'readwrite', (tx) => {
+  tx.objectStore('meta').put({ key, value });
+});
+
+export const loadPreferences = () => readMeta('preferences', {});
+
+export const savePreferences = (preferences) => writeMeta('preferences', preferences);
+
+// Named column mappings saved from the import wizard
+export const loadImportProfiles = () => readMeta('importProfiles', []);
+
+export const saveImportProfiles = (profiles) => writeMeta('importProfiles', profiles);
+
+// Strategy classification rules, shared by every account
+export const loadStrategyRules = () => readMeta('strategyRules', []);
+
+export const saveStrategyRules = (rules) => writeMeta('strategyRules', rules);
+
+// Named filter presets from the filters panel
+export const loadFilterPresets = () => readMeta('filterPresets', []);
+
+export const saveFilterPresets = (presets) => writeMeta('filterPresets', presets);
+
+// FX rate table for converting accounts into the reporting currency
+export const loadFxRates = () => readMeta('fxRates', []);
+
+export const saveFxRates = (rates) => writeMeta('fxRates', rates);
+
+// Resolve to a warning message when the browser is close to its storage quota
+export const checkStorageQuota = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+
+  const { usage, quota } = await navigator.storage.estimate();
+  if (!quota || usage / quota < QUOTA_WARNING_RATIO) return null;
+
+  const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+  return `Browser storage is almost full (${toMB(usage)} MB of ${toMB(quota)} MB used). New data may stop being saved; export a backup or clear old accounts.`;
+};
@@ -0,0 +1,139 @@
+// User-defined strategy rules. Each trade is assigned to the first rule whose
+// conditions all match; an empty condition matches anything, so a rule without
+// conditions catches every trade that reaches it.
+//
+// Instruments use the same patterns as the leverage table: globs ("DAX*") or
+// regular expressions between slashes. Hours and weekdays are local time.
+import { matchesPattern } from './leverage';
+import { toTime } from './equity';
+
+export const UNCLASSIFIED = 'unclassified';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const emptyConditions = () => ({
+  instruments: [],
+  direction: 'any',
+  hourFrom: null,     // window start, inclusive
+  hourTo: null,       // window end, exclusive; a window may wrap past midnight
+  weekdays: [],       // 0 = Sunday
+  minSize: null,
+  maxSize: null,
+  executionTypes: []
+});
+
+export const createStrategyRule = (name) => ({
+  id: `strategy-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  conditions: emptyConditions()
+});
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const toHourOrNull = (value) => {
+  const hour = toNumberOrNull(value);
+  return hour !== null && Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null;
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(String).filter(v => v.trim()) : []);
+
+// Validate rules read from storage, a backup or a JSON file
+export const normalizeStrategyRules = (rules) => {
+  if (!Array.isArray(rules)) throw new Error('Strategy rules must be a list');
+
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule.name !== 'string') {
+      throw new Error(`Strategy rule ${i + 1} has no name`);
+    }
+    const conditions = rule.conditions || {};
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : `strategy-${i}`,
+      name: rule.name.trim() || 'Unnamed',
+      conditions: {
+        instruments: toStringList(conditions.instruments),
+        direction: ['Long', 'Short'].includes(conditions.direction) ? conditions.direction : 'any',
+        hourFrom: toHourOrNull(conditions.hourFrom),
+        hourTo: toHourOrNull(conditions.hourTo),
+        weekdays: Array.isArray(conditions.weekdays)
+          ? conditions.weekdays.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+          : [],
+        minSize: toNumberOrNull(conditions.minSize),
+        maxSize: toNumberOrNull(conditions.maxSize),
+        executionTypes: toStringList(conditions.executionTypes)
+      }
+    };
+  });
+};
+
+// Hour windows include their start and exclude their end hour
+export const inHourWindow = (hour, from, to) => {
+  if (from === null || to === null || from === to) return true;
+  return from < to ? hour >= from && hour < to : hour >= from || hour < to;
+};
+
+// Does a trade or position satisfy every condition of a rule?
+export const matchesRule = (rule, trade) => {
+  const c = rule.conditions;
+  const opened = new Date(toTime(trade.entryTimestamp ?? trade.timestamp));
+
+  if (c.instruments.length > 0 && !c.instruments.some(p => matchesPattern(p, trade.instrument || ''))) return false;
+  if (c.direction !== 'any' && trade.direction !== c.direction) return false;
+  if (!inHourWindow(opened.getHours(), c.hourFrom, c.hourTo)) return false;
+  if (c.weekdays.length > 0 && !c.weekdays.includes(opened.getDay())) return false;
+  if (c.minSize !== null && trade.quantity < c.minSize) return false;
+  if (c.maxSize !== null && trade.quantity > c.maxSize) return false;
+  if (c.executionTypes.length > 0 && !c.executionTypes.includes(trade.executionType)) return false;
+  return true;
+};
+
+export const classifyTrade = (rules, trade) => {
+  const rule = rules.find(r => matchesRule(r, trade));
+  return rule ? rule.id : UNCLASSIFIED;
+};
+
+// Strategy of a fill or position. Fills that belong to a position take the
+// strategy of that position, so both analysis modes classify a trade alike
+// and time conditions apply to when the position was opened.
+export const createStrategyLookup = (rules, positions) => {
+  const positionOfFill = new Map();
+  positions.forEach(position => {
+    position.fillIds.forEach(id => positionOfFill.set(`${position.accountId}:${id}`, position));
+  });
+
+  return (record) => {
+    if (rules.length === 0) return UNCLASSIFIED;
+    const position = record.fillIds ? record : positionOfFill.get(`${record.accountId}:${record.id}`);
+    return classifyTrade(rules, position || record);
+  };
+};
+
+// Short description of a rule's conditions for the editor
+export const describeConditions = (conditions) => {
+  const parts = [];
+  if (conditions.instruments.length > 0) parts.push(conditions.instruments.join(', '));
+  if (conditions.direction !== 'any') parts.push(conditions.direction);
+  if (conditions.hourFrom !== null && conditions.hourTo !== null && conditions.hourFrom !== conditions.hourTo) {
+    parts.push(`${conditions.hourFrom}:00–${conditions.hourTo}:00`);
+  }
+  if (conditions.weekdays.length > 0) parts.push(conditions.weekdays.map(day => WEEKDAYS[day]).join('/'));
+  if (conditions.minSize !== null || conditions.maxSize !== null) {
+    parts.push(`size ${conditions.minSize ?? 0}–${conditions.maxSize ?? '∞'}`);
+  }
+  if (conditions.executionTypes.length > 0) parts.push(conditions.executionTypes.join(', '));
+  return parts.length > 0 ? parts.join(' • ') : 'Matches every trade';
+};
+
+// Add the rules of a merged backup whose names are not in use yet. They go
+// after the existing rules so current classifications are left alone.
+export const mergeStrategyRules = (current, incoming) => {
+  const names = new Set(current.map(rule => rule.name.toLowerCase()));
+  const ids = new Set(current.map(rule => rule.id));
+  const added = incoming
+    .filter(rule => !names.has(rule.name.toLowerCase()))
+    .map(rule => (ids.has(rule.id) ? { ...createStrategyRule(rule.name), conditions: rule.conditions } : rule));
+  return [...current, ...added];
+};
@@ -0,0 +1,140 @@
+// Time zones for the analysis. Broker exports such as Capital.com's carry no
+// zone, so timestamps without an offset are read in a configurable source
+// zone. Every timestamp is then rewritten as the wall-clock time of the display
+// zone, without an offset. The rest of the app reads such timestamps as local
+// time, so hours, weekdays, calendar days and months all follow the display
+// zone without a zone being passed around.
+import { toTime } from './equity';
+
+export const LOCAL_TIME_ZONE = 'local';
+
+export const DEFAULT_TIME_SETTINGS = {
+  sourceTimeZone: LOCAL_TIME_ZONE,
+  displayTimeZone: LOCAL_TIME_ZONE
+};
+
+const COMMON_TIME_ZONES = [
+  'UTC', 'Europe/London', 'Europe/Berlin', 'Europe/Warsaw', 'Europe/Athens', 'America/New_York',
+  'America/Chicago', 'America/Los_Angeles', 'Asia/Dubai', 'Asia/Singapore', 'Asia/Hong_Kong', 'Asia/Tokyo',
+  'Australia/Sydney'
+];
+
+export const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Every zone the browser knows, or a short list of common ones in older browsers
+export const listTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_TIME_ZONES;
+  return Array.from(new Set(['UTC', ...zones]));
+};
+
+export const describeTimeZone = (timeZone) => (
+  timeZone === LOCAL_TIME_ZONE ? `Browser time (${browserTimeZone()})` : timeZone
+);
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Calendar fields of an instant as seen in a time zone
+export const zonedParts = (ms, timeZone) => {
+  if (timeZone === LOCAL_TIME_ZONE) {
+    const date = new Date(ms);
+    return {
+      year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+      hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(), weekday: date.getDay()
+    };
+  }
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(ms)).forEach(part => { parts[part.type] = Number(part.value); });
+  // Some engines print midnight as hour 24
+  const hour = parts.hour % 24;
+  return {
+    year: parts.year, month: parts.month, day: parts.day, hour, minute: parts.minute, second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+};
+
+// Offset of a zone from UTC at an instant, in milliseconds
+const offsetAt = (ms, timeZone) => {
+  const p = zonedParts(ms, timeZone);
+  const wholeSeconds = ms - (((ms % 1000) + 1000) % 1000);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+};
+
+const NAIVE_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+// Instant of a timestamp. One without an explicit offset is read in `timeZone`;
+// around a DST change the offset after the change is used.
+export const toInstant = (value, timeZone) => {
+  const match = NAIVE_TIMESTAMP.exec(String(value).trim());
+  if (!match || timeZone === LOCAL_TIME_ZONE) return toTime(value);
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0'] = match;
+  const asUTC = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), Number(fraction.padEnd(3, '0')));
+  const guess = asUTC - offsetAt(asUTC, timeZone);
+  return asUTC - offsetAt(guess, timeZone);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock time of an instant in a zone, as "YYYY-MM-DDTHH:mm:ss.sss"
+export const toWallClock = (ms, timeZone) => {
+  const p = zonedParts(ms, timeZone);
+  const millis = ((ms % 1000) + 1000) % 1000;
+  return `${pad(p.year, 4)}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}.${pad(millis, 3)}`;
+};
+
+export const usesBrowserTime = (settings) => (
+  settings.sourceTimeZone === LOCAL_TIME_ZONE && settings.displayTimeZone === LOCAL_TIME_ZONE
+);
+
+const cache = new WeakMap();
+
+// Trades with their times moved into the display zone. Results are cached
+// per trades array, so unchanged accounts are not converted again.
+export const convertTradeTimes = (trades, settings) => {
+  if (usesBrowserTime(settings)) return trades;
+
+  const key = `${settings.sourceTimeZone}>${settings.displayTimeZone}`;
+  const cached = cache.get(trades);
+  if (cached && cached.key === key) return cached.result;
+
+  const result = trades.map(trade => {
+    const timestamp = toWallClock(toInstant(trade.timestamp, settings.sourceTimeZone), settings.displayTimeZone);
+    return { ...trade, timestamp, timestampDate: new Date(timestamp) };
+  });
+  cache.set(trades, { key, result });
+  return result;
+};
+
+// Validate settings from storage or a backup; unknown zones fall back to browser time
+export const normalizeTimeSettings = (settings) => {
+  const known = (zone) => {
+    if (zone === LOCAL_TIME_ZONE) return true;
+    try {
+      formatterFor(zone);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  };
+  const merged = { ...DEFAULT_TIME_SETTINGS, ...settings };
+  return {
+    sourceTimeZone: known(merged.sourceTimeZone) ? merged.sourceTimeZone : LOCAL_TIME_ZONE,
+    displayTimeZone: known(merged.displayTimeZone) ? merged.displayTimeZone : LOCAL_TIME_ZONE
+  };
+};
@@ -0,0 +1,28 @@
+// Workspace of named accounts (demo, live, spread betting, ...). Each account
+// keeps its own trades, import history, balance settings, leverage table and journal.
+import { DEFAULT_ACCOUNT } from './equity';
+import { DEFAULT_LEVERAGE_TABLE } from './leverage';
+
+export const ALL_ACCOUNTS = 'all';
+
+export const ACCOUNT_COLORS = ['#06b6d4', '#8b5cf6', '#f59e0b', '#10b981', '#ec4899', '#3b82f6', '#f97316', '#84cc16'];
+
+export const createAccount = (name, existingAccounts) => ({
+  id: `acc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+  color: ACCOUNT_COLORS[existingAccounts.length % ACCOUNT_COLORS.length]
+});
+
+export const emptyAccountData = () => ({
+  trades: [],
+  imports: [],
+  account: DEFAULT_ACCOUNT,
+  leverageTable: DEFAULT_LEVERAGE_TABLE,
+  journal: {}
+});
+
+// A single balance view over several accounts, for the aggregate view
+export const combineAccountSettings = (settingsList) => ({
+  startingBalance: settingsList.reduce((sum, s) => sum + s.startingBalance, 0),
+  cashFlows: settingsList.flatMap(s => s.cashFlows)
+});
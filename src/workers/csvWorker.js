@@ -0,0 +1,31 @@
+// Parses a CSV file off the main thread. The file is streamed through the
+// parser chunk by chunk, so memory holds the parsed rows but never a second
+// copy of the whole text.
+import { createCSVParser, detectDelimiter, toTable } from '../lib/csv';
+
+// Enough of the file to tell the delimiter from the first records
+const SAMPLE_BYTES = 64 * 1024;
+
+self.onmessage = async ({ data: { file, delimiter } }) => {
+  try {
+    const chosen = delimiter || detectDelimiter(await file.slice(0, SAMPLE_BYTES).text());
+    const records = [];
+    const parser = createCSVParser(chosen, record => records.push(record));
+
+    const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(value);
+      // Characters, not bytes, so only an estimate for non-ASCII files
+      loaded += value.length;
+      self.postMessage({ type: 'progress', progress: file.size ? Math.min(loaded / file.size, 1) : 1 });
+    }
+    parser.end();
+
+    self.postMessage({ type: 'done', delimiter: chosen, ...toTable(records), errors: parser.errors });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
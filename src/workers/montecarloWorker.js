@@ -0,0 +1,11 @@
+// Runs a Monte Carlo simulation off the main thread and reports progress
+import { runSimulation } from '../lib/montecarlo';
+
+self.onmessage = ({ data: { pnls, options } }) => {
+  try {
+    const result = runSimulation(pnls, options, progress => self.postMessage({ type: 'progress', progress }));
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};